@@ -0,0 +1,121 @@
+const crypto = require('crypto');
+
+// System-wide attendance policy defaults, used when a session does not override them
+
+// Minutes after the start of a session before QR submissions count as late (LATE_ENTRY_CUTOFF)
+const getDefaultLateEntryCutoff = () => {
+  const minutes = parseInt(process.env.LATE_ENTRY_CUTOFF, 10);
+  return Number.isNaN(minutes) || minutes < 0 ? 15 : minutes;
+};
+
+// Hours faculty have to answer an attendance appeal before it escalates to the department head
+const getAppealEscalationHours = () => {
+  const hours = parseInt(process.env.APPEAL_ESCALATION_HOURS, 10);
+  return Number.isNaN(hours) || hours <= 0 ? 72 : hours;
+};
+
+// Thresholds for flagging proxy submissions from shared devices or networks
+//  - PROXY_IP_MAX_STUDENTS: distinct students allowed per IP in one session (campus NAT); 0 disables IP checks
+//  - PROXY_CROSS_SESSION_MIN: other sessions a device must have submitted for another student in
+//  - PROXY_LOOKBACK_DAYS: how far back cross-session reuse is considered
+const getProxyDetectionSettings = () => {
+  const parse = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) || number < 0 ? fallback : number;
+  };
+
+  return {
+    maxStudentsPerIp: parse(process.env.PROXY_IP_MAX_STUDENTS, 3),
+    crossSessionMinSessions: Math.max(parse(process.env.PROXY_CROSS_SESSION_MIN, 2), 1),
+    lookbackDays: parse(process.env.PROXY_LOOKBACK_DAYS, 30)
+  };
+};
+
+// Secret offline sync keys are derived from (OFFLINE_SYNC_SECRET, or derived from JWT_SECRET)
+const getOfflineSyncSecret = () => {
+  if (process.env.OFFLINE_SYNC_SECRET) return process.env.OFFLINE_SYNC_SECRET;
+  if (!process.env.JWT_SECRET) throw new Error('No offline sync secret configured');
+  return crypto.createHmac('sha256', process.env.JWT_SECRET).update('offline-sync').digest('hex');
+};
+
+// How long an approved semester unlock lasts before attendance is locked again
+//  - SEMESTER_UNLOCK_HOURS: default window when the admin does not choose one
+//  - SEMESTER_UNLOCK_MAX_HOURS: longest window an admin may grant
+const getSemesterUnlockSettings = () => {
+  const parse = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) || number <= 0 ? fallback : number;
+  };
+
+  const maxHours = parse(process.env.SEMESTER_UNLOCK_MAX_HOURS, 168);
+  return {
+    defaultHours: Math.min(parse(process.env.SEMESTER_UNLOCK_HOURS, 24), maxHours),
+    maxHours
+  };
+};
+
+// How much each status counts towards attendance percentages when a department has no
+// policy of its own. A null weight leaves the session out of the percentage (excused absence).
+// Partial is a student who checked out before the session's minimum presence.
+const DEFAULT_STATUS_WEIGHTS = Object.freeze({
+  present: 1,
+  late: 0.5,
+  partial: 0.5,
+  excused: null,
+  absent: 0
+});
+
+// Biometric confirmation
+//  - BIOMETRIC_PROVIDER: verifier used for classroom device match results (see utils/biometricVerifier.js)
+//  - BIOMETRIC_MIN_CONFIDENCE: lowest match confidence (0-1) accepted when a session does not set its own
+const getBiometricSettings = () => {
+  const confidence = parseFloat(process.env.BIOMETRIC_MIN_CONFIDENCE);
+
+  return {
+    provider: process.env.BIOMETRIC_PROVIDER || 'mock',
+    minimumConfidence: Number.isNaN(confidence) || confidence < 0 || confidence > 1 ? 0.8 : confidence
+  };
+};
+
+// Session scheduler (utils/sessionScheduler.js)
+//  - SESSION_SCHEDULER_ENABLED: set to false to leave starting and ending sessions to faculty
+//  - SESSION_SCHEDULER_INTERVAL_SECONDS: how often due sessions are checked
+//  - MISSED_START_GRACE_MINUTES: minutes after startTime before faculty are told a session was not started
+//  - MISSED_START_LOOKBACK_HOURS: sessions that started longer ago than this are not alerted about
+//    (keeps a restart after a long outage from emailing about old sessions)
+const getSessionSchedulerSettings = () => {
+  const parse = (value, fallback) => {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) || number <= 0 ? fallback : number;
+  };
+
+  return {
+    enabled: process.env.SESSION_SCHEDULER_ENABLED !== 'false',
+    intervalSeconds: Math.max(parse(process.env.SESSION_SCHEDULER_INTERVAL_SECONDS, 30), 5),
+    missedStartGraceMinutes: parse(process.env.MISSED_START_GRACE_MINUTES, 10),
+    missedStartLookbackHours: parse(process.env.MISSED_START_LOOKBACK_HOURS, 24)
+  };
+};
+
+// Exam eligibility when a department has no rules of its own: students need minimumPercentage
+// in a subject to sit the exam, and between condonationMinimum and minimumPercentage they may
+// apply for condonation on one of the listed grounds.
+const DEFAULT_ELIGIBILITY_RULES = Object.freeze({
+  minimumPercentage: 75,
+  condonationMinimum: 65,
+  condonationGrounds: Object.freeze(['medical', 'payment']),
+  condonationFee: 0,
+  documentsRequiredFor: Object.freeze(['medical'])
+});
+
+module.exports = {
+  DEFAULT_ELIGIBILITY_RULES,
+  DEFAULT_STATUS_WEIGHTS,
+  getAppealEscalationHours,
+  getBiometricSettings,
+  getDefaultLateEntryCutoff,
+  getOfflineSyncSecret,
+  getProxyDetectionSettings,
+  getSemesterUnlockSettings,
+  getSessionSchedulerSettings
+};
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+
+// Signed QR payload version. Codes with LEGACY_VERSION carry an unkeyed MD5
+// checksum and are only accepted until QR_LEGACY_CUTOVER.
+const CURRENT_VERSION = '2.0';
+const LEGACY_VERSION = '1.0';
+
+/**
+ * Parse QR_SIGNING_KEYS ("kid:secret,kid:secret") into a key map.
+ * Keys removed from the list are treated as stale and codes signed with them are rejected.
+ * Without configured keys a development key is derived from JWT_SECRET.
+ */
+const getSigningKeys = () => {
+  const keys = {};
+
+  (process.env.QR_SIGNING_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const separator = entry.indexOf(':');
+      if (separator > 0) {
+        keys[entry.slice(0, separator)] = entry.slice(separator + 1);
+      }
+    });
+
+  if (Object.keys(keys).length === 0 && process.env.JWT_SECRET) {
+    keys.default = crypto.createHmac('sha256', process.env.JWT_SECRET).update('qr-signing').digest('hex');
+  }
+
+  return keys;
+};
+
+// Key currently used to sign new codes
+const getActiveSigningKey = () => {
+  const keys = getSigningKeys();
+  const kid = process.env.QR_SIGNING_KEY_ID || Object.keys(keys)[0];
+
+  if (!kid || !keys[kid]) {
+    throw new Error('No active QR signing key configured');
+  }
+
+  return { kid, secret: keys[kid] };
+};
+
+// Key used to verify a code, or null when the key ID is unknown or retired
+const getVerificationKey = (kid) => {
+  const keys = getSigningKeys();
+  return Object.prototype.hasOwnProperty.call(keys, kid) ? keys[kid] : null;
+};
+
+// Legacy (MD5 checksum) codes are accepted only before this date; unset means never
+const isLegacyAccepted = (now = new Date()) => {
+  if (!process.env.QR_LEGACY_CUTOVER) return false;
+  const cutover = new Date(process.env.QR_LEGACY_CUTOVER);
+  return !isNaN(cutover) && now < cutover;
+};
+
+module.exports = {
+  CURRENT_VERSION,
+  LEGACY_VERSION,
+  getSigningKeys,
+  getActiveSigningKey,
+  getVerificationKey,
+  isLegacyAccepted
+};
@@ -352,7 +352,18 @@ class AcademicYearController {
         });
       }
 
-      await academicYear.finalizeSemester(semesterName, finalizedBy);
+      // Year of study defaults to the first one that has this semester
+      const yearEntry = academicYear.academicYears.find(ay =>
+        (req.body.year ? ay.year === req.body.year : true) && ay.semesters.some(sem => sem.name === semesterName)
+      );
+      if (!yearEntry) {
+        return res.status(400).json({
+          success: false,
+          message: 'Semester not found in this academic year'
+        });
+      }
+
+      await academicYear.finalizeSemester(yearEntry.year, semesterName, finalizedBy);
 
       res.json({
         success: true,
@@ -389,7 +400,7 @@ class AcademicYearController {
       let affectedYearEntry = null;
       for (const ay of academicYear.academicYears) {
         const sem = ay.semesters.find(s => s.name === semesterName);
-        if (sem) {
+        if (sem && (!req.body.year || ay.year === req.body.year)) {
           affectedYearEntry = ay;
           break;
         }
@@ -1,5 +1,6 @@
 const { validationResult } = require('express-validator');
 const emailService = require('../utils/emailService');
+const { getDefaultLateEntryCutoff } = require('../config/attendance');
 
 class AdminController {
   /**
@@ -21,7 +22,7 @@ class AdminController {
         currentSemester: process.env.CURRENT_SEMESTER || '1',
         semesterStartDate: process.env.SEMESTER_START_DATE || '',
         semesterEndDate: process.env.SEMESTER_END_DATE || '',
-        lateEntryCutoff: parseInt(process.env.LATE_ENTRY_CUTOFF) || 15,
+        lateEntryCutoff: getDefaultLateEntryCutoff(),
         
         // Email Settings
         smtpHost: process.env.SMTP_HOST || '',
@@ -0,0 +1,528 @@
+const path = require('path');
+const AttendanceAppeal = require('../models/AttendanceAppeal');
+const Attendance = require('../models/Attendance');
+const AuditLog = require('../models/AuditLog');
+const AcademicYear = require('../models/AcademicYear');
+const Department = require('../models/Department');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { removeUploadedFiles } = require('../middlewares/uploadMiddleware');
+const { getAppealEscalationHours } = require('../config/attendance');
+
+// Map uploaded evidence files to the stored attachment shape
+const toAttachments = (files = []) => files.map(file => ({
+  originalName: file.originalname,
+  filename: file.filename,
+  path: file.path,
+  mimeType: file.mimetype,
+  size: file.size
+}));
+
+class AppealController {
+  /**
+   * Open an appeal against an attendance record (student)
+   */
+  async openAppeal(req, res) {
+    const files = req.files || [];
+
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        removeUploadedFiles(files);
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { attendanceId } = req.params;
+      const { requestedStatus, message } = req.body;
+
+      const attendance = await Attendance.findById(attendanceId).populate('session', 'faculty title');
+
+      if (!attendance) {
+        removeUploadedFiles(files);
+        return res.status(404).json({
+          success: false,
+          message: 'Attendance record not found'
+        });
+      }
+
+      if (String(attendance.student) !== String(req.user._id)) {
+        removeUploadedFiles(files);
+        return res.status(403).json({
+          success: false,
+          message: 'You can only appeal your own attendance records'
+        });
+      }
+
+      if (attendance.status === requestedStatus) {
+        removeUploadedFiles(files);
+        return res.status(400).json({
+          success: false,
+          message: `Attendance is already marked as ${requestedStatus}`
+        });
+      }
+
+      const existingAppeal = await AttendanceAppeal.findOne({
+        attendance: attendance._id,
+        status: { $in: ['open', 'escalated'] }
+      });
+
+      if (existingAppeal) {
+        removeUploadedFiles(files);
+        return res.status(400).json({
+          success: false,
+          message: 'An appeal is already open for this attendance record'
+        });
+      }
+
+      const student = await User.findById(req.user._id).select('department');
+
+      const appeal = await AttendanceAppeal.create({
+        attendance: attendance._id,
+        session: attendance.session._id,
+        student: req.user._id,
+        faculty: attendance.session.faculty,
+        department: student ? student.department : undefined,
+        currentStatus: attendance.status,
+        requestedStatus,
+        dueAt: new Date(Date.now() + getAppealEscalationHours() * 60 * 60 * 1000),
+        messages: [{
+          author: req.user._id,
+          authorRole: req.user.role,
+          message,
+          attachments: toAttachments(files)
+        }]
+      });
+
+      await AuditLog.record({
+        action: 'attendance_appeal_opened',
+        actor: req.user._id,
+        targetType: 'Attendance',
+        targetId: attendance._id,
+        details: { appealId: appeal._id, currentStatus: attendance.status, requestedStatus }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Appeal submitted successfully',
+        data: { appeal }
+      });
+    } catch (error) {
+      removeUploadedFiles(files);
+      console.error('Open appeal error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit appeal',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the appeal threads for an attendance record
+   */
+  async getAppealsForAttendance(req, res) {
+    try {
+      const { attendanceId } = req.params;
+
+      const attendance = await Attendance.findById(attendanceId).populate('session', 'faculty substituteFaculty');
+
+      if (!attendance) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attendance record not found'
+        });
+      }
+
+      const appeals = await AttendanceAppeal.find({ attendance: attendance._id })
+        .populate('messages.author', 'firstName lastName role')
+        .populate('resolution.decidedBy', 'firstName lastName')
+        .populate('escalation.escalatedTo', 'firstName lastName')
+        .sort({ createdAt: -1 });
+
+      const isOwner = String(attendance.student) === String(req.user._id);
+      const isSessionFaculty = attendance.session && attendance.session.isTaughtBy(req.user._id);
+      const canView = isOwner || isSessionFaculty || req.user.role === 'admin' ||
+        (appeals.length > 0 && await appeals[0].canBeViewedBy(req.user));
+
+      if (!canView) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view appeals for this record'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { appeals }
+      });
+    } catch (error) {
+      console.error('Get attendance appeals error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get appeals',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get appeals visible to the current user
+   */
+  async getAppeals(req, res) {
+    try {
+      const {
+        status,
+        page = 1,
+        limit = 10
+      } = req.query;
+
+      const query = {};
+      if (status) query.status = status;
+
+      if (req.user.role === 'student') {
+        query.student = req.user._id;
+      } else if (req.user.role === 'faculty') {
+        const headedDepartments = await Department.find({ head: req.user._id }).distinct('_id');
+        const coveredSessions = await Session.find({ substituteFaculty: req.user._id }).distinct('_id');
+        query.$or = [
+          { faculty: req.user._id },
+          { session: { $in: coveredSessions } },
+          { 'escalation.escalatedTo': req.user._id },
+          { department: { $in: headedDepartments } }
+        ];
+      }
+
+      const appeals = await AttendanceAppeal.find(query)
+        .populate('student', 'firstName lastName studentId email')
+        .populate('session', 'title subject courseCode startTime')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const totalAppeals = await AttendanceAppeal.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          appeals,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(totalAppeals / limit),
+            totalAppeals,
+            hasNext: page < Math.ceil(totalAppeals / limit),
+            hasPrev: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get appeals error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get appeals',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Add a message (and optional evidence) to an appeal thread
+   */
+  async addMessage(req, res) {
+    const files = req.files || [];
+
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        removeUploadedFiles(files);
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const appeal = await AttendanceAppeal.findById(req.params.appealId);
+
+      if (!appeal) {
+        removeUploadedFiles(files);
+        return res.status(404).json({
+          success: false,
+          message: 'Appeal not found'
+        });
+      }
+
+      if (!(await appeal.canBeViewedBy(req.user))) {
+        removeUploadedFiles(files);
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to reply to this appeal'
+        });
+      }
+
+      if (!appeal.isOpen) {
+        removeUploadedFiles(files);
+        return res.status(400).json({
+          success: false,
+          message: `Appeal has already been ${appeal.status}`
+        });
+      }
+
+      appeal.messages.push({
+        author: req.user._id,
+        authorRole: req.user.role,
+        message: req.body.message,
+        attachments: toAttachments(files)
+      });
+      await appeal.save();
+
+      await AuditLog.record({
+        action: 'attendance_appeal_message',
+        actor: req.user._id,
+        targetType: 'Attendance',
+        targetId: appeal.attendance,
+        details: { appealId: appeal._id, attachments: files.length }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Message added successfully',
+        data: { appeal }
+      });
+    } catch (error) {
+      removeUploadedFiles(files);
+      console.error('Add appeal message error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to add message',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Accept or reject an appeal (session faculty, department head or admin)
+   */
+  async decideAppeal(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { decision, reason } = req.body;
+
+      const appeal = await AttendanceAppeal.findById(req.params.appealId);
+
+      if (!appeal) {
+        return res.status(404).json({
+          success: false,
+          message: 'Appeal not found'
+        });
+      }
+
+      if (!appeal.isOpen) {
+        return res.status(400).json({
+          success: false,
+          message: `Appeal has already been ${appeal.status}`
+        });
+      }
+
+      if (!(await appeal.canBeDecidedBy(req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: appeal.status === 'escalated'
+            ? 'This appeal has been escalated to the department head'
+            : 'You do not have permission to decide this appeal'
+        });
+      }
+
+      const attendance = await Attendance.findById(appeal.attendance).populate('session', 'startTime');
+      const previousStatus = attendance ? attendance.status : appeal.currentStatus;
+
+      // Accepting changes the record, which a finalized semester does not allow
+      if (decision === 'accepted' && attendance) {
+        const lock = await AcademicYear.getAttendanceLock({
+          year: attendance.academicYear,
+          semester: attendance.semester,
+          date: attendance.session ? attendance.session.startTime : attendance.checkInTime,
+          user: req.user
+        });
+        if (lock) {
+          return res.status(403).json({
+            success: false,
+            message: lock.message,
+            data: { lock }
+          });
+        }
+      }
+
+      if (decision === 'accepted' && attendance) {
+        const now = new Date();
+        attendance.status = appeal.requestedStatus;
+        attendance.isApproved = true;
+        attendance.approvedBy = req.user._id;
+        attendance.approvedAt = now;
+        attendance.verifiedBy = req.user._id;
+        attendance.verifiedAt = now;
+        attendance.verificationNotes = `Appeal accepted: ${reason}`.slice(0, 500);
+        attendance.setRevisionContext({ actor: req.user._id, reason, source: 'appeal.decision' });
+        await attendance.save();
+
+        // Keep the session head count in line with the corrected record
+        if (attendance.session) {
+          await attendance.session.refreshAttendanceCount();
+          await attendance.session.save();
+        }
+      }
+
+      appeal.status = decision;
+      appeal.resolution = {
+        decidedBy: req.user._id,
+        decidedAt: new Date(),
+        reason,
+        previousStatus,
+        newStatus: decision === 'accepted' ? appeal.requestedStatus : previousStatus
+      };
+      appeal.messages.push({
+        author: req.user._id,
+        authorRole: req.user.role,
+        message: `Appeal ${decision}: ${reason}`
+      });
+      await appeal.save();
+
+      await AuditLog.record({
+        action: `attendance_appeal_${decision}`,
+        actor: req.user._id,
+        targetType: 'Attendance',
+        targetId: appeal.attendance,
+        details: { appealId: appeal._id, reason, previousStatus, newStatus: appeal.resolution.newStatus }
+      });
+
+      res.json({
+        success: true,
+        message: `Appeal ${decision} successfully`,
+        data: { appeal, attendance }
+      });
+    } catch (error) {
+      console.error('Decide appeal error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to decide appeal',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Withdraw an open appeal (student)
+   */
+  async withdrawAppeal(req, res) {
+    try {
+      const appeal = await AttendanceAppeal.findById(req.params.appealId);
+
+      if (!appeal) {
+        return res.status(404).json({
+          success: false,
+          message: 'Appeal not found'
+        });
+      }
+
+      if (String(appeal.student) !== String(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only withdraw your own appeals'
+        });
+      }
+
+      if (!appeal.isOpen) {
+        return res.status(400).json({
+          success: false,
+          message: `Appeal has already been ${appeal.status}`
+        });
+      }
+
+      appeal.status = 'withdrawn';
+      await appeal.save();
+
+      await AuditLog.record({
+        action: 'attendance_appeal_withdrawn',
+        actor: req.user._id,
+        targetType: 'Attendance',
+        targetId: appeal.attendance,
+        details: { appealId: appeal._id }
+      });
+
+      res.json({
+        success: true,
+        message: 'Appeal withdrawn successfully',
+        data: { appeal }
+      });
+    } catch (error) {
+      console.error('Withdraw appeal error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to withdraw appeal',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Download evidence attached to an appeal message
+   */
+  async downloadAttachment(req, res) {
+    try {
+      const { appealId, attachmentId } = req.params;
+
+      const appeal = await AttendanceAppeal.findById(appealId);
+
+      if (!appeal) {
+        return res.status(404).json({
+          success: false,
+          message: 'Appeal not found'
+        });
+      }
+
+      if (!(await appeal.canBeViewedBy(req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this document'
+        });
+      }
+
+      const attachment = appeal.messages
+        .map(message => message.attachments.id(attachmentId))
+        .find(Boolean);
+
+      if (!attachment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attachment not found'
+        });
+      }
+
+      res.download(path.resolve(attachment.path), attachment.originalName);
+    } catch (error) {
+      console.error('Download appeal attachment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download attachment',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new AppealController();
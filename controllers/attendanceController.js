@@ -1,11 +1,137 @@
 const Attendance = require('../models/Attendance');
+const AttendanceRevision = require('../models/AttendanceRevision');
 const Session = require('../models/Session');
 const User = require('../models/User');
 const QRCodeLog = require('../models/QRCodeLog');
+const Department = require('../models/Department');
+const AcademicYear = require('../models/AcademicYear');
 const { validationResult } = require('express-validator');
 const qrCodeGenerator = require('../utils/qrCodeGenerator');
 const analyticsUtils = require('../utils/analyticsUtils');
+const geoUtils = require('../utils/geoUtils');
 const dateUtils = require('../utils/dateUtils');
+const proxyDetection = require('../utils/proxyDetection');
+const offlineSync = require('../utils/offlineSync');
+const biometricVerifier = require('../utils/biometricVerifier');
+const SyncBatch = require('../models/SyncBatch');
+const { getProxyDetectionSettings } = require('../config/attendance');
+
+// Time of the last change a faculty member made to a record; null when only the student
+// (QR submission) or the system (session finalization) has touched it
+const getLastFacultyActionAt = (attendance) => {
+  const times = [];
+  if (attendance.verifiedBy && attendance.verifiedAt) times.push(attendance.verifiedAt.getTime());
+  if (attendance.approvedBy && attendance.approvedAt && attendance.qrSubmission && attendance.qrSubmission.submittedAt) {
+    times.push(attendance.approvedAt.getTime());
+  }
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+// Lock of a finalized semester that stops the user changing a record (null when it can be changed)
+const getSemesterLock = (user, { academicYear, semester, date }) => {
+  return AcademicYear.getAttendanceLock({ year: academicYear, semester, date, user });
+};
+
+const getRecordSemesterLock = (user, attendance) => {
+  const session = attendance.session && attendance.session.startTime ? attendance.session : null;
+  return getSemesterLock(user, {
+    academicYear: attendance.academicYear,
+    semester: attendance.semester,
+    date: session ? session.startTime : attendance.checkInTime
+  });
+};
+
+// Merge one offline mark into the existing records: faculty marks override student QR
+// submissions, and between faculty actions the later one (by client timestamp) wins
+const mergeOfflineMark = async (mark, session, user) => {
+  const result = {
+    clientId: mark.clientId,
+    session: mark.sessionId,
+    student: mark.studentId,
+    status: mark.status
+  };
+
+  if (!session) {
+    return { ...result, result: 'rejected', message: 'Session not found' };
+  }
+
+  if (user.role === 'faculty' && !session.isTaughtBy(user._id)) {
+    return { ...result, result: 'rejected', message: 'You do not have permission to mark attendance for this session' };
+  }
+
+  const isEnrolled = session.enrolledStudents.some(
+    enrolled => String(enrolled.student) === String(mark.studentId)
+  );
+  if (!isEnrolled) {
+    return { ...result, result: 'rejected', message: 'Student is not enrolled in this session' };
+  }
+
+  const markedAt = new Date(mark.markedAt);
+  if (isNaN(markedAt) || markedAt.getTime() > Date.now() + offlineSync.maxClockSkewMs) {
+    return { ...result, result: 'rejected', message: 'Invalid client timestamp' };
+  }
+
+  if (markedAt < session.getEntryWindow().opensAt) {
+    return { ...result, result: 'rejected', message: 'Client timestamp is before the session started' };
+  }
+
+  const lock = await getSemesterLock(user, {
+    academicYear: session.academicYear,
+    semester: session.semester,
+    date: session.startTime
+  });
+  if (lock) {
+    return { ...result, result: 'rejected', message: lock.message };
+  }
+
+  const context = { actor: user._id, reason: mark.notes || 'Offline sync', source: 'attendance.offline_sync' };
+  const existing = await Attendance.findOne({ student: mark.studentId, session: session._id });
+
+  if (!existing) {
+    const attendance = await new Attendance({
+      student: mark.studentId,
+      session: session._id,
+      status: mark.status,
+      checkInTime: markedAt,
+      academicYear: session.academicYear,
+      semester: session.semester,
+      isApproved: true,
+      approvedBy: user._id,
+      approvedAt: markedAt,
+      qrSubmission: { isPendingApproval: false },
+      verifiedBy: user._id,
+      verifiedAt: markedAt,
+      verificationNotes: mark.notes,
+      createdBy: user._id
+    }).setRevisionContext(context).save();
+
+    return { ...result, result: 'created', attendance: attendance._id };
+  }
+
+  const lastFacultyActionAt = getLastFacultyActionAt(existing);
+  if (lastFacultyActionAt && lastFacultyActionAt >= markedAt) {
+    return { ...result, result: 'skipped', attendance: existing._id, message: 'A newer faculty change already exists' };
+  }
+
+  if (existing.status === mark.status && existing.isApproved && existing.isActive) {
+    return { ...result, result: 'unchanged', attendance: existing._id };
+  }
+
+  // The client timestamp is kept as the action time so later syncs compare against it
+  existing.status = mark.status;
+  existing.isActive = true;
+  existing.isApproved = true;
+  existing.approvedBy = user._id;
+  existing.approvedAt = markedAt;
+  existing.qrSubmission.isPendingApproval = false;
+  existing.verifiedBy = user._id;
+  existing.verifiedAt = markedAt;
+  if (mark.notes) existing.verificationNotes = mark.notes;
+
+  await existing.setRevisionContext(context).save();
+
+  return { ...result, result: 'updated', attendance: existing._id };
+};
 
 class AttendanceController {
   /**
@@ -46,8 +172,15 @@ class AttendanceController {
         });
       }
 
+      if (payload.purpose === 'checkout') {
+        return res.status(400).json({
+          success: false,
+          message: 'This is the exit QR code, scan it when leaving to check out'
+        });
+      }
+
       // Find session
-      const session = await Session.findById(payload.sessionId);
+      const session = await Session.findById(payload.sessionId).select('+qrCode.secret');
       
       if (!session) {
         return res.status(404).json({
@@ -64,16 +197,65 @@ class AttendanceController {
         });
       }
 
+      // Find the exact QR code log entry this payload was issued for
+      const qrCodeLog = await QRCodeLog.findForPayload(payload, session._id);
+
+      if (!qrCodeLog) {
+        return res.status(400).json({
+          success: false,
+          message: 'QR code was not issued for this session'
+        });
+      }
+
+      let windowIndex = null;
+
+      // Rejected scans are kept on the log entry with their reason
+      const rejectScan = async (statusCode, message, data) => {
+        await qrCodeLog.recordInvalidScan(
+          studentId,
+          message,
+          deviceInfo,
+          location,
+          windowIndex !== null ? { windowIndex } : {}
+        );
+
+        return res.status(statusCode).json({
+          success: false,
+          message,
+          ...(data && { data })
+        });
+      };
+
+      if (!qrCodeLog.isValid) {
+        return rejectScan(400, 'This QR code is no longer active, please scan the code currently on display');
+      }
+
+      // Rotating QR codes: only the current or immediately previous window is accepted
+      if (session.qrCode.rotation.enabled) {
+        if (payload.mode !== 'rotating') {
+          return rejectScan(400, 'Please scan the QR code currently on display');
+        }
+
+        const rotationCheck = qrCodeGenerator.verifyRotatingToken(
+          session.qrCode.secret,
+          payload,
+          session.qrCode.rotation.intervalSeconds
+        );
+
+        if (!rotationCheck.valid) {
+          return rejectScan(400, rotationCheck.error);
+        }
+
+        windowIndex = rotationCheck.windowIndex;
+      }
+
       // Check if student is enrolled in the session
       const isEnrolled = session.enrolledStudents.some(
         enrolled => enrolled.student.toString() === studentId.toString()
       );
 
       if (!isEnrolled) {
-        return res.status(403).json({
-          success: false,
-          message: 'You are not enrolled in this session'
-        });
+        return rejectScan(403, 'You are not enrolled in this session');
       }
 
       // Check if attendance already exists
@@ -83,37 +265,91 @@ class AttendanceController {
       });
 
       if (existingAttendance) {
-        return res.status(400).json({
-          success: false,
-          message: 'Attendance already marked for this session'
-        });
+        return rejectScan(400, 'Attendance already marked for this session');
       }
 
-      // Check if session is within allowed time
+      // Check the submission window: opening time, late cutoff and session end
       const now = new Date();
-      const sessionStart = new Date(session.startTime);
-      const sessionEnd = new Date(session.endTime);
+      const entryWindow = session.getEntryWindow();
 
-      // Check if session is currently active
-      if (now < sessionStart || now > sessionEnd) {
-        return res.status(400).json({
-          success: false,
-          message: 'Session is not currently active'
-        });
+      if (now < entryWindow.opensAt) {
+        return rejectScan(400, 'Attendance is not open yet for this session');
+      }
+
+      if (now > entryWindow.closesAt) {
+        return rejectScan(400, 'Session has already ended');
+      }
+
+      const timeCheck = qrCodeLog.validateTime(now);
+      if (!timeCheck.valid) {
+        return rejectScan(400, `This QR code can only be scanned between ${timeCheck.allowedStartTime} and ${timeCheck.allowedEndTime}`);
+      }
+
+      const isLate = now > entryWindow.lateAfter;
+      if (isLate && !entryWindow.allowLateEntry) {
+        return rejectScan(400, `Late entry is not allowed after ${entryWindow.lateEntryCutoff} minutes`);
+      }
+
+      // Geofencing: verify the student is within the classroom radius
+      let locationVerification;
+      if (session.attendanceSettings.requireLocationVerification) {
+        const classroomLocation = await session.getClassroomLocation();
+
+        if (!classroomLocation) {
+          // Misconfigured session: accept but let faculty review
+          locationVerification = {
+            flagged: true,
+            reason: 'Classroom location is not configured for this session'
+          };
+        } else {
+          const geofence = geoUtils.checkGeofence(location, classroomLocation, {
+            radius: session.attendanceSettings.allowedLocationRadius,
+            maxAccuracy: session.attendanceSettings.maxLocationAccuracy
+          });
+
+          if (!geofence.valid && session.attendanceSettings.locationPolicy !== 'flag') {
+            return rejectScan(403, geofence.reason, {
+              distance: geofence.distance,
+              allowedRadius: geofence.allowedRadius,
+              accuracy: geofence.accuracy
+            });
+          }
+
+          locationVerification = {
+            distance: geofence.distance,
+            allowedRadius: geofence.allowedRadius,
+            accuracy: geofence.accuracy,
+            isWithinRadius: geofence.isWithinRadius,
+            flagged: !geofence.valid,
+            reason: geofence.valid ? undefined : geofence.reason
+          };
+        }
       }
 
+      // Proxy detection: other students' submissions from the same device or network.
+      // The address comes from the request, never from the client-reported device info.
+      const ipAddress = req.ip;
+      const fingerprint = proxyDetection.getDeviceFingerprint(deviceInfo, ipAddress);
+      const proxyMatch = await Attendance.findProxyMatches(
+        { sessionId: session._id, studentId, fingerprint, ipAddress },
+        getProxyDetectionSettings()
+      );
+      const isProxy = proxyMatch.matchedOn.length > 0;
+
       // Create attendance record with pending approval
       const attendanceData = {
         student: studentId,
         session: session._id,
-        status: 'present', // Default to present, faculty can change
+        status: isLate ? 'late' : 'present', // Faculty can change on approval
         checkInTime: now,
         academicYear: session.academicYear,
         semester: session.semester,
         location: location || {},
-        deviceInfo: deviceInfo || {},
+        locationVerification,
+        deviceInfo: { ...(deviceInfo || {}), ipAddress, fingerprint },
         qrCodeData: {
-          code: payload.checksum,
+          code: qrCodeLog.code,
+          qrCodeLog: qrCodeLog._id,
           scannedAt: now,
           isValid: true
         },
@@ -124,20 +360,91 @@ class AttendanceController {
         isApproved: false
       };
 
-      const attendance = await Attendance.create(attendanceData);
+      if (isProxy) {
+        attendanceData.isProxy = true;
+        attendanceData.proxyReason = proxyDetection.describeMatch(proxyMatch.matchedOn, proxyMatch.relatedStudents.length);
+        attendanceData.proxyEvidence = { detectedAt: now, ...proxyMatch };
+      }
+
+      const scanDetails = windowIndex !== null ? { windowIndex } : {};
+
+      // Single-use codes: consume one use of the nonce before recording attendance
+      let consumedNonce = null;
+      if (session.qrCode.nonce.enabled) {
+        if (!payload.code) {
+          return rejectScan(400, 'Please scan the QR code currently on display');
+        }
+
+        consumedNonce = await QRCodeLog.consumeNonce(payload.code, session._id, {
+          scannedBy: studentId,
+          deviceInfo,
+          location,
+          ...scanDetails
+        });
+
+        if (!consumedNonce) {
+          return rejectScan(400, 'This QR code has already been used or has expired, please scan the code currently on display');
+        }
+      }
 
-      // Record QR code scan
-      const qrCodeLog = await QRCodeLog.findOne({ 'payload.sessionId': session._id });
-      if (qrCodeLog) {
-        await qrCodeLog.recordScan(studentId, deviceInfo, location);
+      let attendance;
+      try {
+        attendance = await new Attendance(attendanceData)
+          .setRevisionContext({ actor: studentId, source: 'attendance.submit_qr' })
+          .save();
+      } catch (error) {
+        // Nobody was marked, so give the use of the single-use code back
+        if (consumedNonce) {
+          await consumedNonce.releaseNonceUse(studentId);
+        }
+
+        // A duplicate submission raced past the check above
+        if (error.code === 11000) {
+          return res.status(400).json({
+            success: false,
+            message: 'Attendance already marked for this session'
+          });
+        }
+        throw error;
+      }
+
+      // Earlier submissions in this session from the same device or network are flagged too
+      const sessionSignals = proxyMatch.matchedOn.filter(signal => signal !== 'cross_session');
+      if (sessionSignals.length > 0) {
+        await Attendance.updateManyWithRevisions(
+          { _id: { $in: proxyMatch.relatedAttendance }, session: session._id },
+          {
+            $set: {
+              isProxy: true,
+              proxyReason: proxyDetection.describeMatch(sessionSignals, 1),
+              'proxyEvidence.detectedAt': now
+            },
+            $addToSet: {
+              'proxyEvidence.matchedOn': { $each: sessionSignals },
+              'proxyEvidence.relatedAttendance': attendance._id,
+              'proxyEvidence.relatedStudents': studentId
+            }
+          },
+          { source: 'attendance.proxy_detection', reason: proxyDetection.describeMatch(sessionSignals, 1) }
+        );
+      }
+
+      // Record QR code scan (single-use codes were recorded when consumed)
+      if (!session.qrCode.nonce.enabled) {
+        await qrCodeLog.recordScan(studentId, deviceInfo, location, scanDetails);
       }
 
       res.status(201).json({
         success: true,
-        message: 'Attendance submitted successfully. Waiting for faculty approval.',
+        message: session.getBiometricPolicy().required
+          ? 'Attendance submitted successfully. Confirm it on the classroom biometric device.'
+          : 'Attendance submitted successfully. Waiting for faculty approval.',
         data: {
           attendance,
           status: 'pending_approval',
+          flaggedForReview: isProxy || !!(locationVerification && locationVerification.flagged),
+          biometricRequired: session.getBiometricPolicy().required,
+          isLate,
           submittedAt: now
         }
       });
@@ -151,6 +458,222 @@ class AttendanceController {
     }
   }
 
+  /**
+   * Record a biometric match from a classroom device confirming a student's QR submission
+   */
+  async confirmBiometric(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { sessionId, studentId, method, fingerprintId, faceId, confidence, matched, deviceId } = req.body;
+
+      const session = await Session.findById(sessionId);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      if (req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to confirm attendance for this session'
+        });
+      }
+
+      const now = new Date();
+      const entryWindow = session.getEntryWindow();
+      if (session.status !== 'active' || now < entryWindow.opensAt || now > entryWindow.closesAt) {
+        return res.status(400).json({
+          success: false,
+          message: 'Biometric confirmation is only accepted while the session is running'
+        });
+      }
+
+      const isEnrolled = session.enrolledStudents.some(
+        enrolled => String(enrolled.student) === String(studentId)
+      );
+
+      if (!isEnrolled) {
+        return res.status(403).json({
+          success: false,
+          message: 'Student is not enrolled in this session'
+        });
+      }
+
+      const attendance = await Attendance.findOne({ student: studentId, session: session._id });
+
+      if (!attendance) {
+        return res.status(400).json({
+          success: false,
+          message: 'Student has not submitted attendance for this session yet; scan the session QR code first'
+        });
+      }
+
+      const policy = session.getBiometricPolicy();
+      const verification = await biometricVerifier.verify(
+        { method, fingerprintId, faceId, confidence, matched },
+        { student: studentId, session: session._id, deviceId },
+        policy.minimumConfidence
+      );
+
+      if (!verification.verified) {
+        return res.status(400).json({
+          success: false,
+          message: verification.reason || 'Biometric match was not verified',
+          data: { verification }
+        });
+      }
+
+      attendance.biometricData = {
+        fingerprintId: method === 'fingerprint' ? fingerprintId : undefined,
+        faceId: method === 'face' ? faceId : undefined,
+        confidence: verification.confidence,
+        method,
+        provider: verification.provider,
+        deviceId,
+        verified: true,
+        verifiedAt: now,
+        confirmedBy: req.user._id
+      };
+
+      attendance.setRevisionContext({ actor: req.user._id, source: 'attendance.biometric' });
+      await attendance.save();
+
+      res.json({
+        success: true,
+        message: 'Biometric confirmation recorded',
+        data: {
+          attendance,
+          verification,
+          biometricRequired: policy.required
+        }
+      });
+    } catch (error) {
+      console.error('Biometric confirmation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to record biometric confirmation',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Check out of a session by scanning its exit QR code (student)
+   */
+  async checkoutByQR(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { qrCodeData, location, deviceInfo } = req.body;
+      const studentId = req.user._id;
+
+      const qrValidation = qrCodeGenerator.validateQRData(qrCodeData);
+
+      if (!qrValidation.valid) {
+        return res.status(400).json({
+          success: false,
+          message: qrValidation.error
+        });
+      }
+
+      const { payload } = qrValidation;
+
+      if (payload.type !== 'attendance_session' || payload.purpose !== 'checkout') {
+        return res.status(400).json({
+          success: false,
+          message: 'Please scan the exit QR code to check out'
+        });
+      }
+
+      const session = await Session.findById(payload.sessionId);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      if (session.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'Session is not active'
+        });
+      }
+
+      const qrCodeLog = await QRCodeLog.findOne({ code: payload.code, session: session._id, purpose: 'checkout' });
+
+      if (!qrCodeLog || !qrCodeLog.isValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'This exit QR code is no longer active, please scan the code currently on display'
+        });
+      }
+
+      const attendance = await Attendance.findOne({ student: studentId, session: session._id });
+
+      if (!attendance || !['present', 'late'].includes(attendance.status)) {
+        await qrCodeLog.recordInvalidScan(studentId, 'No check-in recorded for this session', deviceInfo, location);
+        return res.status(400).json({
+          success: false,
+          message: 'You have not checked in to this session'
+        });
+      }
+
+      if (attendance.checkOutTime) {
+        return res.status(400).json({
+          success: false,
+          message: 'You have already checked out of this session'
+        });
+      }
+
+      attendance.setRevisionContext({ actor: studentId, source: 'attendance.checkout_qr' });
+      await attendance.markCheckout(new Date());
+      await qrCodeLog.recordScan(studentId, deviceInfo, location);
+
+      const presence = attendance.calculatePresence(session);
+
+      res.json({
+        success: true,
+        message: 'Checked out successfully',
+        data: {
+          attendance,
+          checkOutTime: attendance.checkOutTime,
+          minutesPresent: attendance.duration,
+          minimumPresencePercent: session.attendanceSettings.minimumPresencePercent,
+          presencePercent: presence ? presence.percent : null
+        }
+      });
+    } catch (error) {
+      console.error('Checkout by QR error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to check out',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Mark attendance manually (for faculty)
    */
@@ -185,13 +708,26 @@ class AttendanceController {
       }
 
       // Check if faculty has access to this session
-      if (req.user.role !== 'admin' && session.faculty.toString() !== req.user._id.toString()) {
+      if (req.user.role !== 'admin' && !session.isTaughtBy(req.user._id)) {
         return res.status(403).json({
           success: false,
           message: 'You do not have permission to mark attendance for this session'
         });
       }
 
+      const lock = await getSemesterLock(req.user, {
+        academicYear: session.academicYear,
+        semester: session.semester,
+        date: session.startTime
+      });
+      if (lock) {
+        return res.status(403).json({
+          success: false,
+          message: lock.message,
+          data: { lock }
+        });
+      }
+
       // Find student
       const student = await User.findById(studentId);
       
@@ -221,18 +757,25 @@ class AttendanceController {
         session: sessionId,
         status: status || 'present',
         checkInTime: checkInTime || new Date(),
+        academicYear: session.academicYear,
+        semester: session.semester,
         verifiedBy: req.user._id,
         verifiedAt: new Date(),
-        verificationNotes: notes
+        verificationNotes: notes,
+        // Marked by faculty, so there is nothing left to approve
+        isApproved: true,
+        approvedBy: req.user._id,
+        approvedAt: new Date(),
+        qrSubmission: { isPendingApproval: false }
       };
 
-      const attendance = await Attendance.create(attendanceData);
+      const attendance = await new Attendance(attendanceData)
+        .setRevisionContext({ actor: req.user._id, reason: notes, source: 'attendance.mark_manual' })
+        .save();
 
-      // Update session attendance count if present
-      if (status === 'present' || status === 'late') {
-        session.currentAttendance += 1;
-        await session.save();
-      }
+      // Update session attendance count
+      await session.refreshAttendanceCount();
+      await session.save();
 
       res.status(201).json({
         success: true,
@@ -276,7 +819,7 @@ class AttendanceController {
         // Faculty can see attendance for their sessions
         if (sessionId) {
           const session = await Session.findById(sessionId);
-          if (session && session.faculty.toString() !== req.user._id.toString()) {
+          if (session && !session.isTaughtBy(req.user._id)) {
             return res.status(403).json({
               success: false,
               message: 'You do not have permission to view this attendance data'
@@ -361,15 +904,20 @@ class AttendanceController {
         isActive: true
       }).populate('session', 'subject startTime');
 
+      // Late/excused weighting follows the student's department policy
+      const student = await User.findById(targetStudentId).select('department');
+      const weights = await Department.getStatusWeights(student && student.department);
+
       // Calculate statistics
       const stats = analyticsUtils.calculateStudentAttendanceStats(attendanceRecords, {
         startDate,
         endDate,
-        subject
+        subject,
+        weights
       });
 
       // Get trends
-      const trends = analyticsUtils.generateAttendanceTrends(attendanceRecords, 'weekly', 12);
+      const trends = analyticsUtils.generateAttendanceTrends(attendanceRecords, 'weekly', 12, weights);
 
       res.json({
         success: true,
@@ -408,7 +956,7 @@ class AttendanceController {
 
       // Find attendance record
       const attendance = await Attendance.findById(attendanceId)
-        .populate('session', 'faculty');
+        .populate('session', 'faculty substituteFaculty startTime');
 
       if (!attendance) {
         return res.status(404).json({
@@ -426,19 +974,29 @@ class AttendanceController {
       }
 
       if (req.user.role === 'faculty' && 
-          attendance.session.faculty.toString() !== req.user._id.toString()) {
+          !attendance.session.isTaughtBy(req.user._id)) {
         return res.status(403).json({
           success: false,
           message: 'You do not have permission to update this attendance record'
         });
       }
 
+      const lock = await getRecordSemesterLock(req.user, attendance);
+      if (lock) {
+        return res.status(403).json({
+          success: false,
+          message: lock.message,
+          data: { lock }
+        });
+      }
+
       // Update attendance
       attendance.status = status || attendance.status;
       attendance.verificationNotes = notes || attendance.verificationNotes;
       attendance.verifiedBy = req.user._id;
       attendance.verifiedAt = new Date();
 
+      attendance.setRevisionContext({ actor: req.user._id, reason: notes, source: 'attendance.update' });
       await attendance.save();
 
       res.json({
@@ -467,7 +1025,7 @@ class AttendanceController {
 
       // Find attendance record
       const attendance = await Attendance.findById(attendanceId)
-        .populate('session', 'faculty');
+        .populate('session', 'faculty substituteFaculty startTime');
 
       if (!attendance) {
         return res.status(404).json({
@@ -485,15 +1043,25 @@ class AttendanceController {
       }
 
       if (req.user.role === 'faculty' && 
-          attendance.session.faculty.toString() !== req.user._id.toString()) {
+          !attendance.session.isTaughtBy(req.user._id)) {
         return res.status(403).json({
           success: false,
           message: 'You do not have permission to delete this attendance record'
         });
       }
 
+      const lock = await getRecordSemesterLock(req.user, attendance);
+      if (lock) {
+        return res.status(403).json({
+          success: false,
+          message: lock.message,
+          data: { lock }
+        });
+      }
+
       // Soft delete
       attendance.isActive = false;
+      attendance.setRevisionContext({ actor: req.user._id, reason: req.body && req.body.reason, source: 'attendance.delete' });
       await attendance.save();
 
       res.json({
@@ -519,7 +1087,8 @@ class AttendanceController {
       const { checkOutTime } = req.body;
 
       // Find attendance record
-      const attendance = await Attendance.findById(attendanceId);
+      const attendance = await Attendance.findById(attendanceId)
+        .populate('session', 'attendanceSettings.requireCheckout');
 
       if (!attendance) {
         return res.status(404).json({
@@ -533,11 +1102,21 @@ class AttendanceController {
           attendance.student.toString() !== req.user._id.toString()) {
         return res.status(403).json({
           success: false,
-          message: 'You can only checkout your own attendance'
+          message: 'You can only checkout your own attendance'
+        });
+      }
+
+      // Where checkout decides the status, students must scan the exit QR code in the room
+      if (req.user.role === 'student' && attendance.session &&
+          attendance.session.attendanceSettings && attendance.session.attendanceSettings.requireCheckout) {
+        return res.status(403).json({
+          success: false,
+          message: 'This session requires scanning the exit QR code to check out'
         });
       }
 
       // Mark checkout
+      attendance.setRevisionContext({ actor: req.user._id, source: 'attendance.checkout' });
       await attendance.markCheckout(checkOutTime);
 
       res.json({
@@ -567,18 +1146,30 @@ class AttendanceController {
 
       // Verify faculty has access to this session
       const session = await Session.findById(sessionId);
-      if (!session || session.faculty.toString() !== facultyId.toString()) {
+      if (!session || !session.isTaughtBy(facultyId)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied to this session'
         });
       }
 
-      const pendingAttendance = await Attendance.find({
+      const pendingQuery = {
         session: sessionId,
         'qrSubmission.isPendingApproval': true,
         isApproved: false
-      })
+      };
+
+      // Optionally narrow down to submissions flagged by location verification
+      if (req.query.flagged === 'true') {
+        pendingQuery['locationVerification.flagged'] = true;
+      }
+
+      // Or to submissions flagged as possible proxies
+      if (req.query.proxy === 'true') {
+        pendingQuery.isProxy = true;
+      }
+
+      const pendingAttendance = await Attendance.find(pendingQuery)
       .populate('student', 'firstName lastName studentId email')
       .sort({ 'qrSubmission.submittedAt': 1 });
 
@@ -599,6 +1190,104 @@ class AttendanceController {
     }
   }
 
+  /**
+   * Get clusters of submissions sharing a device or network address (possible proxies)
+   */
+  async getProxyClusters(req, res) {
+    try {
+      const { sessionId } = req.params;
+
+      const session = await Session.findById(sessionId);
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          message: 'Session not found'
+        });
+      }
+
+      if (req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied to this session'
+        });
+      }
+
+      const settings = getProxyDetectionSettings();
+
+      const records = await Attendance.find({ session: sessionId, isActive: true })
+        .select('student status isApproved isProxy proxyReason checkInTime deviceInfo locationVerification')
+        .populate('student', 'firstName lastName studentId email');
+
+      const toEvidence = (record) => ({
+        attendanceId: record._id,
+        student: record.student,
+        status: record.status,
+        isApproved: record.isApproved,
+        isProxy: record.isProxy,
+        checkInTime: record.checkInTime,
+        deviceInfo: {
+          userAgent: record.deviceInfo && record.deviceInfo.userAgent,
+          platform: record.deviceInfo && record.deviceInfo.platform,
+          browser: record.deviceInfo && record.deviceInfo.browser,
+          ipAddress: record.deviceInfo && record.deviceInfo.ipAddress
+        },
+        locationFlagged: !!(record.locationVerification && record.locationVerification.flagged)
+      });
+
+      const since = new Date(Date.now() - settings.lookbackDays * 24 * 60 * 60 * 1000);
+
+      const clusters = [];
+      for (const cluster of proxyDetection.buildClusters(records, settings)) {
+        const entry = {
+          type: cluster.type,
+          value: cluster.value,
+          studentCount: cluster.studentCount,
+          records: cluster.records.map(toEvidence)
+        };
+
+        // Show how often the same device was used for other students recently
+        if (cluster.type === 'fingerprint') {
+          const history = await Attendance.find({
+            session: { $ne: sessionId },
+            'deviceInfo.fingerprint': cluster.value,
+            checkInTime: { $gte: since }
+          }).select('student session');
+
+          entry.otherSessions = {
+            sessions: new Set(history.map(record => String(record.session))).size,
+            students: new Set(history.map(record => String(record.student))).size
+          };
+        }
+
+        clusters.push(entry);
+      }
+
+      // Records flagged on their own (e.g. cross-session reuse) that are not part of a cluster above
+      const clusteredIds = new Set(clusters.flatMap(cluster => cluster.records.map(record => String(record.attendanceId))));
+      const flaggedRecords = records
+        .filter(record => record.isProxy && !clusteredIds.has(String(record._id)))
+        .map(record => ({ ...toEvidence(record), proxyReason: record.proxyReason }));
+
+      res.json({
+        success: true,
+        data: {
+          sessionId,
+          clusters,
+          flaggedRecords,
+          totalSubmissions: records.length,
+          settings
+        }
+      });
+    } catch (error) {
+      console.error('Get proxy clusters error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get proxy clusters',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Approve individual attendance submission
    */
@@ -609,15 +1298,15 @@ class AttendanceController {
       const facultyId = req.user._id;
 
       // Validate status
-      if (!['present', 'absent', 'excused'].includes(status)) {
+      if (!['present', 'late', 'partial', 'absent', 'excused'].includes(status)) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid status. Must be present, absent, or excused'
+          message: 'Invalid status. Must be present, late, partial, absent, or excused'
         });
       }
 
       const attendance = await Attendance.findById(attendanceId)
-        .populate('session', 'faculty title');
+        .populate('session', 'faculty substituteFaculty title startTime attendanceSettings.requireBiometric');
 
       if (!attendance) {
         return res.status(404).json({
@@ -627,13 +1316,32 @@ class AttendanceController {
       }
 
       // Verify faculty has access to this session
-      if (attendance.session.faculty.toString() !== facultyId.toString()) {
+      if (!attendance.session.isTaughtBy(facultyId)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied to this attendance record'
         });
       }
 
+      const lock = await getRecordSemesterLock(req.user, attendance);
+      if (lock) {
+        return res.status(403).json({
+          success: false,
+          message: lock.message,
+          data: { lock }
+        });
+      }
+
+      // Unconfirmed submissions cannot count as attended when the session requires biometric confirmation
+      const biometricRequired = attendance.session.attendanceSettings && attendance.session.attendanceSettings.requireBiometric;
+      if (biometricRequired && ['present', 'late', 'partial'].includes(status) &&
+          !(attendance.biometricData && attendance.biometricData.verified)) {
+        return res.status(400).json({
+          success: false,
+          message: 'This session requires biometric confirmation before attendance can be approved as present'
+        });
+      }
+
       // Update attendance
       attendance.status = status;
       attendance.isApproved = true;
@@ -644,8 +1352,13 @@ class AttendanceController {
         attendance.verificationNotes = notes;
       }
 
+      attendance.setRevisionContext({ actor: facultyId, reason: notes, source: 'attendance.approve' });
       await attendance.save();
 
+      // Keep the session head count in line with the reviewed record
+      await attendance.session.refreshAttendanceCount();
+      await attendance.session.save();
+
       res.json({
         success: true,
         message: 'Attendance approved successfully',
@@ -671,13 +1384,26 @@ class AttendanceController {
 
       // Verify faculty has access to this session
       const session = await Session.findById(sessionId);
-      if (!session || session.faculty.toString() !== facultyId.toString()) {
+      if (!session || !session.isTaughtBy(facultyId)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied to this session'
         });
       }
 
+      const lock = await getSemesterLock(req.user, {
+        academicYear: session.academicYear,
+        semester: session.semester,
+        date: session.startTime
+      });
+      if (lock) {
+        return res.status(403).json({
+          success: false,
+          message: lock.message,
+          data: { lock }
+        });
+      }
+
       // Get all enrolled students
       const enrolledStudentIds = session.enrolledStudents.map(es => es.student);
 
@@ -703,39 +1429,71 @@ class AttendanceController {
             isApproved: true,
             approvedBy: facultyId,
             approvedAt: new Date(),
+            // Marked by faculty, not submitted by the student
+            verifiedBy: facultyId,
+            verifiedAt: new Date(),
             qrSubmission: {
-              submittedAt: new Date(),
               isPendingApproval: false
             }
           });
         }
       }
 
-      // Update existing pending records to approved
-      await Attendance.updateMany(
+      // Update existing pending records to approved, keeping the present/late status they were
+      // submitted with; possible proxies, submissions flagged outside the geofence and those still
+      // waiting for biometric confirmation need individual review
+      const biometricRequired = session.getBiometricPolicy().required;
+      await Attendance.updateManyWithRevisions(
         {
           session: sessionId,
           'qrSubmission.isPendingApproval': true,
-          isApproved: false
+          isApproved: false,
+          isProxy: { $ne: true },
+          'locationVerification.flagged': { $ne: true },
+          ...(biometricRequired && { 'biometricData.verified': true })
         },
         {
           $set: {
-            status: 'present',
             isApproved: true,
             approvedBy: facultyId,
             approvedAt: new Date(),
             'qrSubmission.isPendingApproval': false
           }
-        }
+        },
+        { actor: facultyId, source: 'attendance.bulk_approve' }
       );
 
       // Create new attendance records
       if (newAttendanceRecords.length > 0) {
-        await Attendance.insertMany(newAttendanceRecords);
+        const created = await Attendance.insertMany(newAttendanceRecords);
+        await Attendance.recordCreatedRevisions(created, { actor: facultyId, source: 'attendance.bulk_approve' });
       }
 
-      // Update session attendance count
-      session.currentAttendance = enrolledStudentIds.length;
+      const proxyPending = await Attendance.countDocuments({
+        session: sessionId,
+        'qrSubmission.isPendingApproval': true,
+        isApproved: false,
+        isProxy: true
+      });
+
+      const locationPending = await Attendance.countDocuments({
+        session: sessionId,
+        'qrSubmission.isPendingApproval': true,
+        isApproved: false,
+        'locationVerification.flagged': true
+      });
+
+      const biometricPending = biometricRequired
+        ? await Attendance.countDocuments({
+          session: sessionId,
+          'qrSubmission.isPendingApproval': true,
+          isApproved: false,
+          'biometricData.verified': { $ne: true }
+        })
+        : 0;
+
+      // Update session attendance count; records still pending review are not counted yet
+      await session.refreshAttendanceCount();
       await session.save();
 
       res.json({
@@ -744,7 +1502,10 @@ class AttendanceController {
         data: {
           totalStudents: enrolledStudentIds.length,
           newRecords: newAttendanceRecords.length,
-          updatedRecords: existingAttendance.length
+          updatedRecords: existingAttendance.length,
+          proxyPending,
+          locationPending,
+          biometricPending
         }
       });
     } catch (error) {
@@ -767,15 +1528,15 @@ class AttendanceController {
       const facultyId = req.user._id;
 
       // Validate status
-      if (!['present', 'absent', 'excused'].includes(status)) {
+      if (!['present', 'late', 'partial', 'absent', 'excused'].includes(status)) {
         return res.status(400).json({
           success: false,
-          message: 'Invalid status. Must be present, absent, or excused'
+          message: 'Invalid status. Must be present, late, partial, absent, or excused'
         });
       }
 
       const attendance = await Attendance.findById(attendanceId)
-        .populate('session', 'faculty title');
+        .populate('session', 'faculty substituteFaculty title startTime');
 
       if (!attendance) {
         return res.status(404).json({
@@ -785,13 +1546,22 @@ class AttendanceController {
       }
 
       // Verify faculty has access to this session
-      if (attendance.session.faculty.toString() !== facultyId.toString()) {
+      if (!attendance.session.isTaughtBy(facultyId)) {
         return res.status(403).json({
           success: false,
           message: 'Access denied to this attendance record'
         });
       }
 
+      const lock = await getRecordSemesterLock(req.user, attendance);
+      if (lock) {
+        return res.status(403).json({
+          success: false,
+          message: lock.message,
+          data: { lock }
+        });
+      }
+
       // Update attendance
       attendance.status = status;
       attendance.verifiedBy = facultyId;
@@ -800,8 +1570,13 @@ class AttendanceController {
         attendance.verificationNotes = notes;
       }
 
+      attendance.setRevisionContext({ actor: facultyId, reason: notes, source: 'attendance.modify' });
       await attendance.save();
 
+      // Keep the session head count in line with the reviewed record
+      await attendance.session.refreshAttendanceCount();
+      await attendance.session.save();
+
       res.json({
         success: true,
         message: 'Attendance modified successfully',
@@ -816,6 +1591,298 @@ class AttendanceController {
       });
     }
   }
+
+  /**
+   * Issue (or rotate) the key a faculty device signs offline bundles with
+   */
+  async issueSyncKey(req, res) {
+    try {
+      const user = await User.findByIdAndUpdate(
+        req.user._id,
+        { $inc: { offlineSyncKeyVersion: 1 } },
+        { new: true }
+      ).select('offlineSyncKeyVersion');
+
+      res.json({
+        success: true,
+        message: 'Offline sync key issued successfully. Previously issued keys are revoked.',
+        data: {
+          key: offlineSync.deriveKey(user._id, user.offlineSyncKeyVersion),
+          keyVersion: user.offlineSyncKeyVersion,
+          algorithm: 'HMAC-SHA256',
+          maxRecords: offlineSync.maxRecords
+        }
+      });
+    } catch (error) {
+      console.error('Issue sync key error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to issue offline sync key',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Upload a signed bundle of attendance marks taken offline
+   */
+  async syncOfflineBatch(req, res) {
+    let batch;
+
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const bundle = req.body;
+      const user = await User.findById(req.user._id).select('role offlineSyncKeyVersion');
+
+      const verification = offlineSync.verifyBundle(bundle, user);
+      if (!verification.valid) {
+        return res.status(401).json({
+          success: false,
+          message: verification.error
+        });
+      }
+
+      // Idempotency: a retried upload gets the original report back
+      const bundleHash = offlineSync.hashBundle(bundle);
+      const previous = await SyncBatch.findOne({ faculty: user._id, idempotencyKey: bundle.idempotencyKey });
+
+      if (previous) {
+        if (previous.bundleHash !== bundleHash) {
+          return res.status(409).json({
+            success: false,
+            message: 'Idempotency key was already used for a different bundle'
+          });
+        }
+
+        if (previous.status === 'processing') {
+          return res.status(409).json({
+            success: false,
+            message: 'This bundle is still being processed'
+          });
+        }
+
+        return res.json({
+          success: true,
+          message: 'Bundle was already synced',
+          data: previous.toReport(true)
+        });
+      }
+
+      const sessionIds = [...new Set(bundle.records.map(mark => String(mark.sessionId)))];
+
+      try {
+        batch = await SyncBatch.create({
+          faculty: user._id,
+          idempotencyKey: bundle.idempotencyKey,
+          bundleHash,
+          deviceId: bundle.deviceId,
+          clientCreatedAt: bundle.createdAt,
+          sessions: sessionIds
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        return res.status(409).json({
+          success: false,
+          message: 'This bundle is still being processed'
+        });
+      }
+
+      const sessions = await Session.find({ _id: { $in: sessionIds } });
+      const sessionMap = new Map(sessions.map(session => [String(session._id), session]));
+
+      const results = [];
+      for (const mark of bundle.records) {
+        try {
+          results.push(await mergeOfflineMark(mark, sessionMap.get(String(mark.sessionId)), user));
+        } catch (error) {
+          results.push({
+            clientId: mark.clientId,
+            session: mark.sessionId,
+            student: mark.studentId,
+            status: mark.status,
+            result: 'rejected',
+            message: error.message
+          });
+        }
+      }
+
+      // Keep the session head counts in line with the merged records
+      for (const session of sessions) {
+        await session.refreshAttendanceCount();
+        await session.save();
+      }
+
+      batch.results = results;
+      batch.summary = results.reduce((summary, item) => {
+        summary[item.result] = (summary[item.result] || 0) + 1;
+        return summary;
+      }, { created: 0, updated: 0, unchanged: 0, skipped: 0, rejected: 0 });
+      batch.status = 'completed';
+      await batch.save();
+
+      res.json({
+        success: true,
+        message: 'Offline attendance synced successfully',
+        data: batch.toReport(false)
+      });
+    } catch (error) {
+      if (batch) {
+        // Let the device retry with the same idempotency key
+        await SyncBatch.deleteOne({ _id: batch._id }).catch(() => {});
+      }
+      console.error('Offline sync error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to sync offline attendance',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get the revision history of an attendance record
+   */
+  async getAttendanceHistory(req, res) {
+    try {
+      const { attendanceId } = req.params;
+
+      const attendance = await Attendance.findById(attendanceId)
+        .populate('session', 'faculty substituteFaculty title');
+
+      if (!attendance) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attendance record not found'
+        });
+      }
+
+      // Check permissions
+      if (req.user.role === 'student' &&
+          attendance.student.toString() !== req.user._id.toString()) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only view the history of your own attendance'
+        });
+      }
+
+      if (req.user.role === 'faculty' &&
+          !attendance.session.isTaughtBy(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this attendance record'
+        });
+      }
+
+      const revisions = await AttendanceRevision.find({ attendance: attendance._id })
+        .populate('actor', 'firstName lastName role')
+        .sort({ revision: 1 });
+
+      res.json({
+        success: true,
+        data: {
+          attendance,
+          revisions
+        }
+      });
+    } catch (error) {
+      console.error('Get attendance history error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get attendance history',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Revert an attendance record to a prior revision (admin)
+   */
+  async revertAttendance(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { attendanceId, revisionId } = req.params;
+      const { reason } = req.body;
+
+      const attendance = await Attendance.findById(attendanceId);
+
+      if (!attendance) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attendance record not found'
+        });
+      }
+
+      const lock = await getRecordSemesterLock(req.user, attendance);
+      if (lock) {
+        return res.status(403).json({
+          success: false,
+          message: lock.message,
+          data: { lock }
+        });
+      }
+
+      const revision = await AttendanceRevision.findOne({ _id: revisionId, attendance: attendance._id });
+
+      if (!revision) {
+        return res.status(404).json({
+          success: false,
+          message: 'Revision not found for this attendance record'
+        });
+      }
+
+      const current = attendance.getRevisionSnapshot();
+      attendance.applyRevisionSnapshot(revision.snapshot);
+
+      const unchanged = Object.keys(current)
+        .every(field => String(current[field]) === String(attendance.getRevisionSnapshot()[field]));
+
+      if (unchanged) {
+        return res.status(400).json({
+          success: false,
+          message: 'Attendance record already matches this revision'
+        });
+      }
+
+      attendance.setRevisionContext({
+        actor: req.user._id,
+        reason,
+        source: 'attendance.revert',
+        revertedTo: revision.revision
+      });
+      await attendance.save();
+
+      res.json({
+        success: true,
+        message: `Attendance reverted to revision ${revision.revision}`,
+        data: { attendance }
+      });
+    } catch (error) {
+      console.error('Revert attendance error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revert attendance',
+        error: error.message
+      });
+    }
+  }
 }
 
 module.exports = new AttendanceController();
@@ -0,0 +1,427 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Attendance = require('../models/Attendance');
+const AttendanceImport = require('../models/AttendanceImport');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const AcademicYear = require('../models/AcademicYear');
+const { validationResult } = require('express-validator');
+const attendanceSheetParser = require('../utils/attendanceSheetParser');
+
+const PREVIEW_TTL_HOURS = 24;
+
+// Match a matrix date column to one of the course's sessions on that day
+const findSessionForDate = (sessions, entry) => {
+  return sessions.filter(session => {
+    const start = moment(session.startTime);
+    if (!start.isSame(entry.date, 'day')) return false;
+    return !entry.hasTime || start.format('HH:mm') === moment(entry.date).format('HH:mm');
+  });
+};
+
+// Locks of finalized semesters keyed by session ID (sessions without a lock are left out)
+const getSessionLocks = async (user, sessions) => {
+  const locks = new Map();
+  for (const session of sessions) {
+    const lock = await AcademicYear.getAttendanceLock({
+      year: session.academicYear,
+      semester: session.semester,
+      date: session.startTime,
+      user
+    });
+    if (lock) locks.set(String(session._id), lock);
+  }
+  return locks;
+};
+
+const canManageImport = (user, attendanceImport) => {
+  return user.role === 'admin' || String(attendanceImport.faculty) === String(user._id);
+};
+
+class AttendanceImportController {
+  /**
+   * Upload a roster or matrix sheet and build a validation preview
+   */
+  async createImport(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'Please upload a CSV or XLSX file'
+        });
+      }
+
+      const format = req.file.originalname.toLowerCase().endsWith('.xlsx') ? 'xlsx' : 'csv';
+      const { sessionId, courseCode, startDate, endDate } = req.body;
+      const mode = req.body.mode || (sessionId ? 'roster' : 'matrix');
+
+      let rows;
+      try {
+        rows = await attendanceSheetParser.readRows(req.file.buffer, format);
+      } catch (err) {
+        return res.status(400).json({
+          success: false,
+          message: 'The file could not be read',
+          error: err.message
+        });
+      }
+
+      if (rows.length > attendanceSheetParser.maxRows + 1) {
+        return res.status(400).json({
+          success: false,
+          message: `A sheet can have at most ${attendanceSheetParser.maxRows} rows`
+        });
+      }
+
+      // Resolve the sessions the sheet covers
+      let sessions;
+      let parsed;
+
+      if (mode === 'roster') {
+        const session = await Session.findById(sessionId);
+        if (!session) {
+          return res.status(404).json({
+            success: false,
+            message: 'Session not found'
+          });
+        }
+
+        if (req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
+          return res.status(403).json({
+            success: false,
+            message: 'You do not have permission to mark attendance for this session'
+          });
+        }
+
+        sessions = [session];
+        parsed = attendanceSheetParser.parseRoster(rows);
+        parsed.entries.forEach(entry => { entry.sessions = [session]; });
+      } else {
+        const sessionQuery = {
+          courseCode: courseCode.toUpperCase(),
+          startTime: {
+            $gte: moment(startDate).startOf('day').toDate(),
+            $lte: moment(endDate).endOf('day').toDate()
+          },
+          status: { $ne: 'cancelled' }
+        };
+        if (req.user.role === 'faculty') Object.assign(sessionQuery, Session.taughtByFilter(req.user._id));
+
+        sessions = await Session.find(sessionQuery).sort({ startTime: 1 });
+        parsed = attendanceSheetParser.parseMatrix(rows);
+        parsed.entries.forEach(entry => { entry.sessions = findSessionForDate(sessions, entry); });
+      }
+
+      const issues = parsed.issues;
+      const sheetCourseCode = mode === 'roster' ? sessions[0].courseCode : courseCode.toUpperCase();
+      const locks = await getSessionLocks(req.user, sessions);
+
+      // Look up students by their institutional ID
+      const studentIds = [...new Set(parsed.entries.map(entry => entry.studentId))];
+      const students = await User.find({ studentId: { $in: studentIds }, role: 'student' }).select('_id studentId');
+      const studentsById = new Map(students.map(student => [student.studentId.toLowerCase(), student]));
+
+      const sessionIds = sessions.map(session => session._id);
+      const existing = await Attendance.find({
+        session: { $in: sessionIds },
+        student: { $in: students.map(student => student._id) }
+      }).select('student session status');
+      const existingByKey = new Map(existing.map(record => [`${record.session}:${record.student}`, record]));
+
+      const now = new Date();
+      const seen = new Set();
+      const entries = [];
+
+      parsed.entries.forEach(entry => {
+        const issue = { row: entry.row, column: entry.column, studentId: entry.studentId };
+        const student = studentsById.get(entry.studentId.toLowerCase());
+
+        if (!student) {
+          issues.push({ ...issue, type: 'unknown_student', message: `No student with ID ${entry.studentId}` });
+          return;
+        }
+
+        if (entry.sessions.length === 0) {
+          issues.push({ ...issue, type: 'no_session', message: `No ${sheetCourseCode} session on ${entry.column}` });
+          return;
+        }
+
+        if (entry.sessions.length > 1) {
+          issues.push({ ...issue, type: 'ambiguous_session', message: `Several ${sheetCourseCode} sessions on ${entry.column}; add the start time (HH:mm) to the column header` });
+          return;
+        }
+
+        const session = entry.sessions[0];
+
+        if (session.startTime > now) {
+          issues.push({ ...issue, type: 'session_not_started', message: 'The session has not started yet' });
+          return;
+        }
+
+        const lock = locks.get(String(session._id));
+        if (lock) {
+          issues.push({ ...issue, type: 'semester_locked', message: lock.message });
+          return;
+        }
+
+        const isEnrolled = session.enrolledStudents.some(enrolled => String(enrolled.student) === String(student._id));
+        if (!isEnrolled) {
+          issues.push({ ...issue, type: 'not_enrolled', message: `${entry.studentId} is not enrolled in this session` });
+          return;
+        }
+
+        const key = `${session._id}:${student._id}`;
+        if (seen.has(key)) {
+          issues.push({ ...issue, type: 'duplicate_row', message: `${entry.studentId} appears more than once for this session` });
+          return;
+        }
+        seen.add(key);
+
+        const record = existingByKey.get(key);
+        entries.push({
+          row: entry.row,
+          column: entry.column,
+          studentId: entry.studentId,
+          student: student._id,
+          session: session._id,
+          status: entry.status,
+          notes: entry.notes,
+          existingAttendance: record ? record._id : undefined,
+          existingStatus: record ? record.status : undefined,
+          conflict: Boolean(record && record.status !== entry.status)
+        });
+      });
+
+      const attendanceImport = await AttendanceImport.create({
+        faculty: req.user._id,
+        fileName: req.file.originalname,
+        format,
+        mode,
+        courseCode: mode === 'matrix' ? courseCode.toUpperCase() : sessions[0].courseCode,
+        range: mode === 'matrix' ? { startDate, endDate } : undefined,
+        sessions: [...new Set(entries.map(entry => String(entry.session)))],
+        entries,
+        issues,
+        expiresAt: moment().add(PREVIEW_TTL_HOURS, 'hours').toDate()
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Attendance sheet validated; review the preview and commit it to save the records',
+        data: attendanceImport.toPreview()
+      });
+    } catch (error) {
+      console.error('Create attendance import error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to validate attendance sheet',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get an import preview or its commit result
+   */
+  async getImport(req, res) {
+    try {
+      const attendanceImport = await AttendanceImport.findById(req.params.importId);
+
+      if (!attendanceImport) {
+        return res.status(404).json({
+          success: false,
+          message: 'Import not found'
+        });
+      }
+
+      if (!canManageImport(req.user, attendanceImport)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: attendanceImport.toPreview()
+      });
+    } catch (error) {
+      console.error('Get attendance import error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get import',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Commit a previewed import as approved attendance records in one transaction
+   */
+  async commitImport(req, res) {
+    let dbSession;
+
+    try {
+      const attendanceImport = await AttendanceImport.findById(req.params.importId);
+
+      if (!attendanceImport) {
+        return res.status(404).json({
+          success: false,
+          message: 'Import not found'
+        });
+      }
+
+      if (!canManageImport(req.user, attendanceImport)) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied'
+        });
+      }
+
+      if (attendanceImport.status !== 'preview') {
+        return res.status(400).json({
+          success: false,
+          message: `Import has already been ${attendanceImport.status}`
+        });
+      }
+
+      if (attendanceImport.expiresAt && attendanceImport.expiresAt < new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Import preview has expired; upload the sheet again'
+        });
+      }
+
+      const overwrite = req.body.overwrite === true;
+      const now = new Date();
+      let result;
+
+      dbSession = await mongoose.startSession();
+      await dbSession.withTransaction(async () => {
+        result = { created: 0, updated: 0, unchanged: 0, skipped: 0 };
+
+        const sessions = await Session.find({ _id: { $in: attendanceImport.sessions } }).session(dbSession);
+        const sessionsById = new Map(sessions.map(session => [String(session._id), session]));
+        const locks = await getSessionLocks(req.user, sessions);
+
+        for (const entry of attendanceImport.entries) {
+          const session = sessionsById.get(String(entry.session));
+          // The unlock window may have closed since the preview was built
+          if (!session || locks.has(String(entry.session))) {
+            result.skipped++;
+            continue;
+          }
+
+          const context = {
+            actor: req.user._id,
+            reason: entry.notes || `Imported from ${attendanceImport.fileName}`,
+            source: 'attendance.import'
+          };
+
+          // Re-read the record: it may have changed since the preview was built
+          const attendance = await Attendance.findOne({ student: entry.student, session: entry.session }).session(dbSession);
+
+          if (!attendance) {
+            await new Attendance({
+              student: entry.student,
+              session: entry.session,
+              status: entry.status,
+              checkInTime: session.startTime,
+              academicYear: session.academicYear,
+              semester: session.semester,
+              isApproved: true,
+              approvedBy: req.user._id,
+              approvedAt: now,
+              qrSubmission: { isPendingApproval: false },
+              verifiedBy: req.user._id,
+              verifiedAt: now,
+              verificationNotes: entry.notes,
+              createdBy: req.user._id
+            }).setRevisionContext(context).save({ session: dbSession });
+            result.created++;
+            continue;
+          }
+
+          if (attendance.status === entry.status && attendance.isApproved) {
+            result.unchanged++;
+            continue;
+          }
+
+          if (attendance.status !== entry.status && !overwrite) {
+            result.skipped++;
+            continue;
+          }
+
+          attendance.status = entry.status;
+          attendance.isApproved = true;
+          attendance.approvedBy = req.user._id;
+          attendance.approvedAt = now;
+          if (attendance.qrSubmission) attendance.qrSubmission.isPendingApproval = false;
+          attendance.verifiedBy = req.user._id;
+          attendance.verifiedAt = now;
+          if (entry.notes) attendance.verificationNotes = entry.notes;
+
+          await attendance.setRevisionContext(context).save({ session: dbSession });
+          result.updated++;
+        }
+
+        for (const session of sessions) {
+          await session.refreshAttendanceCount();
+          await session.save({ session: dbSession });
+        }
+
+        attendanceImport.status = 'committed';
+        attendanceImport.committedBy = req.user._id;
+        attendanceImport.committedAt = now;
+        attendanceImport.overwrite = overwrite;
+        attendanceImport.result = result;
+        attendanceImport.expiresAt = undefined;
+        await attendanceImport.save({ session: dbSession });
+      });
+
+      await AuditLog.record({
+        action: 'attendance_import_committed',
+        actor: req.user._id,
+        targetType: 'AttendanceImport',
+        targetId: attendanceImport._id,
+        details: { fileName: attendanceImport.fileName, sessions: attendanceImport.sessions, overwrite, result }
+      });
+
+      res.json({
+        success: true,
+        message: 'Attendance sheet imported successfully',
+        data: attendanceImport.toPreview()
+      });
+    } catch (error) {
+      console.error('Commit attendance import error:', error);
+
+      // Standalone MongoDB servers reject transactions (IllegalOperation)
+      if (error.code === 20 && /replica set|mongos/i.test(error.message)) {
+        return res.status(503).json({
+          success: false,
+          message: 'Attendance import requires MongoDB to run as a replica set; ask an administrator to enable one'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to import attendance sheet',
+        error: error.message
+      });
+    } finally {
+      if (dbSession) await dbSession.endSession();
+    }
+  }
+}
+
+module.exports = new AttendanceImportController();
@@ -2,8 +2,13 @@ const AuditLog = require('../models/AuditLog')
 
 exports.list = async (req, res, next) => {
   try {
-    const { page = 1, limit = 50 } = req.query
-    const logs = await AuditLog.find()
+    const { page = 1, limit = 50, action, targetType, targetId } = req.query
+    const query = {}
+    if (action) query.action = action
+    if (targetType) query.targetType = targetType
+    if (targetId) query.targetId = targetId
+
+    const logs = await AuditLog.find(query)
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
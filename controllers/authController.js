@@ -2,6 +2,7 @@ const User = require('../models/User');
 const { generateToken, generateRefreshToken, verifyRefreshToken } = require('../middlewares/authMiddleware');
 const { validationResult } = require('express-validator');
 const emailService = require('../utils/emailService');
+const qrCodeGenerator = require('../utils/qrCodeGenerator');
 
 class AuthController {
   /**
@@ -321,6 +322,60 @@ class AuthController {
     }
   }
 
+  /**
+   * Get a short-lived signed ID QR code for the current student
+   */
+  async getProfileQR(req, res) {
+    try {
+      const user = await User.findById(req.user._id);
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+
+      if (user.role !== 'student') {
+        return res.status(403).json({
+          success: false,
+          message: 'ID QR codes are only available to students'
+        });
+      }
+
+      const expiresInSeconds = parseInt(process.env.USER_QR_EXPIRE_SECONDS, 10) || 60;
+      const expiresAt = new Date(Date.now() + expiresInSeconds * 1000).toISOString();
+
+      const qrResult = await qrCodeGenerator.generateUserQR(user, { width: 250, margin: 2 }, { expiresAt });
+
+      if (!qrResult.success) {
+        return res.status(500).json({
+          success: false,
+          message: 'Failed to generate ID QR code',
+          error: qrResult.error
+        });
+      }
+
+      res.json({
+        success: true,
+        data: {
+          qrCode: {
+            qrCodeDataURL: qrResult.data.qrCodeDataURL,
+            expiresAt: qrResult.data.expiresAt,
+            refreshInMs: expiresInSeconds * 1000
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get profile QR error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get ID QR code',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Update user profile
    */
@@ -0,0 +1,353 @@
+const path = require('path');
+const Attendance = require('../models/Attendance');
+const CondonationRequest = require('../models/CondonationRequest');
+const Department = require('../models/Department');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { validationResult } = require('express-validator');
+const { removeUploadedFiles } = require('../middlewares/uploadMiddleware');
+
+// Map uploaded supporting documents to the stored shape
+const toDocuments = (files = []) => files.map(file => ({
+  originalName: file.originalname,
+  filename: file.filename,
+  path: file.path,
+  mimeType: file.mimetype,
+  size: file.size
+}));
+
+class CondonationController {
+  /**
+   * Request condonation of an attendance shortfall in a subject (student)
+   */
+  async requestCondonation(req, res) {
+    const files = req.files || [];
+
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        removeUploadedFiles(files);
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { ground, reason, paymentReference } = req.body;
+      const courseCode = req.body.courseCode.toUpperCase();
+
+      const student = await User.findById(req.user._id).select('department academicYear semester');
+      const rules = await Department.getEligibilityRules(student.department);
+
+      if (!rules.condonationGrounds.includes(ground)) {
+        removeUploadedFiles(files);
+        return res.status(400).json({
+          success: false,
+          message: `Condonation is only granted on these grounds: ${rules.condonationGrounds.join(', ')}`
+        });
+      }
+
+      if (rules.documentsRequiredFor.includes(ground) && files.length === 0) {
+        removeUploadedFiles(files);
+        return res.status(400).json({
+          success: false,
+          message: `Supporting documents are required for ${ground} condonation`
+        });
+      }
+
+      if ((ground === 'payment' || rules.condonationFee > 0) && !paymentReference) {
+        removeUploadedFiles(files);
+        return res.status(400).json({
+          success: false,
+          message: 'Payment reference for the condonation fee is required'
+        });
+      }
+
+      const { eligibility } = await Attendance.getSubjectEligibility([student._id], {
+        department: student.department,
+        academicYear: student.academicYear,
+        semester: student.semester,
+        courseCode
+      });
+      const subject = (eligibility.get(String(student._id)) || [])[0];
+
+      if (!subject) {
+        removeUploadedFiles(files);
+        return res.status(404).json({
+          success: false,
+          message: 'No attendance found for this subject in your current semester'
+        });
+      }
+
+      if (subject.status !== 'condonable') {
+        removeUploadedFiles(files);
+        return res.status(400).json({
+          success: false,
+          message: subject.status === 'eligible'
+            ? 'You are already eligible for this subject'
+            : `Attendance of ${subject.percentage}% is below the ${rules.condonationMinimum}% condonation limit`,
+          data: { eligibility: subject }
+        });
+      }
+
+      let condonation;
+      try {
+        condonation = await CondonationRequest.create({
+          student: student._id,
+          department: student.department,
+          courseCode,
+          subject: subject.subject,
+          academicYear: student.academicYear,
+          semester: student.semester,
+          ground,
+          reason,
+          paymentReference,
+          documents: toDocuments(files),
+          percentageAtRequest: subject.percentage,
+          minimumPercentage: rules.minimumPercentage,
+          condonationMinimum: rules.condonationMinimum
+        });
+      } catch (err) {
+        removeUploadedFiles(files);
+        if (err.code === 11000) {
+          return res.status(400).json({
+            success: false,
+            message: 'A condonation request is already open for this subject'
+          });
+        }
+        throw err;
+      }
+
+      await AuditLog.record({
+        action: 'condonation_requested',
+        actor: req.user._id,
+        targetType: 'CondonationRequest',
+        targetId: condonation._id,
+        details: { courseCode, ground, percentage: subject.percentage }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Condonation request submitted successfully',
+        data: { condonation }
+      });
+    } catch (error) {
+      console.error('Request condonation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit condonation request',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List condonation requests (students see their own, department heads their department)
+   */
+  async getCondonations(req, res) {
+    try {
+      const { status, courseCode, department, page = 1, limit = 20 } = req.query;
+      const query = {};
+
+      if (req.user.role === 'student') {
+        query.student = req.user._id;
+      } else if (req.user.role === 'faculty') {
+        const headed = await Department.find({ head: req.user._id }).select('_id');
+        query.department = { $in: headed.map(dept => dept._id) };
+      } else if (department) {
+        query.department = department;
+      }
+
+      if (status) query.status = status;
+      if (courseCode) query.courseCode = courseCode.toUpperCase();
+
+      const condonations = await CondonationRequest.find(query)
+        .populate('student', 'firstName lastName studentId email')
+        .populate('reviewedBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await CondonationRequest.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          condonations,
+          pagination: {
+            current: parseInt(page),
+            pages: Math.ceil(total / limit),
+            total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get condonations error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get condonation requests',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Approve or reject a condonation request (department head or admin)
+   */
+  async decideCondonation(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { decision, notes } = req.body;
+      const condonation = await CondonationRequest.findById(req.params.requestId);
+
+      if (!condonation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Condonation request not found'
+        });
+      }
+
+      if (condonation.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `Condonation request has already been ${condonation.status}`
+        });
+      }
+
+      if (!(await condonation.canBeReviewedBy(req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'Only the department head or an admin can decide condonation requests'
+        });
+      }
+
+      condonation.status = decision;
+      condonation.reviewedBy = req.user._id;
+      condonation.reviewedAt = new Date();
+      condonation.reviewNotes = notes;
+      await condonation.save();
+
+      await AuditLog.record({
+        action: `condonation_${decision}`,
+        actor: req.user._id,
+        targetType: 'CondonationRequest',
+        targetId: condonation._id,
+        details: { student: condonation.student, courseCode: condonation.courseCode, notes }
+      });
+
+      res.json({
+        success: true,
+        message: `Condonation request ${decision}`,
+        data: { condonation }
+      });
+    } catch (error) {
+      console.error('Decide condonation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to decide condonation request',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Withdraw a pending condonation request (student)
+   */
+  async withdrawCondonation(req, res) {
+    try {
+      const condonation = await CondonationRequest.findById(req.params.requestId);
+
+      if (!condonation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Condonation request not found'
+        });
+      }
+
+      if (String(condonation.student) !== String(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only withdraw your own condonation requests'
+        });
+      }
+
+      if (condonation.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `Condonation request has already been ${condonation.status}`
+        });
+      }
+
+      condonation.status = 'withdrawn';
+      await condonation.save();
+
+      res.json({
+        success: true,
+        message: 'Condonation request withdrawn',
+        data: { condonation }
+      });
+    } catch (error) {
+      console.error('Withdraw condonation error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to withdraw condonation request',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Download a supporting document
+   */
+  async downloadDocument(req, res) {
+    try {
+      const { requestId, documentId } = req.params;
+      const condonation = await CondonationRequest.findById(requestId);
+
+      if (!condonation) {
+        return res.status(404).json({
+          success: false,
+          message: 'Condonation request not found'
+        });
+      }
+
+      const isOwner = String(condonation.student) === String(req.user._id);
+      if (!isOwner && !(await condonation.canBeReviewedBy(req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this document'
+        });
+      }
+
+      const document = condonation.documents.id(documentId);
+      if (!document) {
+        return res.status(404).json({
+          success: false,
+          message: 'Document not found'
+        });
+      }
+
+      res.download(path.resolve(document.path), document.originalName);
+    } catch (error) {
+      console.error('Download condonation document error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download document',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new CondonationController();
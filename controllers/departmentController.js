@@ -2,6 +2,18 @@ const Department = require('../models/Department');
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
 
+// Turn a nested settings object in an update into dotted paths, so fields the update leaves out keep their values
+const mergeNestedFields = (updateData, field) => {
+  const value = updateData[field];
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return updateData;
+
+  delete updateData[field];
+  Object.keys(value).forEach(key => {
+    updateData[`${field}.${key}`] = value[key];
+  });
+  return updateData;
+};
+
 class DepartmentController {
   /**
    * Create a new department
@@ -23,7 +35,9 @@ class DepartmentController {
         code,
         description,
         contactInfo,
-        academicInfo
+        academicInfo,
+        attendancePolicy,
+        eligibilityRules
       } = req.body;
 
       const createdBy = req.user._id;
@@ -46,6 +60,8 @@ class DepartmentController {
         description,
         contactInfo,
         academicInfo,
+        attendancePolicy,
+        eligibilityRules,
         createdBy
       };
 
@@ -162,7 +178,7 @@ class DepartmentController {
   async updateDepartment(req, res) {
     try {
       const { departmentId } = req.params;
-      const updateData = req.body;
+      const updateData = mergeNestedFields(mergeNestedFields({ ...req.body }, 'attendancePolicy'), 'eligibilityRules');
 
       const department = await Department.findById(departmentId);
       if (!department) {
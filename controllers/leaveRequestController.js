@@ -0,0 +1,369 @@
+const path = require('path');
+const LeaveRequest = require('../models/LeaveRequest');
+const Department = require('../models/Department');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { validationResult } = require('express-validator');
+const { removeUploadedFiles } = require('../middlewares/uploadMiddleware');
+
+class LeaveRequestController {
+  /**
+   * Submit a leave request (student)
+   */
+  async createLeaveRequest(req, res) {
+    const files = req.files || [];
+
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        removeUploadedFiles(files);
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { startDate, endDate, category, reason } = req.body;
+
+      const start = new Date(startDate);
+      const end = new Date(endDate);
+      end.setHours(23, 59, 59, 999);
+
+      if (end < start) {
+        removeUploadedFiles(files);
+        return res.status(400).json({
+          success: false,
+          message: 'End date cannot be before start date'
+        });
+      }
+
+      const student = await User.findById(req.user._id).select('department');
+
+      // Overlapping open requests would excuse the same sessions twice
+      const overlapping = await LeaveRequest.findOne({
+        student: req.user._id,
+        status: { $in: ['pending', 'approved'] },
+        startDate: { $lte: end },
+        endDate: { $gte: start }
+      });
+
+      if (overlapping) {
+        removeUploadedFiles(files);
+        return res.status(400).json({
+          success: false,
+          message: 'You already have a leave request covering these dates'
+        });
+      }
+
+      const sessions = await LeaveRequest.findAffectedSessions(req.user._id, start, end);
+
+      const leaveRequest = await LeaveRequest.create({
+        student: req.user._id,
+        department: student ? student.department : undefined,
+        startDate: start,
+        endDate: end,
+        category,
+        reason,
+        sessions: sessions.map(session => session._id),
+        attachments: files.map(file => ({
+          originalName: file.originalname,
+          filename: file.filename,
+          path: file.path,
+          mimeType: file.mimetype,
+          size: file.size
+        }))
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Leave request submitted successfully',
+        data: {
+          leaveRequest,
+          affectedSessions: sessions.length
+        }
+      });
+    } catch (error) {
+      removeUploadedFiles(files);
+      console.error('Create leave request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit leave request',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get leave requests visible to the current user
+   */
+  async getLeaveRequests(req, res) {
+    try {
+      const {
+        status,
+        category,
+        page = 1,
+        limit = 10
+      } = req.query;
+
+      const query = {};
+      if (status) query.status = status;
+      if (category) query.category = category;
+
+      if (req.user.role === 'student') {
+        query.student = req.user._id;
+      } else if (req.user.role === 'faculty') {
+        // Requests touching the faculty's sessions, or from the department they head
+        const sessionIds = await Session.find(Session.taughtByFilter(req.user._id)).distinct('_id');
+        const headedDepartments = await Department.find({ head: req.user._id }).distinct('_id');
+
+        query.$or = [
+          { sessions: { $in: sessionIds } },
+          { department: { $in: headedDepartments } }
+        ];
+      }
+
+      const leaveRequests = await LeaveRequest.find(query)
+        .populate('student', 'firstName lastName studentId email')
+        .populate('reviewedBy', 'firstName lastName')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const totalRequests = await LeaveRequest.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          leaveRequests,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(totalRequests / limit),
+            totalRequests,
+            hasNext: page < Math.ceil(totalRequests / limit),
+            hasPrev: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get leave requests error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get leave requests',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get leave request by ID
+   */
+  async getLeaveRequestById(req, res) {
+    try {
+      const leaveRequest = await LeaveRequest.findById(req.params.leaveRequestId)
+        .populate('student', 'firstName lastName studentId email')
+        .populate('sessions', 'title subject courseCode startTime endTime faculty')
+        .populate('reviewedBy', 'firstName lastName');
+
+      if (!leaveRequest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Leave request not found'
+        });
+      }
+
+      const isOwner = String(leaveRequest.student._id) === String(req.user._id);
+      if (!isOwner && !(await leaveRequest.canBeReviewedBy(req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this leave request'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { leaveRequest }
+      });
+    } catch (error) {
+      console.error('Get leave request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get leave request',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Approve or reject a leave request (session faculty, department head or admin)
+   */
+  async reviewLeaveRequest(req, res) {
+    try {
+      // Check for validation errors
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { decision, notes } = req.body;
+
+      const leaveRequest = await LeaveRequest.findById(req.params.leaveRequestId);
+
+      if (!leaveRequest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Leave request not found'
+        });
+      }
+
+      if (!(await leaveRequest.canBeReviewedBy(req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to review this leave request'
+        });
+      }
+
+      if (leaveRequest.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `Leave request has already been ${leaveRequest.status}`
+        });
+      }
+
+      leaveRequest.status = decision;
+      leaveRequest.reviewedBy = req.user._id;
+      leaveRequest.reviewedAt = new Date();
+      leaveRequest.reviewNotes = notes;
+
+      let lockedSessions = [];
+      if (decision === 'approved') {
+        // Pick up sessions scheduled after the request was submitted
+        const sessions = await LeaveRequest.findAffectedSessions(
+          leaveRequest.student,
+          leaveRequest.startDate,
+          leaveRequest.endDate
+        );
+        leaveRequest.sessions = sessions.map(session => session._id);
+
+        ({ locked: lockedSessions } = await leaveRequest.applyExcusal(req.user));
+      }
+
+      await leaveRequest.save();
+
+      res.json({
+        success: true,
+        message: lockedSessions.length > 0
+          ? `Leave request ${decision}; ${lockedSessions.length} session(s) in a finalized semester were not excused`
+          : `Leave request ${decision} successfully`,
+        data: {
+          leaveRequest,
+          excusedRecords: leaveRequest.excusedAttendance.length,
+          lockedSessions
+        }
+      });
+    } catch (error) {
+      console.error('Review leave request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to review leave request',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Cancel a pending leave request (student)
+   */
+  async cancelLeaveRequest(req, res) {
+    try {
+      const leaveRequest = await LeaveRequest.findById(req.params.leaveRequestId);
+
+      if (!leaveRequest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Leave request not found'
+        });
+      }
+
+      if (String(leaveRequest.student) !== String(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only cancel your own leave requests'
+        });
+      }
+
+      if (leaveRequest.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: 'Only pending leave requests can be cancelled'
+        });
+      }
+
+      leaveRequest.status = 'cancelled';
+      await leaveRequest.save();
+
+      res.json({
+        success: true,
+        message: 'Leave request cancelled successfully',
+        data: { leaveRequest }
+      });
+    } catch (error) {
+      console.error('Cancel leave request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to cancel leave request',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Download a supporting document
+   */
+  async downloadAttachment(req, res) {
+    try {
+      const { leaveRequestId, attachmentId } = req.params;
+
+      const leaveRequest = await LeaveRequest.findById(leaveRequestId);
+
+      if (!leaveRequest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Leave request not found'
+        });
+      }
+
+      const isOwner = String(leaveRequest.student) === String(req.user._id);
+      if (!isOwner && !(await leaveRequest.canBeReviewedBy(req.user))) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to view this document'
+        });
+      }
+
+      const attachment = leaveRequest.attachments.id(attachmentId);
+      if (!attachment) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attachment not found'
+        });
+      }
+
+      res.download(path.resolve(attachment.path), attachment.originalName);
+    } catch (error) {
+      console.error('Download leave attachment error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to download attachment',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new LeaveRequestController();
@@ -1,8 +1,12 @@
 const Attendance = require('../models/Attendance');
 const Session = require('../models/Session');
 const User = require('../models/User');
+const Department = require('../models/Department');
 const analyticsUtils = require('../utils/analyticsUtils');
 const dateUtils = require('../utils/dateUtils');
+const ExcelJS = require('exceljs');
+const { validationResult } = require('express-validator');
+const { DEFAULT_STATUS_WEIGHTS } = require('../config/attendance');
 
 class ReportController {
   constructor() {
@@ -11,6 +15,8 @@ class ReportController {
     this.getDetailedAttendanceReport = this.getDetailedAttendanceReport.bind(this);
     this.getAttendanceAnalytics = this.getAttendanceAnalytics.bind(this);
     this.getAtRiskStudentsReport = this.getAtRiskStudentsReport.bind(this);
+    this.getEligibilityReport = this.getEligibilityReport.bind(this);
+    this.getStudentEligibility = this.getStudentEligibility.bind(this);
     this.getSessionPerformanceReport = this.getSessionPerformanceReport.bind(this);
     this.exportAttendanceData = this.exportAttendanceData.bind(this);
   }
@@ -34,7 +40,6 @@ class ReportController {
       // If requester is an admin who is a department head, scope reports to their department unless department is explicitly provided
       if (req.user && req.user.role === 'admin' && !req.query.department) {
         try {
-          const Department = require('../models/Department');
           const hodDept = await Department.findOne({ head: req.user._id });
           if (hodDept) {
             baseQuery['student.department'] = hodDept._id;
@@ -65,21 +70,24 @@ class ReportController {
         );
       }
 
+      // Late/excused weighting follows each student's department policy
+      const weightsByDepartment = await Department.getStatusWeightsMap();
+
       // Generate report based on groupBy
       let reportData = {};
 
       switch (groupBy) {
         case 'student':
-          reportData = this.generateStudentReport(attendanceRecords);
+          reportData = this.generateStudentReport(attendanceRecords, weightsByDepartment);
           break;
         case 'session':
-          reportData = this.generateSessionReport(attendanceRecords);
+          reportData = this.generateSessionReport(attendanceRecords, weightsByDepartment);
           break;
         case 'subject':
-          reportData = this.generateSubjectReport(attendanceRecords);
+          reportData = this.generateSubjectReport(attendanceRecords, weightsByDepartment);
           break;
         case 'department':
-          reportData = this.generateDepartmentReport(attendanceRecords);
+          reportData = this.generateDepartmentReport(attendanceRecords, weightsByDepartment);
           break;
         default:
           return res.status(400).json({
@@ -210,13 +218,17 @@ class ReportController {
       const attendanceRecords = await Attendance.find(query)
         .populate('session', 'subject startTime');
 
+      const student = await User.findById(targetStudentId).select('department');
+      const weights = await Department.getStatusWeights(student && student.department);
+
       // Calculate analytics
       const stats = analyticsUtils.calculateStudentAttendanceStats(attendanceRecords, {
         startDate,
-        endDate
+        endDate,
+        weights
       });
 
-      const trends = analyticsUtils.generateAttendanceTrends(attendanceRecords, period, 12);
+      const trends = analyticsUtils.generateAttendanceTrends(attendanceRecords, period, 12, weights);
       const heatmap = analyticsUtils.generateAttendanceHeatmap(attendanceRecords, 'dayOfWeek');
 
       res.json({
@@ -278,7 +290,8 @@ class ReportController {
       const atRiskStudents = analyticsUtils.identifyAtRiskStudents(studentsWithAttendance, {
         minAttendancePercentage: parseInt(minAttendancePercentage),
         minSessions: parseInt(minSessions),
-        lookbackDays: parseInt(lookbackDays)
+        lookbackDays: parseInt(lookbackDays),
+        weightsByDepartment: await Department.getStatusWeightsMap()
       });
 
       res.json({
@@ -304,6 +317,215 @@ class ReportController {
     }
   }
 
+  /**
+   * Get the per-subject exam eligibility list of a department, year and semester.
+   * Query: ?format=json|csv|xlsx (xlsx has one sheet per subject, for the exam cell)
+   */
+  async getEligibilityReport(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const {
+        department,
+        academicYear,
+        semester,
+        courseCode,
+        status,
+        startDate,
+        endDate,
+        format = 'json'
+      } = req.query;
+
+      if (req.user.role === 'student') {
+        return res.status(403).json({
+          success: false,
+          message: 'Students can only view their own eligibility'
+        });
+      }
+
+      // Faculty other than the department head only see subjects they teach
+      if (req.user.role === 'faculty') {
+        const dept = await Department.findById(department).select('head');
+        const isHead = dept && dept.head && String(dept.head) === String(req.user._id);
+
+        if (!isHead) {
+          const teaches = courseCode && await Session.exists({
+            ...Session.taughtByFilter(req.user._id),
+            courseCode: courseCode.toUpperCase()
+          });
+          if (!teaches) {
+            return res.status(403).json({
+              success: false,
+              message: 'Specify a course code you teach to view its eligibility list'
+            });
+          }
+        }
+      }
+
+      const students = await User.find({
+        role: 'student',
+        isActive: true,
+        department,
+        academicYear,
+        semester
+      }).select('firstName lastName studentId email batch').sort({ studentId: 1 });
+
+      const { eligibility, rules } = await Attendance.getSubjectEligibility(
+        students.map(student => student._id),
+        { department, academicYear, semester, courseCode: courseCode && courseCode.toUpperCase(), startDate, endDate }
+      );
+
+      // Group by subject for the exam cell
+      const subjects = new Map();
+      students.forEach(student => {
+        (eligibility.get(String(student._id)) || []).forEach(entry => {
+          if (status && entry.status !== status) return;
+
+          if (!subjects.has(entry.courseCode)) {
+            subjects.set(entry.courseCode, {
+              courseCode: entry.courseCode,
+              subject: entry.subject,
+              counts: { eligible: 0, condonable: 0, detained: 0, condoned: 0 },
+              students: []
+            });
+          }
+
+          const subject = subjects.get(entry.courseCode);
+          subject.counts[entry.status]++;
+          if (entry.basis === 'condonation') subject.counts.condoned++;
+          subject.students.push({
+            studentId: student.studentId,
+            name: `${student.firstName} ${student.lastName}`,
+            email: student.email,
+            batch: student.batch,
+            ...entry
+          });
+        });
+      });
+
+      const subjectList = [...subjects.values()].sort((a, b) => a.courseCode.localeCompare(b.courseCode));
+
+      if (format === 'csv' || format === 'xlsx') {
+        const toRow = (entry) => ({
+          courseCode: entry.courseCode,
+          subject: entry.subject,
+          studentId: entry.studentId,
+          name: entry.name,
+          sessions: entry.countedSessions,
+          attended: entry.attended,
+          percentage: entry.percentage,
+          status: entry.status,
+          basis: entry.basis,
+          condonationStatus: entry.condonation ? entry.condonation.status : ''
+        });
+
+        if (format === 'csv') {
+          const csv = this.convertToCSV(subjectList.flatMap(subject => subject.students.map(toRow)));
+          res.setHeader('Content-Type', 'text/csv');
+          res.setHeader('Content-Disposition', 'attachment; filename=eligibility.csv');
+          return res.send(csv);
+        }
+
+        const workbook = new ExcelJS.Workbook();
+        subjectList.forEach(subject => {
+          // Sheet names are limited to 31 characters and cannot contain : \ / ? * [ ]
+          const worksheet = workbook.addWorksheet(subject.courseCode.replace(/[:\\/?*[\]]/g, '-').slice(0, 31));
+          worksheet.columns = Object.keys(toRow(subject.students[0])).map(key => ({ header: key, key, width: 16 }));
+          subject.students.forEach(entry => worksheet.addRow(toRow(entry)));
+        });
+        if (subjectList.length === 0) workbook.addWorksheet('Eligibility');
+
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        res.setHeader('Content-Disposition', 'attachment; filename=eligibility.xlsx');
+        await workbook.xlsx.write(res);
+        return res.end();
+      }
+
+      res.json({
+        success: true,
+        data: {
+          rules,
+          subjects: subjectList,
+          totalStudents: students.length,
+          generatedAt: new Date().toISOString()
+        }
+      });
+    } catch (error) {
+      console.error('Get eligibility report error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to generate eligibility report',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get a student's per-subject exam eligibility (defaults to their current year and semester)
+   */
+  async getStudentEligibility(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { studentId } = req.params;
+
+      const student = await User.findOne({ _id: studentId, role: 'student' })
+        .select('firstName lastName studentId department academicYear semester');
+
+      if (!student) {
+        return res.status(404).json({
+          success: false,
+          message: 'Student not found'
+        });
+      }
+
+      const academicYear = req.query.academicYear || student.academicYear;
+      const semester = req.query.semester || student.semester;
+
+      const { eligibility, rules } = await Attendance.getSubjectEligibility([student._id], {
+        department: student.department,
+        academicYear,
+        semester
+      });
+
+      res.json({
+        success: true,
+        data: {
+          student: {
+            _id: student._id,
+            studentId: student.studentId,
+            name: `${student.firstName} ${student.lastName}`
+          },
+          academicYear,
+          semester,
+          rules,
+          subjects: eligibility.get(String(student._id)) || []
+        }
+      });
+    } catch (error) {
+      console.error('Get student eligibility error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get eligibility',
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Get session performance report
    */
@@ -317,8 +539,8 @@ class ReportController {
         subject
       } = req.query;
 
-      // Build session query
-      const sessionQuery = { isActive: true };
+      // Build session query; cancelled sessions did not take place and would drag the averages down
+      const sessionQuery = { isActive: true, status: { $ne: 'cancelled' } };
 
       if (sessionId) sessionQuery._id = sessionId;
       if (facultyId) sessionQuery.faculty = facultyId;
@@ -332,7 +554,8 @@ class ReportController {
 
       // Get sessions
       const sessions = await Session.find(sessionQuery)
-        .populate('faculty', 'firstName lastName email');
+        .populate('faculty', 'firstName lastName email')
+        .populate('substituteFaculty', 'firstName lastName email');
 
       // Get performance data for each session
       const sessionPerformance = await Promise.all(
@@ -356,7 +579,9 @@ class ReportController {
               startTime: session.startTime,
               endTime: session.endTime,
               location: session.location,
-              faculty: session.faculty
+              // Faculty of record; the substitute who took the class is listed separately
+              faculty: session.faculty,
+              substituteFaculty: session.substituteFaculty
             },
             performance: stats
           };
@@ -426,6 +651,8 @@ class ReportController {
         );
       }
 
+      const weightsByDepartment = await Department.getStatusWeightsMap();
+
       // Format data for export
       const exportData = filteredRecords.map(record => ({
         studentName: record.student ? `${record.student.firstName} ${record.student.lastName}` : 'N/A',
@@ -439,6 +666,7 @@ class ReportController {
         checkInTime: record.checkInTime,
         checkOutTime: record.checkOutTime || 'N/A',
         status: record.status,
+        attendanceWeight: this.formatStatusWeight(record, weightsByDepartment),
         verifiedBy: record.verifiedBy ? `${record.verifiedBy.firstName} ${record.verifiedBy.lastName}` : 'N/A',
         verificationNotes: record.verificationNotes || 'N/A'
       }));
@@ -471,7 +699,7 @@ class ReportController {
   }
 
   // Helper methods
-  generateStudentReport(attendanceRecords) {
+  generateStudentReport(attendanceRecords, weightsByDepartment = new Map()) {
     const studentMap = new Map();
 
     attendanceRecords.forEach(record => {
@@ -484,40 +712,31 @@ class ReportController {
           present: 0,
           absent: 0,
           late: 0,
-          excused: 0
+          partial: 0,
+          excused: 0,
+          weightedAttendance: 0,
+          countedRecords: 0
         });
       }
 
       const studentData = studentMap.get(studentId);
       studentData.totalSessions++;
       
-      switch (record.status) {
-        case 'present':
-          studentData.present++;
-          break;
-        case 'absent':
-          studentData.absent++;
-          break;
-        case 'late':
-          studentData.late++;
-          break;
-        case 'excused':
-          studentData.excused++;
-          break;
-      }
+      this.tallyStatus(studentData, record, weightsByDepartment);
     });
 
     // Calculate percentages
     const report = Array.from(studentMap.values()).map(data => ({
       ...data,
-      attendancePercentage: data.totalSessions > 0 ? 
-        Math.round(((data.present + data.late) / data.totalSessions) * 100) : 0
+      weightedAttendance: Math.round(data.weightedAttendance * 100) / 100,
+      attendancePercentage: data.countedRecords > 0 ? 
+        Math.round((data.weightedAttendance / data.countedRecords) * 100) : 0
     }));
 
     return report.sort((a, b) => a.attendancePercentage - b.attendancePercentage);
   }
 
-  generateSessionReport(attendanceRecords) {
+  generateSessionReport(attendanceRecords, weightsByDepartment = new Map()) {
     const sessionMap = new Map();
 
     attendanceRecords.forEach(record => {
@@ -530,40 +749,31 @@ class ReportController {
           present: 0,
           absent: 0,
           late: 0,
-          excused: 0
+          partial: 0,
+          excused: 0,
+          weightedAttendance: 0,
+          countedRecords: 0
         });
       }
 
       const sessionData = sessionMap.get(sessionId);
       sessionData.totalStudents++;
       
-      switch (record.status) {
-        case 'present':
-          sessionData.present++;
-          break;
-        case 'absent':
-          sessionData.absent++;
-          break;
-        case 'late':
-          sessionData.late++;
-          break;
-        case 'excused':
-          sessionData.excused++;
-          break;
-      }
+      this.tallyStatus(sessionData, record, weightsByDepartment);
     });
 
     // Calculate percentages
     const report = Array.from(sessionMap.values()).map(data => ({
       ...data,
-      attendanceRate: data.totalStudents > 0 ? 
-        Math.round(((data.present + data.late) / data.totalStudents) * 100) : 0
+      weightedAttendance: Math.round(data.weightedAttendance * 100) / 100,
+      attendanceRate: data.countedRecords > 0 ? 
+        Math.round((data.weightedAttendance / data.countedRecords) * 100) : 0
     }));
 
     return report.sort((a, b) => a.attendanceRate - b.attendanceRate);
   }
 
-  generateSubjectReport(attendanceRecords) {
+  generateSubjectReport(attendanceRecords, weightsByDepartment = new Map()) {
     const subjectMap = new Map();
 
     attendanceRecords.forEach(record => {
@@ -577,7 +787,10 @@ class ReportController {
           present: 0,
           absent: 0,
           late: 0,
-          excused: 0
+          partial: 0,
+          excused: 0,
+          weightedAttendance: 0,
+          countedRecords: 0
         });
       }
 
@@ -585,33 +798,21 @@ class ReportController {
       subjectData.totalSessions++;
       subjectData.totalStudents++;
       
-      switch (record.status) {
-        case 'present':
-          subjectData.present++;
-          break;
-        case 'absent':
-          subjectData.absent++;
-          break;
-        case 'late':
-          subjectData.late++;
-          break;
-        case 'excused':
-          subjectData.excused++;
-          break;
-      }
+      this.tallyStatus(subjectData, record, weightsByDepartment);
     });
 
     // Calculate percentages
     const report = Array.from(subjectMap.values()).map(data => ({
       ...data,
-      attendanceRate: data.totalStudents > 0 ? 
-        Math.round(((data.present + data.late) / data.totalStudents) * 100) : 0
+      weightedAttendance: Math.round(data.weightedAttendance * 100) / 100,
+      attendanceRate: data.countedRecords > 0 ? 
+        Math.round((data.weightedAttendance / data.countedRecords) * 100) : 0
     }));
 
     return report.sort((a, b) => a.attendanceRate - b.attendanceRate);
   }
 
-  generateDepartmentReport(attendanceRecords) {
+  generateDepartmentReport(attendanceRecords, weightsByDepartment = new Map()) {
     const departmentMap = new Map();
 
     attendanceRecords.forEach(record => {
@@ -619,48 +820,65 @@ class ReportController {
       
       if (!department) return;
 
-      if (!departmentMap.has(department)) {
-        departmentMap.set(department, {
+      const departmentKey = String(department._id || department);
+
+      if (!departmentMap.has(departmentKey)) {
+        departmentMap.set(departmentKey, {
           department,
           totalStudents: 0,
           totalSessions: 0,
           present: 0,
           absent: 0,
           late: 0,
-          excused: 0
+          partial: 0,
+          excused: 0,
+          weightedAttendance: 0,
+          countedRecords: 0
         });
       }
 
-      const deptData = departmentMap.get(department);
+      const deptData = departmentMap.get(departmentKey);
       deptData.totalStudents++;
       deptData.totalSessions++;
       
-      switch (record.status) {
-        case 'present':
-          deptData.present++;
-          break;
-        case 'absent':
-          deptData.absent++;
-          break;
-        case 'late':
-          deptData.late++;
-          break;
-        case 'excused':
-          deptData.excused++;
-          break;
-      }
+      this.tallyStatus(deptData, record, weightsByDepartment);
     });
 
     // Calculate percentages
     const report = Array.from(departmentMap.values()).map(data => ({
       ...data,
-      attendanceRate: data.totalSessions > 0 ? 
-        Math.round(((data.present + data.late) / data.totalSessions) * 100) : 0
+      weightedAttendance: Math.round(data.weightedAttendance * 100) / 100,
+      attendanceRate: data.countedRecords > 0 ? 
+        Math.round((data.weightedAttendance / data.countedRecords) * 100) : 0
     }));
 
     return report.sort((a, b) => a.attendanceRate - b.attendanceRate);
   }
 
+  // Count a record's status and its weighted contribution (per the student's department policy)
+  tallyStatus(data, record, weightsByDepartment) {
+    if (typeof data[record.status] === 'number') {
+      data[record.status]++;
+    }
+
+    const weight = analyticsUtils.getStatusWeight(record.status, this.getRecordWeights(record, weightsByDepartment));
+    if (weight !== null) {
+      data.weightedAttendance += weight;
+      data.countedRecords++;
+    }
+  }
+
+  formatStatusWeight(record, weightsByDepartment) {
+    const weight = analyticsUtils.getStatusWeight(record.status, this.getRecordWeights(record, weightsByDepartment));
+    return weight === null ? 'excluded' : weight;
+  }
+
+  getRecordWeights(record, weightsByDepartment) {
+    const department = record.student && record.student.department;
+    if (!department || !weightsByDepartment) return DEFAULT_STATUS_WEIGHTS;
+    return weightsByDepartment.get(String(department._id || department)) || DEFAULT_STATUS_WEIGHTS;
+  }
+
   convertToCSV(data) {
     if (data.length === 0) return '';
 
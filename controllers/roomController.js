@@ -0,0 +1,165 @@
+const Room = require('../models/Room');
+const { validationResult } = require('express-validator');
+
+class RoomController {
+  /**
+   * Register a room with its classroom coordinate
+   */
+  async createRoom(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { building, roomNumber, name, location, capacity } = req.body;
+
+      const existingRoom = await Room.findOne({ building, roomNumber });
+      if (existingRoom) {
+        return res.status(400).json({
+          success: false,
+          message: 'Room is already registered for this building'
+        });
+      }
+
+      const room = await Room.create({
+        building,
+        roomNumber,
+        name,
+        location,
+        capacity,
+        createdBy: req.user._id
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Room created successfully',
+        data: { room }
+      });
+    } catch (error) {
+      console.error('Create room error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to create room',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Get registered rooms
+   */
+  async getRooms(req, res) {
+    try {
+      const { building, page = 1, limit = 50 } = req.query;
+
+      const query = { isActive: true };
+      if (building) query.building = building;
+
+      const rooms = await Room.find(query)
+        .sort({ building: 1, roomNumber: 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const totalRooms = await Room.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          rooms,
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(totalRooms / limit),
+            totalRooms,
+            hasNext: page < Math.ceil(totalRooms / limit),
+            hasPrev: page > 1
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get rooms error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get rooms',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Update room
+   */
+  async updateRoom(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { roomId } = req.params;
+
+      const room = await Room.findByIdAndUpdate(roomId, req.body, { new: true, runValidators: true });
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          message: 'Room not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Room updated successfully',
+        data: { room }
+      });
+    } catch (error) {
+      console.error('Update room error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to update room',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Delete room (soft delete)
+   */
+  async deleteRoom(req, res) {
+    try {
+      const { roomId } = req.params;
+
+      const room = await Room.findById(roomId);
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          message: 'Room not found'
+        });
+      }
+
+      room.isActive = false;
+      await room.save();
+
+      res.json({
+        success: true,
+        message: 'Room deleted successfully'
+      });
+    } catch (error) {
+      console.error('Delete room error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to delete room',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new RoomController();
@@ -0,0 +1,272 @@
+const moment = require('moment');
+const AcademicYear = require('../models/AcademicYear');
+const SemesterUnlockRequest = require('../models/SemesterUnlockRequest');
+const AuditLog = require('../models/AuditLog');
+const { validationResult } = require('express-validator');
+const { getSemesterUnlockSettings } = require('../config/attendance');
+
+class SemesterUnlockController {
+  /**
+   * Request that a finalized semester be reopened for attendance corrections
+   */
+  async requestUnlock(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { academicYearId } = req.params;
+      const { year, semesterName, justification, requestedHours } = req.body;
+
+      const academicYear = await AcademicYear.findById(academicYearId);
+      if (!academicYear) {
+        return res.status(404).json({
+          success: false,
+          message: 'Academic year not found'
+        });
+      }
+
+      const yearData = academicYear.academicYears.find(ay => ay.year === year);
+      const semester = yearData && yearData.semesters.find(sem => sem.name === semesterName);
+      if (!semester) {
+        return res.status(404).json({
+          success: false,
+          message: 'Semester not found'
+        });
+      }
+
+      if (!semester.isFinalized) {
+        return res.status(400).json({
+          success: false,
+          message: 'Semester is not finalized; attendance can still be changed'
+        });
+      }
+
+      await SemesterUnlockRequest.relockExpired();
+
+      const open = await SemesterUnlockRequest.findOne({
+        academicYear: academicYear._id,
+        year,
+        semester: semesterName,
+        requestedBy: req.user._id,
+        status: { $in: ['pending', 'approved'] }
+      });
+      if (open) {
+        return res.status(400).json({
+          success: false,
+          message: open.status === 'pending'
+            ? 'You already have a pending unlock request for this semester'
+            : 'This semester is already unlocked for you'
+        });
+      }
+
+      const unlockRequest = await SemesterUnlockRequest.create({
+        academicYear: academicYear._id,
+        year,
+        semester: semesterName,
+        requestedBy: req.user._id,
+        justification,
+        requestedHours
+      });
+
+      await AuditLog.record({
+        action: 'semester_unlock_requested',
+        actor: req.user._id,
+        targetType: 'AcademicYear',
+        targetId: academicYear._id,
+        details: { requestId: unlockRequest._id, year, semester: semesterName, justification }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: 'Unlock request submitted successfully',
+        data: { unlockRequest }
+      });
+    } catch (error) {
+      console.error('Request semester unlock error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to submit unlock request',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List unlock requests (admins see all, faculty their own)
+   */
+  async getUnlockRequests(req, res) {
+    try {
+      await SemesterUnlockRequest.relockExpired();
+
+      const { status, academicYearId, page = 1, limit = 20 } = req.query;
+      const query = {};
+      if (req.user.role !== 'admin') query.requestedBy = req.user._id;
+      if (status) query.status = status;
+      if (academicYearId) query.academicYear = academicYearId;
+
+      const unlockRequests = await SemesterUnlockRequest.find(query)
+        .populate('academicYear', 'year')
+        .populate('requestedBy', 'firstName lastName email')
+        .populate('reviewedBy', 'firstName lastName email')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await SemesterUnlockRequest.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          unlockRequests,
+          pagination: {
+            current: parseInt(page),
+            pages: Math.ceil(total / limit),
+            total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get unlock requests error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get unlock requests',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Approve or reject an unlock request; approval opens a time-limited window
+   */
+  async reviewUnlockRequest(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { decision, notes, hours } = req.body;
+      const unlockRequest = await SemesterUnlockRequest.findById(req.params.requestId);
+
+      if (!unlockRequest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Unlock request not found'
+        });
+      }
+
+      if (unlockRequest.status !== 'pending') {
+        return res.status(400).json({
+          success: false,
+          message: `Unlock request has already been ${unlockRequest.status}`
+        });
+      }
+
+      const now = new Date();
+      unlockRequest.status = decision;
+      unlockRequest.reviewedBy = req.user._id;
+      unlockRequest.reviewedAt = now;
+      unlockRequest.reviewNotes = notes;
+
+      if (decision === 'approved') {
+        const { defaultHours, maxHours } = getSemesterUnlockSettings();
+        const windowHours = Math.min(hours || unlockRequest.requestedHours || defaultHours, maxHours);
+        unlockRequest.unlockedAt = now;
+        unlockRequest.unlockedUntil = moment(now).add(windowHours, 'hours').toDate();
+      }
+
+      await unlockRequest.save();
+
+      await AuditLog.record({
+        action: `semester_unlock_${decision}`,
+        actor: req.user._id,
+        targetType: 'AcademicYear',
+        targetId: unlockRequest.academicYear,
+        details: {
+          requestId: unlockRequest._id,
+          requestedBy: unlockRequest.requestedBy,
+          year: unlockRequest.year,
+          semester: unlockRequest.semester,
+          unlockedUntil: unlockRequest.unlockedUntil,
+          notes
+        }
+      });
+
+      res.json({
+        success: true,
+        message: decision === 'approved'
+          ? `Semester unlocked until ${unlockRequest.unlockedUntil.toISOString()}`
+          : 'Unlock request rejected',
+        data: { unlockRequest }
+      });
+    } catch (error) {
+      console.error('Review unlock request error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to review unlock request',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Close an unlock window before it expires
+   */
+  async relockSemester(req, res) {
+    try {
+      const unlockRequest = await SemesterUnlockRequest.findById(req.params.requestId);
+
+      if (!unlockRequest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Unlock request not found'
+        });
+      }
+
+      if (!unlockRequest.isUnlocked) {
+        return res.status(400).json({
+          success: false,
+          message: 'Semester is not unlocked by this request'
+        });
+      }
+
+      unlockRequest.status = 'relocked';
+      unlockRequest.relockedAt = new Date();
+      unlockRequest.relockedBy = req.user._id;
+      await unlockRequest.save();
+
+      await AuditLog.record({
+        action: 'semester_relocked',
+        actor: req.user._id,
+        targetType: 'AcademicYear',
+        targetId: unlockRequest.academicYear,
+        details: { requestId: unlockRequest._id, year: unlockRequest.year, semester: unlockRequest.semester }
+      });
+
+      res.json({
+        success: true,
+        message: 'Semester locked again',
+        data: { unlockRequest }
+      });
+    } catch (error) {
+      console.error('Relock semester error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to lock semester',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new SemesterUnlockController();
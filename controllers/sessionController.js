@@ -1,9 +1,96 @@
 const Session = require('../models/Session');
 const User = require('../models/User');
 const QRCodeLog = require('../models/QRCodeLog');
+const Attendance = require('../models/Attendance');
+const AuditLog = require('../models/AuditLog');
+const AcademicYear = require('../models/AcademicYear');
 const { validationResult } = require('express-validator');
 const qrCodeGenerator = require('../utils/qrCodeGenerator');
 const dateUtils = require('../utils/dateUtils');
+const emailService = require('../utils/emailService');
+
+// Upper bound on pages in a single printable QR sheet
+const MAX_PRINT_SESSIONS = 200;
+
+// Printed codes are static, so they only work for sessions that have not ended and do not rotate
+const printableSessionError = (session) => {
+  if (!['scheduled', 'active'].includes(session.status)) return 'Session has already ended or was cancelled';
+  if (session.qrCode.rotation.enabled || session.qrCode.nonce.enabled) {
+    return 'Printed QR codes are not available for rotating or single-use sessions';
+  }
+  return null;
+};
+
+// Fields whose change can double-book a faculty member or room
+const SCHEDULING_FIELDS = ['startTime', 'endTime', 'faculty', 'roomNumber', 'building'];
+
+// Admins can schedule over a clash on purpose by sending allowConflicts
+const overridesConflicts = (req) => req.user.role === 'admin' && [true, 'true'].includes(req.body.allowConflicts);
+
+const conflictResponse = (res, conflicts) => res.status(409).json({
+  success: false,
+  message: `Schedule conflicts with ${conflicts.length} existing booking(s)`,
+  data: { conflicts }
+});
+
+const recordConflictOverride = (req, session, conflicts) => AuditLog.record({
+  action: 'schedule_conflict_overridden',
+  actor: req.user._id,
+  targetType: 'Session',
+  targetId: session._id,
+  details: { conflicts }
+});
+
+// Email enrolled students about a cancellation, postponement or reschedule
+const notifyEnrolledStudents = async (session, change) => {
+  const students = await User.find({
+    _id: { $in: session.enrolledStudents.map(enrolled => enrolled.student) },
+    isActive: true
+  }).select('firstName email');
+
+  for (const student of students) {
+    if (student.email) await emailService.sendSessionChangeEmail(student.email, student.firstName, session, change);
+  }
+};
+
+// Emails go out after the response so a large class does not hold it up
+const queueStudentNotification = (session, change) => {
+  notifyEnrolledStudents(session, change).catch(error => console.error('Session change notification error:', error));
+  return session.enrolledStudents.length;
+};
+
+// Cancel a session: record the change, close it if running and take its attendance out of the percentages
+const applyCancellation = async (session, { reason, user, makeUp, now = new Date() }) => {
+  if (session.status === 'active') {
+    session.actualEndTime = now;
+    session.qrCode.isActive = false;
+    await QRCodeLog.deactivateForSession(session._id);
+  }
+
+  session.status = 'cancelled';
+  session.cancelledAt = now;
+  session.cancelledBy = user._id;
+  session.cancellationReason = reason;
+  session.scheduleChanges.push({
+    action: 'cancelled',
+    reason,
+    changedBy: user._id,
+    changedAt: now,
+    previousStartTime: session.startTime,
+    previousEndTime: session.endTime
+  });
+
+  const makeUpSession = makeUp ? await session.createMakeUpSession(makeUp, user._id) : null;
+  await session.save();
+
+  const excluded = await Attendance.updateManyWithRevisions(
+    { session: session._id, isActive: true },
+    { $set: { isActive: false } },
+    { actor: user._id, reason: `Session cancelled: ${reason}`, source: 'session.cancel' }
+  );
+
+  return { makeUpSession, excludedRecords: excluded.modifiedCount };
+};
 
 class SessionController {
   // Create a new session
@@ -14,13 +101,28 @@ class SessionController {
         return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
       }
 
-      const data = req.body;
+      const { parentSession, occurrenceIndex, allowConflicts, ...data } = req.body;
       data.createdBy = req.user ? req.user._id : null;
 
       const session = new Session(data);
+
+      // Every occurrence of a recurring session is checked, not only the first
+      const conflicts = await Session.findConflicts(session.getOccurrenceSlots().map(slot => ({
+        ...slot, faculty: session.faculty, roomNumber: session.roomNumber, building: session.building
+      })));
+      if (conflicts.length > 0 && !overridesConflicts(req)) return conflictResponse(res, conflicts);
+
       const saved = await session.save();
+      if (conflicts.length > 0) await recordConflictOverride(req, saved, conflicts);
+
+      // A recurring session is the first occurrence; the rest of the series is created up front
+      const occurrences = await saved.createOccurrences();
 
-      res.status(201).json({ success: true, message: 'Session created', data: { session: saved } });
+      res.status(201).json({
+        success: true,
+        message: occurrences.length > 0 ? `Session created with ${occurrences.length + 1} occurrences` : 'Session created',
+        data: { session: saved, occurrences: occurrences.length }
+      });
     } catch (error) {
       console.error('Create session error:', error);
       res.status(500).json({ success: false, message: 'Failed to create session', error: error.message });
@@ -43,7 +145,8 @@ class SessionController {
 
       const query = { isActive: true };
 
-      if (facultyId) query.faculty = facultyId;
+      // Sessions the faculty member teaches, including those covered as a substitute
+      if (facultyId) Object.assign(query, Session.taughtByFilter(facultyId));
       if (studentId) query['enrolledStudents.student'] = studentId;
       if (subject) query.subject = subject;
       if (status) query.status = status;
@@ -72,6 +175,7 @@ class SessionController {
         .skip(skip)
         .limit(parseInt(limit, 10))
         .populate('faculty', 'firstName lastName email designation department')
+        .populate('substituteFaculty', 'firstName lastName email designation department')
         .populate('enrolledStudents.student', 'firstName lastName studentId email');
 
       const totalSessions = await Session.countDocuments(query);
@@ -102,12 +206,14 @@ class SessionController {
 
       const session = await Session.findById(sessionId)
         .populate('faculty', 'firstName lastName email designation department')
+        .populate('substituteFaculty', 'firstName lastName email designation department')
+        .populate('substitution', 'scope startDate endDate reason assignedBy status')
         .populate('enrolledStudents.student', 'firstName lastName studentId email');
 
       if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
 
       // Permissions
-      if (req.user && req.user.role === 'faculty' && session.faculty && session.faculty._id.toString() !== req.user._id.toString()) {
+      if (req.user && req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
         return res.status(403).json({ success: false, message: 'You do not have permission to view this session' });
       }
 
@@ -130,17 +236,83 @@ class SessionController {
       if (!errors.isEmpty()) return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
 
       const { sessionId } = req.params;
-      const updateData = req.body;
+      const { scope = 'this', isRecurring, recurringPattern, parentSession, occurrenceIndex, allowConflicts, ...updateData } = req.body;
 
       const session = await Session.findById(sessionId);
       if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
 
-      if (req.user && req.user.role === 'faculty' && String(session.faculty) !== String(req.user._id)) {
+      if (req.user && req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
         return res.status(403).json({ success: false, message: 'You do not have permission to update this session' });
       }
 
-      const updated = await Session.findByIdAndUpdate(sessionId, updateData, { new: true, runValidators: true });
-      res.json({ success: true, message: 'Session updated successfully', data: { session: updated } });
+      if (isRecurring !== undefined || recurringPattern !== undefined) {
+        return res.status(400).json({ success: false, message: 'The recurrence cannot be changed; cancel the series and create a new one' });
+      }
+
+      let targets = [session];
+      let skippedOccurrences = 0;
+      if (scope !== 'this') {
+        if (!session.isRecurring) {
+          return res.status(400).json({ success: false, message: 'Session is not part of a recurring series' });
+        }
+
+        // Occurrences that have started keep their details
+        const series = await Session.findSeries(session);
+        targets = series.filter(occurrence =>
+          String(occurrence._id) === String(session._id) ||
+          (occurrence.status === 'scheduled' && (scope === 'all' || occurrence.startTime >= session.startTime))
+        );
+        skippedOccurrences = series.length - targets.length;
+      }
+
+      // Time changes move every targeted occurrence by the same offset
+      const { startTime, endTime, ...changes } = updateData;
+      const newStart = startTime ? new Date(startTime) : session.startTime;
+      const newEnd = endTime ? new Date(endTime) : session.endTime;
+      if (newEnd <= newStart) return res.status(400).json({ success: false, message: 'End time must be after start time' });
+
+      const shift = newStart - session.startTime;
+      const duration = newEnd - newStart;
+      const planned = targets.map(occurrence => {
+        const occurrenceStart = new Date(occurrence.startTime.getTime() + shift);
+        return {
+          occurrence,
+          startTime: occurrenceStart,
+          endTime: new Date(occurrenceStart.getTime() + duration),
+          faculty: changes.faculty || occurrence.faculty,
+          substituteFaculty: occurrence.substituteFaculty,
+          roomNumber: changes.roomNumber !== undefined ? changes.roomNumber : occurrence.roomNumber,
+          building: changes.building !== undefined ? changes.building : occurrence.building
+        };
+      });
+
+      let conflicts = [];
+      if (SCHEDULING_FIELDS.some(field => updateData[field] !== undefined)) {
+        conflicts = await Session.findConflicts(planned, targets.map(occurrence => occurrence._id));
+        if (conflicts.length > 0 && !overridesConflicts(req)) return conflictResponse(res, conflicts);
+      }
+
+      let updated = null;
+      for (const { occurrence, startTime: occurrenceStart, endTime: occurrenceEnd } of planned) {
+        const result = await Session.findByIdAndUpdate(
+          occurrence._id,
+          { ...changes, startTime: occurrenceStart, endTime: occurrenceEnd },
+          { new: true, runValidators: true }
+        );
+        if (String(occurrence._id) === String(session._id)) updated = result;
+      }
+
+      if (conflicts.length > 0) await recordConflictOverride(req, session, conflicts);
+
+      if (scope === 'this') {
+        return res.json({ success: true, message: 'Session updated successfully', data: { session: updated } });
+      }
+
+      res.json({
+        success: true,
+        message: `${targets.length} occurrence(s) updated successfully`,
+        data: { session: updated, scope, updatedOccurrences: targets.length, skippedOccurrences }
+      });
     } catch (error) {
       console.error('Update session error:', error);
       res.status(500).json({ success: false, message: 'Failed to update session', error: error.message });
@@ -154,7 +326,7 @@ class SessionController {
       const session = await Session.findById(sessionId);
       if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
 
-      if (req.user && req.user.role === 'faculty' && String(session.faculty) !== String(req.user._id)) {
+      if (req.user && req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
         return res.status(403).json({ success: false, message: 'You do not have permission to delete this session' });
       }
 
@@ -168,31 +340,314 @@ class SessionController {
     }
   }
 
+  // Cancel a session, optionally scheduling a make-up session; its attendance stops counting
+  async cancelSession(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+
+      const session = await Session.findById(req.params.sessionId);
+      if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+
+      if (req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to cancel this session' });
+      }
+
+      if (!['scheduled', 'postponed', 'active'].includes(session.status)) {
+        return res.status(400).json({ success: false, message: 'Only scheduled, postponed or active sessions can be cancelled' });
+      }
+
+      const { reason, makeUp, notifyStudents = true } = req.body;
+
+      // Attendance already recorded is taken out of the percentages, which a finalized semester does not allow
+      const recorded = await Attendance.countDocuments({ session: session._id, isActive: true });
+      if (recorded > 0) {
+        const lock = await AcademicYear.getAttendanceLock({ year: session.academicYear, semester: session.semester, date: session.startTime, user: req.user });
+        if (lock) return res.status(403).json({ success: false, message: lock.message, data: { lock } });
+      }
+
+      let conflicts = [];
+      if (makeUp) {
+        conflicts = await Session.findConflicts([{
+          startTime: makeUp.startTime,
+          endTime: makeUp.endTime,
+          faculty: session.faculty,
+          roomNumber: makeUp.roomNumber !== undefined ? makeUp.roomNumber : session.roomNumber,
+          building: makeUp.building !== undefined ? makeUp.building : session.building
+        }]);
+        if (conflicts.length > 0 && !overridesConflicts(req)) return conflictResponse(res, conflicts);
+      }
+
+      const { makeUpSession, excludedRecords } = await applyCancellation(session, { reason, user: req.user, makeUp });
+      if (conflicts.length > 0) await recordConflictOverride(req, makeUpSession, conflicts);
+
+      const notifiedStudents = notifyStudents ? queueStudentNotification(session, { action: 'cancelled', reason, makeUpSession }) : 0;
+
+      res.json({
+        success: true,
+        message: makeUpSession ? 'Session cancelled and make-up session scheduled' : 'Session cancelled',
+        data: { session, makeUpSession, excludedRecords, notifiedStudents }
+      });
+    } catch (error) {
+      console.error('Cancel session error:', error);
+      res.status(500).json({ success: false, message: 'Failed to cancel session', error: error.message });
+    }
+  }
+
+  // Postpone a scheduled session until it is rescheduled
+  async postponeSession(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+
+      const session = await Session.findById(req.params.sessionId);
+      if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+
+      if (req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to postpone this session' });
+      }
+
+      if (session.status !== 'scheduled') return res.status(400).json({ success: false, message: 'Only scheduled sessions can be postponed' });
+
+      const { reason, notifyStudents = true } = req.body;
+
+      session.status = 'postponed';
+      session.scheduleChanges.push({
+        action: 'postponed',
+        reason,
+        changedBy: req.user._id,
+        previousStartTime: session.startTime,
+        previousEndTime: session.endTime
+      });
+      await session.save();
+
+      const notifiedStudents = notifyStudents ? queueStudentNotification(session, { action: 'postponed', reason }) : 0;
+
+      res.json({ success: true, message: 'Session postponed', data: { session, notifiedStudents } });
+    } catch (error) {
+      console.error('Postpone session error:', error);
+      res.status(500).json({ success: false, message: 'Failed to postpone session', error: error.message });
+    }
+  }
+
+  // Move a scheduled or postponed session to a new slot
+  async rescheduleSession(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+
+      const session = await Session.findById(req.params.sessionId);
+      if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+
+      if (req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to reschedule this session' });
+      }
+
+      if (!['scheduled', 'postponed'].includes(session.status)) {
+        return res.status(400).json({ success: false, message: 'Only scheduled or postponed sessions can be rescheduled' });
+      }
+
+      const { reason, location, roomNumber, building, notifyStudents = true } = req.body;
+      const startTime = new Date(req.body.startTime);
+      const endTime = new Date(req.body.endTime);
+
+      const conflicts = await Session.findConflicts([{
+        startTime,
+        endTime,
+        faculty: session.faculty,
+        substituteFaculty: session.substituteFaculty,
+        roomNumber: roomNumber !== undefined ? roomNumber : session.roomNumber,
+        building: building !== undefined ? building : session.building
+      }], [session._id]);
+      if (conflicts.length > 0 && !overridesConflicts(req)) return conflictResponse(res, conflicts);
+
+      const previousStartTime = session.startTime;
+      session.scheduleChanges.push({
+        action: 'rescheduled',
+        reason,
+        changedBy: req.user._id,
+        previousStartTime,
+        previousEndTime: session.endTime,
+        startTime,
+        endTime
+      });
+      session.status = 'scheduled';
+      session.startTime = startTime;
+      session.endTime = endTime;
+      if (location) session.location = location;
+      if (roomNumber !== undefined) session.roomNumber = roomNumber;
+      if (building !== undefined) session.building = building;
+      // The new slot gets its own missed-start alert
+      session.scheduler.missedStartAlertedAt = null;
+      await session.save();
+      if (conflicts.length > 0) await recordConflictOverride(req, session, conflicts);
+
+      const notifiedStudents = notifyStudents ? queueStudentNotification(session, { action: 'rescheduled', reason, previousStartTime }) : 0;
+
+      res.json({ success: true, message: 'Session rescheduled', data: { session, notifiedStudents } });
+    } catch (error) {
+      console.error('Reschedule session error:', error);
+      res.status(500).json({ success: false, message: 'Failed to reschedule session', error: error.message });
+    }
+  }
+
+  // Scan a date range for sessions that double-book a faculty member or room
+  async getScheduleConflicts(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+
+      const { startDate, endDate, facultyId, building, department } = req.query;
+      const filter = {};
+      if (building) filter.building = building;
+      if (department) filter.department = department;
+
+      const involves = (clash, userId) => clash.sessions.some(session =>
+        [session.faculty, session.substituteFaculty].some(teacher => teacher && String(teacher) === String(userId))
+      );
+
+      let clashes = await Session.findClashesInRange(startDate, endDate, filter);
+      if (facultyId) clashes = clashes.filter(clash => involves(clash, facultyId));
+      // Faculty only see clashes involving sessions they teach
+      if (req.user.role === 'faculty') clashes = clashes.filter(clash => involves(clash, req.user._id));
+
+      res.json({
+        success: true,
+        data: {
+          startDate,
+          endDate,
+          conflicts: clashes,
+          summary: {
+            total: clashes.length,
+            faculty: clashes.filter(clash => clash.type === 'faculty').length,
+            room: clashes.filter(clash => clash.type === 'room').length
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get schedule conflicts error:', error);
+      res.status(500).json({ success: false, message: 'Failed to get schedule conflicts', error: error.message });
+    }
+  }
+
+  // List the occurrences of the recurring series a session belongs to
+  async getSessionSeries(req, res) {
+    try {
+      const session = await Session.findById(req.params.sessionId);
+      if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+
+      // Permissions
+      if (req.user && req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to view this session' });
+      }
+
+      if (req.user && req.user.role === 'student') {
+        const isEnrolled = session.enrolledStudents.some(enrolled => String(enrolled.student._id || enrolled.student) === String(req.user._id));
+        if (!isEnrolled) return res.status(403).json({ success: false, message: 'You are not enrolled in this session' });
+      }
+
+      if (!session.isRecurring) {
+        return res.status(400).json({ success: false, message: 'Session is not part of a recurring series' });
+      }
+
+      const occurrences = await Session.findSeries(session)
+        .select('title startTime endTime status location roomNumber building occurrenceIndex parentSession cancelledAt cancellationReason');
+
+      res.json({
+        success: true,
+        data: {
+          seriesId: session.parentSession || session._id,
+          recurringPattern: session.recurringPattern,
+          occurrences
+        }
+      });
+    } catch (error) {
+      console.error('Get session series error:', error);
+      res.status(500).json({ success: false, message: 'Failed to get session series', error: error.message });
+    }
+  }
+
+  // Cancel a recurring series: only occurrences that have not started yet are cancelled
+  async cancelSessionSeries(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+
+      const session = await Session.findById(req.params.sessionId);
+      if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+
+      if (req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to cancel this series' });
+      }
+
+      if (!session.isRecurring) {
+        return res.status(400).json({ success: false, message: 'Session is not part of a recurring series' });
+      }
+
+      const { reason, notifyStudents = true } = req.body;
+      const now = new Date();
+      const rootId = session.parentSession || session._id;
+      const upcoming = await Session.find({
+        $or: [{ _id: rootId }, { parentSession: rootId }],
+        isActive: true,
+        status: 'scheduled',
+        startTime: { $gt: now }
+      }).sort({ startTime: 1 });
+
+      // Each occurrence is cancelled the same way a single session is, so its schedule change is recorded
+      for (const occurrence of upcoming) {
+        await applyCancellation(occurrence, { reason, user: req.user, now });
+      }
+
+      // Students get one email for the series rather than one per occurrence
+      const notifiedStudents = notifyStudents && upcoming.length > 0
+        ? queueStudentNotification(upcoming[0], { action: 'cancelled', reason, occurrences: upcoming })
+        : 0;
+
+      res.json({
+        success: true,
+        message: `${upcoming.length} upcoming occurrence(s) cancelled`,
+        data: { seriesId: rootId, cancelledOccurrences: upcoming.length, notifiedStudents }
+      });
+    } catch (error) {
+      console.error('Cancel session series error:', error);
+      res.status(500).json({ success: false, message: 'Failed to cancel session series', error: error.message });
+    }
+  }
+
   // Start session and generate QR
   async startSession(req, res) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+
       const { sessionId } = req.params;
       const session = await Session.findById(sessionId);
       if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
 
-      if (req.user && req.user.role === 'faculty' && String(session.faculty) !== String(req.user._id)) {
+      if (req.user && req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
         return res.status(403).json({ success: false, message: 'You do not have permission to start this session' });
       }
 
       if (session.status !== 'scheduled') return res.status(400).json({ success: false, message: 'Session cannot be started in current status' });
 
+      // Rotation and single-use codes can be switched on (or tuned) when the session is started
+      const { rotation, nonce } = req.body || {};
+      if (rotation) {
+        if (rotation.enabled !== undefined) session.qrCode.rotation.enabled = rotation.enabled;
+        if (rotation.intervalSeconds !== undefined) session.qrCode.rotation.intervalSeconds = rotation.intervalSeconds;
+      }
+      if (nonce) {
+        if (nonce.enabled !== undefined) session.qrCode.nonce.enabled = nonce.enabled;
+        if (nonce.maxUses !== undefined) session.qrCode.nonce.maxUses = nonce.maxUses;
+      }
+      if (session.qrCode.rotation.enabled) {
+        session.qrCode.secret = qrCodeGenerator.generateSessionSecret();
+      }
+
       await session.startSession();
 
-      const qrResult = await qrCodeGenerator.generateSessionQR(session, { width: 200, margin: 2 });
-      if (qrResult.success) {
-        await QRCodeLog.create({
-          code: qrResult.data.uniqueCode,
-          session: session._id,
-          generatedBy: req.user ? req.user._id : null,
-          settings: { expiresAt: qrResult.data.expiresAt, isActive: true },
-          payload: qrResult.data.payload
-        });
-      }
+      const qrResult = await QRCodeLog.issueForSession(session, req.user ? req.user._id : null, { width: 200, margin: 2 });
 
       res.json({ success: true, message: 'Session started successfully', data: { session, qrCode: qrResult.success ? qrResult.data : null } });
     } catch (error) {
@@ -201,14 +656,198 @@ class SessionController {
     }
   }
 
+  // Get the QR code currently on display (polled by the projector screen for rotating/single-use codes)
+  async getCurrentQRFrame(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+
+      const { sessionId } = req.params;
+      const session = await Session.findById(sessionId).select('+qrCode.secret');
+      if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+
+      if (req.user && req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to display this session QR code' });
+      }
+
+      if (session.status !== 'active') return res.status(400).json({ success: false, message: 'Session is not active' });
+
+      const { rotation, nonce } = session.qrCode;
+      if (!(rotation.enabled && session.qrCode.secret) && !nonce.enabled) {
+        return res.status(400).json({ success: false, message: 'Live QR display requires rotating or single-use codes for this session' });
+      }
+
+      const width = parseInt(req.query.width, 10) || 200;
+      const current = await QRCodeLog.findOne({ session: session._id, purpose: { $ne: 'checkout' }, 'settings.isActive': true })
+        .sort({ generatedAt: -1 });
+      let qrResult;
+
+      if (nonce.enabled && !(current && current.isValid)) {
+        // Replace the displayed single-use code once it is exhausted or expired
+        if (current) await current.deactivate();
+        qrResult = await QRCodeLog.issueForSession(session, req.user ? req.user._id : null, { width, margin: 2 });
+        if (qrResult.success) qrResult.data.replaced = !!current;
+      } else {
+        qrResult = await QRCodeLog.renderForSession(session, current ? current.code : null, { width, margin: 2 });
+        if (qrResult.success && current) {
+          qrResult.data.uniqueCode = current.code;
+          qrResult.data.remainingUses = current.remainingUses;
+        }
+      }
+
+      if (!qrResult.success) {
+        return res.status(500).json({ success: false, message: 'Failed to generate QR code', error: qrResult.error });
+      }
+
+      res.json({ success: true, data: { qrCode: qrResult.data } });
+    } catch (error) {
+      console.error('Get current QR frame error:', error);
+      res.status(500).json({ success: false, message: 'Failed to get current QR code', error: error.message });
+    }
+  }
+
+  // Get the exit QR code students scan to check out of sessions that require checkout
+  async getCheckoutQR(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+
+      const { sessionId } = req.params;
+      const session = await Session.findById(sessionId);
+      if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+
+      if (req.user && req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to display this session QR code' });
+      }
+
+      if (session.status !== 'active') return res.status(400).json({ success: false, message: 'Session is not active' });
+      if (!session.attendanceSettings.requireCheckout) return res.status(400).json({ success: false, message: 'This session does not require checkout' });
+
+      const width = parseInt(req.query.width, 10) || 200;
+      const current = await QRCodeLog.findOne({ session: session._id, purpose: 'checkout', 'settings.isActive': true })
+        .sort({ generatedAt: -1 });
+      let qrResult;
+
+      if (current && current.isValid) {
+        qrResult = await QRCodeLog.renderForSession(session, current.code, { width, margin: 2 }, 'checkout');
+        if (qrResult.success) {
+          qrResult.data.uniqueCode = current.code;
+          qrResult.data.expiresAt = current.settings.expiresAt;
+        }
+      } else {
+        // Valid a little past the scheduled end in case the class overruns; ending the session deactivates it
+        const expiresAt = new Date(Math.max(session.endTime.getTime(), Date.now()) + 30 * 60 * 1000);
+        qrResult = await QRCodeLog.issueForSession(session, req.user ? req.user._id : null, { width, margin: 2 }, { purpose: 'checkout', expiresAt });
+      }
+
+      if (!qrResult.success) {
+        return res.status(500).json({ success: false, message: 'Failed to generate QR code', error: qrResult.error });
+      }
+
+      res.json({ success: true, data: { qrCode: qrResult.data } });
+    } catch (error) {
+      console.error('Get checkout QR error:', error);
+      res.status(500).json({ success: false, message: 'Failed to get checkout QR code', error: error.message });
+    }
+  }
+
+  // Mark a student present by scanning their personal ID QR code (reverse mode)
+  async scanStudentQR(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+
+      const { sessionId } = req.params;
+      const session = await Session.findById(sessionId);
+      if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+
+      if (req.user && req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to mark attendance for this session' });
+      }
+
+      if (session.status !== 'active') return res.status(400).json({ success: false, message: 'Session is not active' });
+
+      const qrValidation = qrCodeGenerator.validateQRData(req.body.qrCodeData);
+      if (!qrValidation.valid) return res.status(400).json({ success: false, message: qrValidation.error });
+
+      const { payload } = qrValidation;
+      if (payload.type !== 'user_verification' || payload.role !== 'student') {
+        return res.status(400).json({ success: false, message: 'Please scan a student ID QR code' });
+      }
+
+      // ID codes must be short-lived so a screenshot cannot be reused later
+      if (!payload.expiresAt) return res.status(400).json({ success: false, message: 'Student ID QR code has expired, ask the student to refresh it' });
+
+      const student = await User.findById(payload.userId);
+      if (!student || student.role !== 'student' || !student.isActive) {
+        return res.status(404).json({ success: false, message: 'Student not found' });
+      }
+
+      const isEnrolled = session.enrolledStudents.some(enrolled => String(enrolled.student) === String(student._id));
+      if (!isEnrolled) return res.status(403).json({ success: false, message: 'Student is not enrolled in this session' });
+
+      const now = new Date();
+      let attendance = await Attendance.findOne({ student: student._id, session: session._id });
+
+      if (attendance && attendance.isApproved) {
+        return res.status(400).json({ success: false, message: 'Attendance already marked for this student', data: { attendance } });
+      }
+
+      if (attendance) {
+        // Seeing the student in person settles a pending QR submission; a late submission stays late
+        if (!['present', 'late'].includes(attendance.status)) attendance.status = 'present';
+        attendance.isApproved = true;
+        attendance.approvedBy = req.user._id;
+        attendance.approvedAt = now;
+        attendance.qrSubmission.isPendingApproval = false;
+        attendance.verifiedBy = req.user._id;
+        attendance.verifiedAt = now;
+        attendance.setRevisionContext({ actor: req.user._id, source: 'session.scan_student' });
+        await attendance.save();
+      } else {
+        attendance = await new Attendance({
+          student: student._id,
+          session: session._id,
+          status: 'present',
+          checkInTime: now,
+          academicYear: session.academicYear,
+          semester: session.semester,
+          isApproved: true,
+          approvedBy: req.user._id,
+          approvedAt: now,
+          qrSubmission: { isPendingApproval: false },
+          verifiedBy: req.user._id,
+          verifiedAt: now,
+          verificationNotes: 'Marked by scanning student ID QR code',
+          createdBy: req.user._id
+        }).setRevisionContext({ actor: req.user._id, source: 'session.scan_student' }).save();
+      }
+
+      await session.refreshAttendanceCount();
+      await session.save();
+
+      res.json({
+        success: true,
+        message: `${student.firstName} ${student.lastName} marked ${attendance.status}`,
+        data: { attendance, student: { _id: student._id, firstName: student.firstName, lastName: student.lastName, studentId: student.studentId } }
+      });
+    } catch (error) {
+      console.error('Scan student QR error:', error);
+      res.status(500).json({ success: false, message: 'Failed to mark attendance from student QR code', error: error.message });
+    }
+  }
+
   // End session
   async endSession(req, res) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+
       const { sessionId } = req.params;
       const session = await Session.findById(sessionId);
       if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
 
-      if (req.user && req.user.role === 'faculty' && String(session.faculty) !== String(req.user._id)) {
+      if (req.user && req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
         return res.status(403).json({ success: false, message: 'You do not have permission to end this session' });
       }
 
@@ -216,18 +855,198 @@ class SessionController {
 
       await session.endSession();
 
-      const qrCodeLog = await QRCodeLog.findOne({ 'payload.sessionId': session._id });
-      if (qrCodeLog && typeof qrCodeLog.deactivate === 'function') {
-        await qrCodeLog.deactivate();
-      }
+      await QRCodeLog.deactivateForSession(session._id);
 
-      res.json({ success: true, message: 'Session ended successfully', data: { session } });
+      // Record absentees and optionally approve pending submissions (body overrides the session setting)
+      const autoApprove = typeof req.body.autoApprove === 'boolean' ? req.body.autoApprove : undefined;
+      const finalization = await session.finalizeAttendance(req.user._id, { autoApprove });
+
+      res.json({ success: true, message: 'Session ended successfully', data: { session, finalization } });
     } catch (error) {
       console.error('End session error:', error);
       res.status(500).json({ success: false, message: 'Failed to end session', error: error.message });
     }
   }
 
+  // Finalize attendance for a completed session that was not finalized when it ended
+  async finalizeSessionAttendance(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+
+      const { sessionId } = req.params;
+      const session = await Session.findById(sessionId);
+      if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+
+      if (req.user && req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to finalize this session' });
+      }
+
+      if (session.status !== 'completed') return res.status(400).json({ success: false, message: 'Only completed sessions can be finalized' });
+
+      const lock = await AcademicYear.getAttendanceLock({ year: session.academicYear, semester: session.semester, date: session.startTime, user: req.user });
+      if (lock) return res.status(403).json({ success: false, message: lock.message, data: { lock } });
+
+      const autoApprove = typeof req.body.autoApprove === 'boolean' ? req.body.autoApprove : undefined;
+      const finalization = await session.finalizeAttendance(req.user._id, { autoApprove });
+
+      res.json({ success: true, message: 'Session attendance finalized successfully', data: { session, finalization } });
+    } catch (error) {
+      console.error('Finalize session error:', error);
+      res.status(500).json({ success: false, message: 'Failed to finalize session attendance', error: error.message });
+    }
+  }
+
+  // Download a printable code for a single session as PNG or SVG
+  async downloadSessionQR(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+
+      const { sessionId } = req.params;
+      const format = req.query.format || 'png';
+      const width = parseInt(req.query.width, 10) || 400;
+
+      const session = await Session.findById(sessionId);
+      if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+
+      if (req.user && req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to print QR codes for this session' });
+      }
+
+      const printable = printableSessionError(session);
+      if (printable) return res.status(400).json({ success: false, message: printable });
+
+      const qrResult = await QRCodeLog.issueForSession(session, req.user._id, {}, { expiresAt: session.endTime });
+      if (!qrResult.success) return res.status(500).json({ success: false, message: 'Failed to generate QR code', error: qrResult.error });
+
+      const filename = `session_${session._id}_qr.${format}`;
+      res.setHeader('Content-Disposition', `attachment; filename=${filename}`);
+
+      if (format === 'svg') {
+        res.setHeader('Content-Type', 'image/svg+xml');
+        return res.send(await qrCodeGenerator.generateQRSVG(qrResult.data.payload, { width }));
+      }
+
+      res.setHeader('Content-Type', 'image/png');
+      res.send(await qrCodeGenerator.generateQRBuffer(qrResult.data.payload, { width }));
+    } catch (error) {
+      console.error('Download session QR error:', error);
+      res.status(500).json({ success: false, message: 'Failed to download session QR code', error: error.message });
+    }
+  }
+
+  // Render printable QR sheets (one session per page) for a list of sessions or a timetable
+  async printSessionQRSheets(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+
+      const { sessionIds, timetableId, startDate, endDate } = req.body;
+
+      const query = { status: { $in: ['scheduled', 'active'] } };
+      if (sessionIds && sessionIds.length) {
+        query._id = { $in: sessionIds };
+      } else if (timetableId) {
+        query.timetableId = timetableId;
+      } else {
+        return res.status(400).json({ success: false, message: 'Provide sessionIds or timetableId' });
+      }
+
+      if (startDate || endDate) {
+        query.startTime = {};
+        if (startDate) query.startTime.$gte = new Date(startDate);
+        if (endDate) query.startTime.$lte = new Date(endDate);
+      }
+
+      // Faculty can only print codes for sessions they teach
+      if (req.user && req.user.role === 'faculty') Object.assign(query, Session.taughtByFilter(req.user._id));
+
+      const sessions = await Session.find(query).sort({ startTime: 1 });
+      if (sessions.length > MAX_PRINT_SESSIONS) {
+        return res.status(400).json({ success: false, message: `Cannot print more than ${MAX_PRINT_SESSIONS} sessions at once, narrow the date range` });
+      }
+
+      const pages = [];
+      const skipped = [];
+
+      for (const session of sessions) {
+        const printable = printableSessionError(session);
+        if (printable) {
+          skipped.push({ sessionId: session._id, title: session.title, reason: printable });
+          continue;
+        }
+
+        const qrResult = await QRCodeLog.issueForSession(session, req.user._id, {}, { expiresAt: session.endTime });
+        if (!qrResult.success) {
+          skipped.push({ sessionId: session._id, title: session.title, reason: qrResult.error });
+          continue;
+        }
+
+        const room = [session.building, session.roomNumber].filter(Boolean).join(' ') || session.location;
+        pages.push({
+          data: qrResult.data.payload,
+          title: session.title,
+          lines: [
+            room ? `Room: ${room}` : null,
+            `${dateUtils.formatDisplayDateTime(session.startTime)} - ${dateUtils.formatDisplayDateTime(session.endTime)}`
+          ].filter(Boolean)
+        });
+      }
+
+      if (pages.length === 0) {
+        return res.status(400).json({ success: false, message: 'No printable sessions found', data: { skipped } });
+      }
+
+      const pdf = await qrCodeGenerator.generateQRSheetPDF(pages);
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', 'attachment; filename=session_qr_codes.pdf');
+      if (skipped.length) res.setHeader('X-Skipped-Sessions', String(skipped.length));
+      res.send(pdf);
+    } catch (error) {
+      console.error('Print session QR sheets error:', error);
+      res.status(500).json({ success: false, message: 'Failed to print session QR codes', error: error.message });
+    }
+  }
+
+  // List every QR code generated for a session with scan counts and rejected-scan reasons
+  async getSessionQRCodes(req, res) {
+    try {
+      const { sessionId } = req.params;
+      const session = await Session.findById(sessionId);
+      if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
+
+      if (req.user && req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
+        return res.status(403).json({ success: false, message: 'You do not have permission to view QR codes for this session' });
+      }
+
+      const qrCodeLogs = await QRCodeLog.find({ session: session._id })
+        .populate('generatedBy', 'firstName lastName email')
+        .sort({ generatedAt: 1 });
+
+      const qrCodes = qrCodeLogs.map(log => ({
+        _id: log._id,
+        code: log.code,
+        generatedBy: log.generatedBy,
+        generatedAt: log.generatedAt,
+        status: log.status,
+        mode: log.payload.mode,
+        expiresAt: log.settings.expiresAt,
+        maxUses: log.settings.maxUses,
+        remainingUses: log.remainingUses,
+        rotationIntervalSeconds: log.settings.rotationIntervalSeconds,
+        usage: log.usage,
+        ...log.getScanSummary()
+      }));
+
+      res.json({ success: true, data: { qrCodes, totalGenerated: qrCodes.length } });
+    } catch (error) {
+      console.error('Get session QR codes error:', error);
+      res.status(500).json({ success: false, message: 'Failed to get session QR codes', error: error.message });
+    }
+  }
+
   // Add student
   async addStudentToSession(req, res) {
     try {
@@ -237,7 +1056,7 @@ class SessionController {
       const session = await Session.findById(sessionId);
       if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
 
-      if (req.user && req.user.role === 'faculty' && String(session.faculty) !== String(req.user._id)) {
+      if (req.user && req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
         return res.status(403).json({ success: false, message: 'You do not have permission to modify this session' });
       }
 
@@ -261,7 +1080,7 @@ class SessionController {
       const session = await Session.findById(sessionId);
       if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
 
-      if (req.user && req.user.role === 'faculty' && String(session.faculty) !== String(req.user._id)) {
+      if (req.user && req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
         return res.status(403).json({ success: false, message: 'You do not have permission to modify this session' });
       }
 
@@ -280,7 +1099,7 @@ class SessionController {
       const session = await Session.findById(sessionId);
       if (!session) return res.status(404).json({ success: false, message: 'Session not found' });
 
-      if (req.user && req.user.role === 'faculty' && String(session.faculty) !== String(req.user._id)) {
+      if (req.user && req.user.role === 'faculty' && !session.isTaughtBy(req.user._id)) {
         return res.status(403).json({ success: false, message: 'You do not have permission to view this session attendance' });
       }
 
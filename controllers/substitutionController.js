@@ -0,0 +1,245 @@
+const Substitution = require('../models/Substitution');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { validationResult } = require('express-validator');
+
+class SubstitutionController {
+  /**
+   * Assign a substitute to one session, or to every session of a faculty member in a date range
+   */
+  async assignSubstitute(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { substitute: substituteId, sessionId, startDate, endDate, reason } = req.body;
+
+      // Faculty arrange cover for their own classes; admins for anyone's
+      let originalFaculty = req.body.originalFaculty || req.user._id;
+      if (sessionId) {
+        const session = await Session.findById(sessionId).select('faculty');
+        if (!session) {
+          return res.status(404).json({
+            success: false,
+            message: 'Session not found'
+          });
+        }
+        originalFaculty = session.faculty;
+      }
+
+      if (req.user.role !== 'admin' && String(originalFaculty) !== String(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You can only arrange substitutes for your own sessions'
+        });
+      }
+
+      if (String(substituteId) === String(originalFaculty)) {
+        return res.status(400).json({
+          success: false,
+          message: 'A faculty member cannot substitute for themselves'
+        });
+      }
+
+      const substitute = await User.findById(substituteId);
+      if (!substitute || substitute.role !== 'faculty' || !substitute.isActive) {
+        return res.status(400).json({
+          success: false,
+          message: 'Substitute must be an active faculty member'
+        });
+      }
+
+      const sessions = await Substitution.findCoverableSessions({ originalFaculty, sessionId, startDate, endDate });
+      // Sessions already covered by another substitution keep their substitute
+      const covered = sessions.filter(session => session.substituteFaculty);
+      const toCover = sessions.filter(session => !session.substituteFaculty);
+      if (toCover.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: sessions.length > 0
+            ? 'All matching sessions already have a substitute'
+            : 'No upcoming sessions to cover'
+        });
+      }
+
+      const conflicts = await Session.findConflicts(
+        toCover.map(session => ({
+          startTime: session.startTime,
+          endTime: session.endTime,
+          faculty: session.faculty,
+          substituteFaculty: substitute._id
+        })),
+        toCover.map(session => session._id)
+      );
+      const allowConflicts = req.user.role === 'admin' && [true, 'true'].includes(req.body.allowConflicts);
+      if (conflicts.length > 0 && !allowConflicts) {
+        return res.status(409).json({
+          success: false,
+          message: `The substitute is already teaching during ${conflicts.length} of these sessions`,
+          data: { conflicts }
+        });
+      }
+
+      const substitution = new Substitution({
+        originalFaculty,
+        substitute: substitute._id,
+        scope: sessionId ? 'session' : 'range',
+        startDate: sessionId ? toCover[0].startTime : new Date(startDate),
+        endDate: sessionId ? toCover[0].endTime : new Date(endDate),
+        reason,
+        assignedBy: req.user._id
+      });
+      await substitution.applyToSessions(toCover);
+
+      await AuditLog.record({
+        action: 'substitute_assigned',
+        actor: req.user._id,
+        targetType: 'Substitution',
+        targetId: substitution._id,
+        details: {
+          originalFaculty,
+          substitute: substitute._id,
+          sessions: substitution.sessions,
+          conflicts: conflicts.length > 0 ? conflicts : undefined
+        }
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Substitute assigned to ${toCover.length} session(s)`,
+        data: {
+          substitution,
+          coveredSessions: toCover.length,
+          skippedSessions: covered.map(session => session._id)
+        }
+      });
+    } catch (error) {
+      console.error('Assign substitute error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to assign substitute',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * List substitutions (admins see all, faculty those covering for them or by them)
+   */
+  async getSubstitutions(req, res) {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { status, facultyId, page = 1, limit = 20 } = req.query;
+      const query = {};
+      if (status) query.status = status;
+
+      const facultyFilter = req.user.role === 'admin' ? facultyId : req.user._id;
+      if (facultyFilter) {
+        query.$or = [{ originalFaculty: facultyFilter }, { substitute: facultyFilter }];
+      }
+
+      const substitutions = await Substitution.find(query)
+        .populate('originalFaculty', 'firstName lastName email')
+        .populate('substitute', 'firstName lastName email')
+        .populate('assignedBy', 'firstName lastName')
+        .populate('sessions', 'title courseCode startTime endTime status')
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+      const total = await Substitution.countDocuments(query);
+
+      res.json({
+        success: true,
+        data: {
+          substitutions,
+          pagination: {
+            current: parseInt(page),
+            pages: Math.ceil(total / limit),
+            total
+          }
+        }
+      });
+    } catch (error) {
+      console.error('Get substitutions error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to get substitutions',
+        error: error.message
+      });
+    }
+  }
+
+  /**
+   * Revoke a substitution; sessions not yet held return to the original faculty
+   */
+  async revokeSubstitution(req, res) {
+    try {
+      const substitution = await Substitution.findById(req.params.substitutionId);
+      if (!substitution) {
+        return res.status(404).json({
+          success: false,
+          message: 'Substitution not found'
+        });
+      }
+
+      if (req.user.role !== 'admin' && String(substitution.originalFaculty) !== String(req.user._id)) {
+        return res.status(403).json({
+          success: false,
+          message: 'You do not have permission to revoke this substitution'
+        });
+      }
+
+      if (substitution.status !== 'active') {
+        return res.status(400).json({
+          success: false,
+          message: 'Substitution has already been revoked'
+        });
+      }
+
+      const returnedSessions = await substitution.revoke(req.user._id);
+
+      await AuditLog.record({
+        action: 'substitute_revoked',
+        actor: req.user._id,
+        targetType: 'Substitution',
+        targetId: substitution._id,
+        details: {
+          originalFaculty: substitution.originalFaculty,
+          substitute: substitution.substitute,
+          returnedSessions
+        }
+      });
+
+      res.json({
+        success: true,
+        message: 'Substitution revoked successfully',
+        data: { substitution, returnedSessions }
+      });
+    } catch (error) {
+      console.error('Revoke substitution error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to revoke substitution',
+        error: error.message
+      });
+    }
+  }
+}
+
+module.exports = new SubstitutionController();
@@ -1,8 +1,12 @@
 const Timetable = require('../models/Timetable');
 const Session = require('../models/Session');
 const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
 const { validationResult } = require('express-validator');
 
+// Admins can keep a double-booking on purpose by sending allowConflicts
+const overridesConflicts = (req) => req.user.role === 'admin' && [true, 'true'].includes(req.body.allowConflicts);
+
 class TimetableController {
   /**
    * Create a new timetable
@@ -44,6 +48,15 @@ class TimetableController {
         }
       }
 
+      const conflicts = await Timetable.findScheduleConflicts({ schedule, startDate, endDate });
+      if (conflicts.length > 0 && !overridesConflicts(req)) {
+        return res.status(409).json({
+          success: false,
+          message: 'Timetable double-books a faculty member or room',
+          data: { conflicts }
+        });
+      }
+
       const timetableData = {
         title,
         description,
@@ -59,6 +72,16 @@ class TimetableController {
 
       const timetable = await Timetable.create(timetableData);
 
+      if (conflicts.length > 0) {
+        await AuditLog.record({
+          action: 'schedule_conflict_overridden',
+          actor: req.user._id,
+          targetType: 'Timetable',
+          targetId: timetable._id,
+          details: { conflicts }
+        });
+      }
+
       res.status(201).json({
         success: true,
         message: 'Timetable created successfully',
@@ -225,8 +248,17 @@ class TimetableController {
    */
   async updateTimetable(req, res) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
       const { timetableId } = req.params;
-      const updateData = req.body;
+      const { allowConflicts, ...updateData } = req.body;
 
       // Check if timetable exists and is not finalized
       const timetable = await Timetable.findById(timetableId);
@@ -257,6 +289,23 @@ class TimetableController {
         }
       }
 
+      let conflicts = [];
+      if (updateData.schedule || updateData.startDate || updateData.endDate) {
+        conflicts = await Timetable.findScheduleConflicts({
+          schedule: updateData.schedule || timetable.schedule,
+          startDate: updateData.startDate || timetable.startDate,
+          endDate: updateData.endDate || timetable.endDate
+        }, timetable._id);
+
+        if (conflicts.length > 0 && !overridesConflicts(req)) {
+          return res.status(409).json({
+            success: false,
+            message: 'Timetable double-books a faculty member or room',
+            data: { conflicts }
+          });
+        }
+      }
+
       const updatedTimetable = await Timetable.findByIdAndUpdate(
         timetableId,
         updateData,
@@ -265,6 +314,16 @@ class TimetableController {
       .populate('createdBy', 'firstName lastName email')
       .populate('schedule.faculty', 'firstName lastName email employeeId');
 
+      if (conflicts.length > 0) {
+        await AuditLog.record({
+          action: 'schedule_conflict_overridden',
+          actor: req.user._id,
+          targetType: 'Timetable',
+          targetId: timetable._id,
+          details: { conflicts }
+        });
+      }
+
       res.json({
         success: true,
         message: 'Timetable updated successfully',
@@ -325,6 +384,15 @@ class TimetableController {
    */
   async generateSessions(req, res) {
     try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
       const { timetableId } = req.params;
 
       const timetable = await Timetable.findById(timetableId);
@@ -342,15 +410,29 @@ class TimetableController {
         });
       }
 
-      // Generate sessions
-      const generatedSessions = await Timetable.generateSessions(timetableId);
+      // Generate sessions; clashing slots are skipped unless an admin overrides
+      const allowConflicts = overridesConflicts(req);
+      const { sessions, conflicts } = await Timetable.generateSessions(timetableId, { allowConflicts });
+
+      if (allowConflicts && conflicts.length > 0) {
+        await AuditLog.record({
+          action: 'schedule_conflict_overridden',
+          actor: req.user._id,
+          targetType: 'Timetable',
+          targetId: timetable._id,
+          details: { conflicts }
+        });
+      }
 
       res.json({
         success: true,
-        message: 'Sessions generated successfully',
+        message: conflicts.length > 0 && !allowConflicts
+          ? `Sessions generated; ${conflicts.length} conflicting slot(s) were skipped`
+          : 'Sessions generated successfully',
         data: {
-          sessions: generatedSessions,
-          count: generatedSessions.length
+          sessions,
+          count: sessions.length,
+          conflicts
         }
       });
     } catch (error) {
@@ -511,9 +511,25 @@ class UserController {
         .sort({ checkInTime: -1 })
         .limit(5);
 
+        // Overall attendance, weighted by the department's late/excused policy
+        const Department = require('../models/Department');
+        const analyticsUtils = require('../utils/analyticsUtils');
+        const attendanceRecords = await Attendance.find({ student: userId, isActive: true }).select('status checkInTime');
+        const weights = await Department.getStatusWeights(user.department);
+        const stats = analyticsUtils.calculateStudentAttendanceStats(attendanceRecords, { weights });
+
         dashboardData.studentData = {
           enrolledSessions: enrolledSessions.length,
-          recentAttendance
+          recentAttendance,
+          attendanceStats: {
+            totalSessions: stats.totalSessions,
+            present: stats.present,
+            late: stats.late,
+            partial: stats.partial,
+            excused: stats.excused,
+            absent: stats.absent,
+            attendancePercentage: stats.effectivePercentage
+          }
         };
       } else if (user.role === ROLES.FACULTY) {
         // Get faculty-specific data
@@ -41,11 +41,15 @@ const errorHandler = (err, req, res, next) => {
     error = { message, statusCode: 400 };
   }
 
-  if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+  if (err.code === 'LIMIT_UNEXPECTED_FILE' || err.code === 'LIMIT_FILE_COUNT') {
     const message = 'Too many files uploaded';
     error = { message, statusCode: 400 };
   }
 
+  if (err.code === 'INVALID_FILE_TYPE') {
+    error = { message: err.message, statusCode: 400 };
+  }
+
   // Rate limiting error
   if (err.status === 429) {
     const message = 'Too many requests, please try again later';
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+const UPLOAD_ROOT = process.env.UPLOAD_PATH || './uploads';
+
+// Allowed extensions come from ALLOWED_FILE_TYPES (same setting shown in admin settings)
+const getAllowedFileTypes = () =>
+  (process.env.ALLOWED_FILE_TYPES || 'jpg,jpeg,png,pdf')
+    .split(',')
+    .map(type => type.trim().toLowerCase())
+    .filter(Boolean);
+
+// Create a multer instance storing files under uploads/<subdirectory> with random names.
+// options.inMemory keeps the file in req.file.buffer instead (for files parsed and discarded);
+// options.allowedTypes overrides ALLOWED_FILE_TYPES.
+const createUpload = (subdirectory, options = {}) => {
+  const destination = path.join(UPLOAD_ROOT, subdirectory);
+  const allowedTypes = () => options.allowedTypes || getAllowedFileTypes();
+
+  const storage = options.inMemory ? multer.memoryStorage() : multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(destination, { recursive: true }, (err) => cb(err, destination));
+    },
+    filename: (req, file, cb) => {
+      const extension = path.extname(file.originalname).toLowerCase();
+      cb(null, `${Date.now()}-${crypto.randomBytes(12).toString('hex')}${extension}`);
+    }
+  });
+
+  const fileFilter = (req, file, cb) => {
+    const extension = path.extname(file.originalname).slice(1).toLowerCase();
+    if (!allowedTypes().includes(extension)) {
+      const error = new Error(`File type not allowed. Allowed types: ${allowedTypes().join(', ')}`);
+      error.code = 'INVALID_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  };
+
+  return multer({
+    storage,
+    fileFilter,
+    limits: {
+      fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024,
+      files: options.maxFiles || 5
+    }
+  });
+};
+
+// Remove uploaded files (e.g. when the request they belong to fails validation)
+const removeUploadedFiles = (files = []) => {
+  files.forEach(file => {
+    if (!file.path) return; // in-memory upload
+    fs.unlink(file.path, (err) => {
+      if (err && err.code !== 'ENOENT') console.warn('Failed to remove upload', file.path, err.message);
+    });
+  });
+};
+
+module.exports = {
+  createUpload,
+  removeUploadedFiles
+};
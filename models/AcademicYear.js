@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const moment = require('moment');
 
 const academicYearSchema = new mongoose.Schema({
   // Academic year information (e.g., 2024-2025)
@@ -131,6 +132,61 @@ academicYearSchema.statics.getCurrentSemester = async function() {
   return currentYear.currentSemester;
 };
 
+// Static method to find the finalized semester a year of study was in on a date (null if none)
+academicYearSchema.statics.findFinalizedSemester = async function(year, semesterName, date = new Date()) {
+  const academicYears = await this.find({
+    isDeleted: false,
+    startDate: { $lte: date },
+    'academicYears.semesters.isFinalized': true
+  });
+
+  for (const academicYear of academicYears) {
+    const yearData = academicYear.academicYears.find(ay => ay.year === String(year));
+    if (!yearData) continue;
+
+    const semester = yearData.semesters.find(sem =>
+      sem.name === String(semesterName) &&
+      sem.isFinalized &&
+      sem.startDate <= date &&
+      moment(sem.endDate).endOf('day').toDate() >= date
+    );
+
+    if (semester) {
+      return { academicYear, year: yearData.year, semester };
+    }
+  }
+
+  return null;
+};
+
+// Static method to check whether attendance for a year of study and semester on a date is
+// locked for a user. Returns null when it can be changed (not finalized, or an approved unlock
+// request of the user is still open), otherwise a description of the lock.
+academicYearSchema.statics.getAttendanceLock = async function({ year, semester, date, user }) {
+  const finalized = await this.findFinalizedSemester(year, semester, date);
+  if (!finalized) return null;
+
+  if (user) {
+    const SemesterUnlockRequest = require('./SemesterUnlockRequest');
+    const unlock = await SemesterUnlockRequest.findActiveUnlock(
+      finalized.academicYear._id,
+      finalized.year,
+      finalized.semester.name,
+      user._id
+    );
+    if (unlock) return null;
+  }
+
+  return {
+    academicYearId: finalized.academicYear._id,
+    academicYear: finalized.academicYear.year,
+    year: finalized.year,
+    semester: finalized.semester.name,
+    finalizedAt: finalized.semester.finalizedAt,
+    message: `Attendance for year ${finalized.year} semester ${finalized.semester.name} (${finalized.academicYear.year}) is finalized and read-only; submit an unlock request to change it`
+  };
+};
+
 // Instance method to set as current academic year
 academicYearSchema.methods.setAsCurrent = async function() {
   // Remove current status from other academic years
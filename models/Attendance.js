@@ -18,7 +18,7 @@ const attendanceSchema = new mongoose.Schema({
   // Attendance details
   status: {
     type: String,
-    enum: ['present', 'absent'],
+    enum: ['present', 'late', 'partial', 'absent', 'excused'],
     default: 'present',
     required: true
   },
@@ -64,6 +64,19 @@ const attendanceSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+
+  // Checkout policy outcome, evaluated when the session is finalized
+  presence: {
+    minutes: Number,
+    percent: Number,
+    requiredPercent: Number,
+    outcome: {
+      type: String,
+      enum: ['met', 'below_minimum', 'missing_checkout']
+    },
+    previousStatus: String,
+    evaluatedAt: Date
+  },
   
   // Location data (for GPS-based attendance)
   location: {
@@ -81,17 +94,36 @@ const attendanceSchema = new mongoose.Schema({
     address: String
   },
   
+  // Geofence verification result
+  locationVerification: {
+    distance: Number, // meters from the classroom coordinate
+    allowedRadius: Number,
+    accuracy: Number,
+    isWithinRadius: Boolean,
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    reason: String
+  },
+  
   // Device information
   deviceInfo: {
     userAgent: String,
     platform: String,
     browser: String,
-    ipAddress: String
+    ipAddress: String,
+    deviceId: String, // stable identifier reported by the client app, if any
+    fingerprint: String // server-computed hash used for proxy detection
   },
   
   // QR Code data
   qrCodeData: {
     code: String,
+    qrCodeLog: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QRCodeLog'
+    },
     scannedAt: Date,
     isValid: {
       type: Boolean,
@@ -103,7 +135,22 @@ const attendanceSchema = new mongoose.Schema({
   biometricData: {
     fingerprintId: String,
     faceId: String,
-    confidence: Number
+    confidence: Number,
+    method: {
+      type: String,
+      enum: ['fingerprint', 'face']
+    },
+    provider: String,
+    deviceId: String,
+    verified: {
+      type: Boolean,
+      default: false
+    },
+    verifiedAt: Date,
+    confirmedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User' // account the classroom device is signed in with
+    }
   },
   
   // Faculty verification
@@ -128,6 +175,21 @@ const attendanceSchema = new mongoose.Schema({
     type: String,
     maxlength: [200, 'Proxy reason cannot exceed 200 characters']
   },
+  proxyEvidence: {
+    detectedAt: Date,
+    matchedOn: [{
+      type: String,
+      enum: ['fingerprint', 'ipAddress', 'cross_session']
+    }],
+    relatedAttendance: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Attendance'
+    }],
+    relatedStudents: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }]
+  },
   
   // System fields
   isActive: {
@@ -179,13 +241,50 @@ attendanceSchema.index({ session: 1, status: 1 });
 attendanceSchema.index({ checkInTime: 1 });
 attendanceSchema.index({ student: 1, checkInTime: -1 });
 attendanceSchema.index({ isActive: 1 });
+attendanceSchema.index({ session: 1, 'deviceInfo.fingerprint': 1 });
+attendanceSchema.index({ session: 1, 'deviceInfo.ipAddress': 1 });
+attendanceSchema.index({ 'deviceInfo.fingerprint': 1, checkInTime: -1 });
+
+// Fields whose changes are kept in the record's revision history (snapshot key -> document path)
+const REVISION_FIELDS = {
+  status: 'status',
+  isApproved: 'isApproved',
+  approvedBy: 'approvedBy',
+  approvedAt: 'approvedAt',
+  isPendingApproval: 'qrSubmission.isPendingApproval',
+  checkInTime: 'checkInTime',
+  checkOutTime: 'checkOutTime',
+  verifiedBy: 'verifiedBy',
+  verifiedAt: 'verifiedAt',
+  verificationNotes: 'verificationNotes',
+  isProxy: 'isProxy',
+  proxyReason: 'proxyReason',
+  isActive: 'isActive'
+};
+
+// Remember the loaded state so saves can be diffed against it
+attendanceSchema.post('init', function() {
+  this.$locals.revisionBase = this.getRevisionSnapshot();
+});
 
 // Pre-save middleware to update updatedAt
 attendanceSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  this.$locals.wasNew = this.isNew;
   next();
 });
 
+// Record a revision for every save (who, why and where come from setRevisionContext)
+attendanceSchema.post('save', async function(doc) {
+  const AttendanceRevision = require('./AttendanceRevision');
+  const before = doc.$locals.wasNew ? null : doc.$locals.revisionBase;
+
+  await AttendanceRevision.record(doc, before, doc.$locals.revisionContext);
+
+  doc.$locals.revisionBase = doc.getRevisionSnapshot();
+  doc.$locals.revisionContext = undefined;
+});
+
 // Static method to get attendance statistics
 attendanceSchema.statics.getAttendanceStats = async function(studentId, startDate, endDate) {
   const pipeline = [
@@ -218,6 +317,199 @@ attendanceSchema.statics.getSessionAttendance = async function(sessionId) {
     .sort({ checkInTime: -1 });
 };
 
+// Static method to find other students' submissions sharing this device or network
+attendanceSchema.statics.findProxyMatches = async function({ sessionId, studentId, fingerprint, ipAddress }, settings) {
+  const matchedOn = [];
+  const related = [];
+
+  if (fingerprint) {
+    const sameDevice = await this.find({
+      session: sessionId,
+      student: { $ne: studentId },
+      'deviceInfo.fingerprint': fingerprint
+    }).select('student');
+
+    if (sameDevice.length > 0) {
+      matchedOn.push('fingerprint');
+      related.push(...sameDevice);
+    }
+  }
+
+  if (ipAddress && settings.maxStudentsPerIp > 0) {
+    const sameNetwork = await this.find({
+      session: sessionId,
+      student: { $ne: studentId },
+      'deviceInfo.ipAddress': ipAddress
+    }).select('student');
+
+    // This submission makes one more student on the address
+    if (sameNetwork.length + 1 > settings.maxStudentsPerIp) {
+      matchedOn.push('ipAddress');
+      related.push(...sameNetwork);
+    }
+  }
+
+  // The same device repeatedly submitting for other students in earlier sessions
+  if (fingerprint) {
+    const since = new Date(Date.now() - settings.lookbackDays * 24 * 60 * 60 * 1000);
+    const earlier = await this.find({
+      session: { $ne: sessionId },
+      student: { $ne: studentId },
+      'deviceInfo.fingerprint': fingerprint,
+      checkInTime: { $gte: since }
+    }).select('student session');
+
+    const otherSessions = new Set(earlier.map(record => String(record.session)));
+    if (otherSessions.size >= settings.crossSessionMinSessions) {
+      matchedOn.push('cross_session');
+      related.push(...earlier);
+    }
+  }
+
+  const relatedAttendance = [...new Map(related.map(record => [String(record._id), record._id])).values()];
+  const relatedStudents = [...new Map(related.map(record => [String(record.student), record.student])).values()];
+
+  return { matchedOn, relatedAttendance, relatedStudents };
+};
+
+// Static method to compute per-subject exam eligibility for students of one department, year
+// and semester. Returns { eligibility: Map of student id -> eligibility per course code, rules }.
+attendanceSchema.statics.getSubjectEligibility = async function(studentIds, { department, academicYear, semester, courseCode, startDate, endDate } = {}) {
+  const Department = require('./Department');
+  const CondonationRequest = require('./CondonationRequest');
+  const analyticsUtils = require('../utils/analyticsUtils');
+
+  const query = {
+    student: { $in: studentIds },
+    academicYear,
+    semester,
+    isActive: true
+  };
+  if (startDate || endDate) {
+    query.checkInTime = {};
+    if (startDate) query.checkInTime.$gte = new Date(startDate);
+    if (endDate) query.checkInTime.$lte = new Date(endDate);
+  }
+
+  const [records, weights, rules, condonations] = await Promise.all([
+    this.find(query).populate('session', 'courseCode subject startTime'),
+    Department.getStatusWeights(department),
+    Department.getEligibilityRules(department),
+    CondonationRequest.find({
+      student: { $in: studentIds },
+      academicYear,
+      semester,
+      status: { $ne: 'withdrawn' }
+    }).sort({ createdAt: 1 })
+  ]);
+
+  const recordsByStudent = new Map(studentIds.map(id => [String(id), []]));
+  records.forEach(record => {
+    if (courseCode && (!record.session || record.session.courseCode !== courseCode)) return;
+    const list = recordsByStudent.get(String(record.student));
+    if (list) list.push(record);
+  });
+
+  const condonationsByStudent = new Map();
+  condonations.forEach(request => {
+    const key = String(request.student);
+    if (!condonationsByStudent.has(key)) condonationsByStudent.set(key, new Map());
+    condonationsByStudent.get(key).set(request.courseCode, request);
+  });
+
+  const eligibility = new Map();
+  recordsByStudent.forEach((studentRecords, studentId) => {
+    eligibility.set(studentId, analyticsUtils.calculateSubjectEligibility(studentRecords, {
+      weights,
+      rules,
+      condonations: condonationsByStudent.get(studentId)
+    }));
+  });
+
+  return { eligibility, rules };
+};
+
+// Static method for bulk updates that still records a revision per affected record
+attendanceSchema.statics.updateManyWithRevisions = async function(filter, update, context = {}) {
+  const AttendanceRevision = require('./AttendanceRevision');
+
+  const before = await this.find(filter);
+  if (before.length === 0) return { matchedCount: 0, modifiedCount: 0 };
+
+  const ids = before.map(record => record._id);
+  const result = await this.updateMany({ _id: { $in: ids } }, update);
+
+  const baseById = new Map(before.map(record => [String(record._id), record.getRevisionSnapshot()]));
+  const after = await this.find({ _id: { $in: ids } });
+  for (const record of after) {
+    await AttendanceRevision.record(record, baseById.get(String(record._id)), context);
+  }
+
+  return result;
+};
+
+// Static method to record creation revisions for records inserted with insertMany
+attendanceSchema.statics.recordCreatedRevisions = async function(records, context = {}) {
+  const AttendanceRevision = require('./AttendanceRevision');
+  for (const record of records) {
+    await AttendanceRevision.record(record, null, context);
+  }
+};
+
+// Instance method to get the tracked fields as plain values
+attendanceSchema.methods.getRevisionSnapshot = function() {
+  const snapshot = {};
+
+  Object.entries(REVISION_FIELDS).forEach(([key, path]) => {
+    const value = this.get(path);
+    if (value instanceof Date) {
+      snapshot[key] = value.toISOString();
+    } else if (value && value._bsontype === 'ObjectId') {
+      snapshot[key] = String(value);
+    } else if (value && value._id) {
+      snapshot[key] = String(value._id); // populated reference
+    } else {
+      snapshot[key] = value === undefined ? null : value;
+    }
+  });
+
+  return snapshot;
+};
+
+// Instance method to say who is changing the record, why and through which endpoint
+attendanceSchema.methods.setRevisionContext = function(context = {}) {
+  this.$locals.revisionContext = context;
+  return this;
+};
+
+// Instance method to restore the tracked fields from a revision snapshot
+attendanceSchema.methods.applyRevisionSnapshot = function(snapshot) {
+  Object.entries(REVISION_FIELDS).forEach(([key, path]) => {
+    if (Object.prototype.hasOwnProperty.call(snapshot, key)) {
+      this.set(path, snapshot[key]);
+    }
+  });
+  return this;
+};
+
+// Instance method to work out how much of the session the student was present for
+attendanceSchema.methods.calculatePresence = function(session) {
+  const sessionStart = session.actualStartTime || session.startTime;
+  const sessionEnd = session.actualEndTime || session.endTime;
+  const sessionLength = sessionEnd - sessionStart;
+
+  if (!this.checkOutTime || sessionLength <= 0) return null;
+
+  const from = Math.max(this.checkInTime, sessionStart);
+  const to = Math.min(this.checkOutTime, sessionEnd);
+  const present = Math.max(to - from, 0);
+
+  return {
+    minutes: Math.round(present / (1000 * 60)),
+    percent: Math.round((present / sessionLength) * 100)
+  };
+};
+
 // Instance method to mark checkout
 attendanceSchema.methods.markCheckout = function(checkOutTime = new Date()) {
   this.checkOutTime = checkOutTime;
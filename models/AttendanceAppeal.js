@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+
+const attendanceAppealSchema = new mongoose.Schema({
+  // Disputed record
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    required: [true, 'Attendance reference is required']
+  },
+  session: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    required: [true, 'Session reference is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student reference is required']
+  },
+  faculty: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+
+  // What the student is asking for
+  currentStatus: {
+    type: String,
+    enum: ['present', 'late', 'partial', 'absent', 'excused']
+  },
+  requestedStatus: {
+    type: String,
+    enum: ['present', 'late', 'excused'],
+    required: [true, 'Requested status is required']
+  },
+
+  // Conversation between student, faculty and department head
+  messages: [{
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    authorRole: String,
+    message: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [1000, 'Message cannot exceed 1000 characters']
+    },
+    attachments: [{
+      originalName: String,
+      filename: String,
+      path: String,
+      mimeType: String,
+      size: Number
+    }],
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Workflow
+  status: {
+    type: String,
+    enum: ['open', 'escalated', 'accepted', 'rejected', 'withdrawn'],
+    default: 'open'
+  },
+  dueAt: {
+    type: Date // faculty response deadline; escalates to the department head afterwards
+  },
+  escalation: {
+    escalatedAt: Date,
+    escalatedTo: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  },
+  resolution: {
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    decidedAt: Date,
+    reason: {
+      type: String,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    previousStatus: String,
+    newStatus: String
+  }
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for whether the appeal still awaits a decision
+attendanceAppealSchema.virtual('isOpen').get(function() {
+  return this.status === 'open' || this.status === 'escalated';
+});
+
+// Indexes
+attendanceAppealSchema.index({ attendance: 1, createdAt: -1 });
+attendanceAppealSchema.index({ student: 1, status: 1 });
+attendanceAppealSchema.index({ faculty: 1, status: 1 });
+attendanceAppealSchema.index({ status: 1, dueAt: 1 });
+attendanceAppealSchema.index({ 'escalation.escalatedTo': 1, status: 1 });
+
+// Static method to escalate appeals the faculty did not answer in time. Each appeal is claimed with a
+// conditional update, so it is escalated (and its department head notified) only once.
+attendanceAppealSchema.statics.escalateOverdue = async function(now = new Date()) {
+  const Department = require('./Department');
+  const AuditLog = require('./AuditLog');
+
+  const overdue = await this.find({ status: 'open', dueAt: { $lte: now } }).select('_id department');
+
+  const escalated = [];
+  for (const candidate of overdue) {
+    const department = candidate.department
+      ? await Department.findById(candidate.department).select('head')
+      : null;
+
+    const appeal = await this.findOneAndUpdate(
+      { _id: candidate._id, status: 'open' },
+      {
+        $set: {
+          status: 'escalated',
+          escalation: {
+            escalatedAt: now,
+            escalatedTo: department ? department.head : null
+          }
+        }
+      },
+      { new: true }
+    );
+    if (!appeal) continue;
+
+    await AuditLog.record({
+      action: 'attendance_appeal_escalated',
+      targetType: 'Attendance',
+      targetId: appeal.attendance,
+      details: { appealId: appeal._id, escalatedTo: appeal.escalation.escalatedTo, reason: 'Response deadline passed' }
+    });
+    escalated.push(appeal);
+  }
+
+  return escalated;
+};
+
+// Instance method to check whether a user teaches the appealed session (its faculty or the substitute)
+attendanceAppealSchema.methods.isTaughtBy = async function(user) {
+  if (String(this.faculty) === String(user._id)) return true;
+
+  const Session = require('./Session');
+  const session = await Session.findById(this.session).select('faculty substituteFaculty');
+  return !!session && session.isTaughtBy(user._id);
+};
+
+// Instance method to check whether a user may decide the appeal
+attendanceAppealSchema.methods.canBeDecidedBy = async function(user) {
+  if (user.role === 'admin') return true;
+  if (user.role !== 'faculty') return false;
+
+  // Department head can decide at any point; the session faculty (or substitute) only until the response deadline
+  if (this.department) {
+    const Department = require('./Department');
+    const department = await Department.findById(this.department).select('head');
+    if (department && department.head && String(department.head) === String(user._id)) return true;
+  }
+
+  // Past the deadline the appeal belongs to the head even before the scheduler has escalated it
+  const withinDeadline = !this.dueAt || this.dueAt > new Date();
+  return this.status === 'open' && withinDeadline && await this.isTaughtBy(user);
+};
+
+// Instance method to check whether a user may read and reply to the thread
+attendanceAppealSchema.methods.canBeViewedBy = async function(user) {
+  if (String(this.student) === String(user._id)) return true;
+  if (user.role === 'faculty' && await this.isTaughtBy(user)) return true;
+  return this.canBeDecidedBy(user);
+};
+
+module.exports = mongoose.model('AttendanceAppeal', attendanceAppealSchema);
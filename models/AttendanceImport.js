@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+
+const attendanceImportSchema = new mongoose.Schema({
+  // Uploader and source file
+  faculty: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Faculty reference is required']
+  },
+  fileName: String,
+  format: {
+    type: String,
+    enum: ['csv', 'xlsx'],
+    required: true
+  },
+  mode: {
+    type: String,
+    enum: ['roster', 'matrix'], // roster: one session; matrix: one column per date
+    required: true
+  },
+  courseCode: String,
+  range: {
+    startDate: Date,
+    endDate: Date
+  },
+  sessions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  }],
+
+  // Validated rows, one per student and session
+  entries: [{
+    _id: false,
+    row: Number,
+    column: String,
+    studentId: String,
+    student: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    session: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Session'
+    },
+    status: {
+      type: String,
+      enum: ['present', 'late', 'absent', 'excused']
+    },
+    notes: String,
+    existingAttendance: mongoose.Schema.Types.ObjectId,
+    existingStatus: String,
+    conflict: {
+      type: Boolean,
+      default: false // an existing record has a different status
+    }
+  }],
+
+  // Rows that cannot be imported
+  issues: [{
+    _id: false,
+    row: Number,
+    column: String,
+    studentId: String,
+    type: {
+      type: String,
+      enum: [
+        'empty_sheet', 'missing_columns', 'missing_student_id', 'invalid_status', 'invalid_date',
+        'unknown_student', 'not_enrolled', 'no_session', 'ambiguous_session', 'session_not_started', 'semester_locked', 'duplicate_row'
+      ]
+    },
+    message: String
+  }],
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: ['preview', 'committed', 'discarded'],
+    default: 'preview'
+  },
+  committedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  committedAt: Date,
+  overwrite: Boolean,
+  result: {
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 }
+  },
+  expiresAt: Date // uncommitted previews are removed after this time
+}, {
+  timestamps: true
+});
+
+// Indexes
+attendanceImportSchema.index({ faculty: 1, createdAt: -1 });
+attendanceImportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Instance method to build the validation preview returned before commit
+attendanceImportSchema.methods.toPreview = function() {
+  const conflicts = this.entries.filter(entry => entry.conflict);
+  const unchanged = this.entries.filter(entry => !entry.conflict && entry.existingStatus === entry.status);
+
+  return {
+    importId: this._id,
+    status: this.status,
+    mode: this.mode,
+    fileName: this.fileName,
+    sessions: this.sessions,
+    expiresAt: this.expiresAt,
+    summary: {
+      rows: this.entries.length + this.issues.filter(issue => issue.row).length,
+      valid: this.entries.length,
+      new: this.entries.filter(entry => !entry.existingAttendance).length,
+      unchanged: unchanged.length,
+      conflicts: conflicts.length,
+      issues: this.issues.length,
+      unknownStudents: this.issues.filter(issue => issue.type === 'unknown_student').length
+    },
+    issues: this.issues,
+    conflicts,
+    result: this.status === 'committed' ? this.result : undefined
+  };
+};
+
+module.exports = mongoose.model('AttendanceImport', attendanceImportSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const attendanceRevisionSchema = new mongoose.Schema({
+  attendance: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance',
+    required: [true, 'Attendance reference is required']
+  },
+  revision: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    enum: ['created', 'updated', 'reverted'],
+    required: true
+  },
+
+  // Field-level differences and the full tracked state after this revision
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+
+  // Who made the change, why, and through which endpoint
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // null for system changes (finalization, proxy detection)
+  },
+  reason: {
+    type: String,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+  source: {
+    type: String,
+    default: 'system'
+  },
+  revertedTo: {
+    type: Number // revision restored by an admin revert
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+attendanceRevisionSchema.index({ attendance: 1, revision: 1 }, { unique: true });
+attendanceRevisionSchema.index({ actor: 1, createdAt: -1 });
+
+// Revisions are append-only
+const rejectChange = function(next) {
+  next(new Error('Attendance revisions are immutable'));
+};
+
+attendanceRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete', 'findOneAndReplace']
+  .forEach(operation => attendanceRevisionSchema.pre(operation, rejectChange));
+
+// Static method to append a revision for an attendance record (before = null for a new record)
+attendanceRevisionSchema.statics.record = async function(attendance, before, context = {}) {
+  const after = attendance.getRevisionSnapshot();
+
+  const changes = Object.keys(after)
+    .filter(field => !before || String(before[field]) !== String(after[field]))
+    .map(field => ({ field, before: before ? before[field] : null, after: after[field] }));
+
+  if (before && changes.length === 0) return null;
+
+  let action = before ? 'updated' : 'created';
+  if (context.revertedTo) action = 'reverted';
+
+  // Write inside the caller's transaction when the record was saved in one
+  const session = context.session || attendance.$session() || undefined;
+
+  // Retry once if another change to the same record took the revision number first
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const latest = await this.findOne({ attendance: attendance._id })
+      .sort({ revision: -1 })
+      .select('revision')
+      .session(session || null);
+
+    try {
+      const [revision] = await this.create([{
+        attendance: attendance._id,
+        revision: latest ? latest.revision + 1 : 1,
+        action,
+        changes,
+        snapshot: after,
+        actor: context.actor || null,
+        reason: context.reason ? String(context.reason).substring(0, 500) : undefined,
+        source: context.source || 'system',
+        revertedTo: context.revertedTo
+      }], { session });
+      return revision;
+    } catch (err) {
+      // A failed write aborts the transaction, so let the caller's transaction fail too
+      if (session && session.inTransaction()) throw err;
+      if (err.code !== 11000 || attempt === 1) {
+        console.warn('Failed to record attendance revision', err.message);
+        return null;
+      }
+    }
+  }
+
+  return null;
+};
+
+module.exports = mongoose.model('AttendanceRevision', attendanceRevisionSchema);
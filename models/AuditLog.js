@@ -2,7 +2,7 @@ const mongoose = require('mongoose');
 
 const auditLogSchema = new mongoose.Schema({
   action: { type: String, required: true },
-  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // null for system actions
   targetType: { type: String },
   targetId: { type: mongoose.Schema.Types.ObjectId },
   details: { type: mongoose.Schema.Types.Mixed },
@@ -17,4 +17,14 @@ auditLogSchema.index({ action: 1 });
 auditLogSchema.index({ actor: 1 });
 auditLogSchema.index({ targetType: 1, targetId: 1 });
 
+// Write an audit entry without failing the request that triggered it
+auditLogSchema.statics.record = async function(entry) {
+  try {
+    return await this.create(entry);
+  } catch (err) {
+    console.warn('Failed to write audit log', err.message);
+    return null;
+  }
+};
+
 module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const condonationRequestSchema = new mongoose.Schema({
+  // Student and subject whose attendance shortfall should be condoned
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student reference is required']
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  courseCode: {
+    type: String,
+    required: [true, 'Course code is required'],
+    trim: true,
+    uppercase: true
+  },
+  subject: String,
+  academicYear: {
+    type: String,
+    required: [true, 'Academic year is required'],
+    enum: ['1', '2', '3', '4']
+  },
+  semester: {
+    type: String,
+    required: [true, 'Semester is required'],
+    enum: ['1', '2']
+  },
+
+  // Request
+  ground: {
+    type: String,
+    enum: ['medical', 'payment', 'sports', 'official_duty', 'other'],
+    required: [true, 'Condonation ground is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [1000, 'Reason cannot exceed 1000 characters']
+  },
+  paymentReference: {
+    type: String,
+    trim: true
+  },
+  documents: [{
+    originalName: String,
+    filename: String,
+    path: String,
+    mimeType: String,
+    size: Number
+  }],
+
+  // Attendance when the request was made (rules in force at that time)
+  percentageAtRequest: Number,
+  minimumPercentage: Number,
+  condonationMinimum: Number,
+
+  // Review by the department head or an admin
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'withdrawn'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNotes: {
+    type: String,
+    maxlength: [500, 'Review notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+condonationRequestSchema.index({ student: 1, createdAt: -1 });
+condonationRequestSchema.index({ department: 1, status: 1, createdAt: -1 });
+condonationRequestSchema.index(
+  { student: 1, courseCode: 1, academicYear: 1, semester: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ['pending', 'approved'] } }, name: 'one_open_condonation' }
+);
+
+// Instance method to check whether a user may approve or reject the request
+condonationRequestSchema.methods.canBeReviewedBy = async function(user) {
+  if (user.role === 'admin') return true;
+  if (user.role !== 'faculty' || !this.department) return false;
+
+  const Department = require('./Department');
+  const department = await Department.findById(this.department).select('head');
+  return Boolean(department && department.head && String(department.head) === String(user._id));
+};
+
+module.exports = mongoose.model('CondonationRequest', condonationRequestSchema);
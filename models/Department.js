@@ -66,6 +66,53 @@ const departmentSchema = new mongoose.Schema({
     }]
   },
   
+  // Attendance policy (how late, partial and excused records count towards percentages)
+  attendancePolicy: {
+    lateWeight: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.5 // share of a present a late arrival counts for
+    },
+    partialWeight: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0.5 // share of a present for leaving before the minimum presence
+    },
+    excusedCountsAs: {
+      type: String,
+      enum: ['excluded', 'present'], // excluded = left out of the percentage entirely
+      default: 'excluded'
+    }
+  },
+
+  // Exam eligibility and condonation rules (defaults in config/attendance.js)
+  eligibilityRules: {
+    minimumPercentage: {
+      type: Number,
+      min: 0,
+      max: 100
+    },
+    condonationMinimum: {
+      type: Number,
+      min: 0,
+      max: 100 // at or above this (and below the minimum) a student may apply for condonation
+    },
+    condonationGrounds: [{
+      type: String,
+      enum: ['medical', 'payment', 'sports', 'official_duty', 'other']
+    }],
+    condonationFee: {
+      type: Number,
+      min: 0
+    },
+    documentsRequiredFor: [{
+      type: String,
+      enum: ['medical', 'payment', 'sports', 'official_duty', 'other']
+    }]
+  },
+
   // Statistics
   stats: {
     totalStudents: {
@@ -113,6 +160,37 @@ departmentSchema.virtual('headName').get(function() {
   return this.head ? `${this.head.firstName} ${this.head.lastName}` : 'Not assigned';
 });
 
+// Instance method to get the status weights used for attendance percentages
+departmentSchema.methods.getStatusWeights = function() {
+  const { DEFAULT_STATUS_WEIGHTS } = require('../config/attendance');
+  const policy = this.attendancePolicy || {};
+
+  return {
+    ...DEFAULT_STATUS_WEIGHTS,
+    late: typeof policy.lateWeight === 'number' ? policy.lateWeight : DEFAULT_STATUS_WEIGHTS.late,
+    partial: typeof policy.partialWeight === 'number' ? policy.partialWeight : DEFAULT_STATUS_WEIGHTS.partial,
+    excused: policy.excusedCountsAs === 'present' ? 1 : null
+  };
+};
+
+// Instance method to get the exam eligibility rules, filling unset values from the defaults
+departmentSchema.methods.getEligibilityRules = function() {
+  const { DEFAULT_ELIGIBILITY_RULES } = require('../config/attendance');
+  const rules = this.eligibilityRules || {};
+
+  return {
+    minimumPercentage: typeof rules.minimumPercentage === 'number' ? rules.minimumPercentage : DEFAULT_ELIGIBILITY_RULES.minimumPercentage,
+    condonationMinimum: typeof rules.condonationMinimum === 'number' ? rules.condonationMinimum : DEFAULT_ELIGIBILITY_RULES.condonationMinimum,
+    condonationGrounds: rules.condonationGrounds && rules.condonationGrounds.length > 0
+      ? [...rules.condonationGrounds]
+      : [...DEFAULT_ELIGIBILITY_RULES.condonationGrounds],
+    condonationFee: typeof rules.condonationFee === 'number' ? rules.condonationFee : DEFAULT_ELIGIBILITY_RULES.condonationFee,
+    documentsRequiredFor: rules.documentsRequiredFor && rules.documentsRequiredFor.length > 0
+      ? [...rules.documentsRequiredFor]
+      : [...DEFAULT_ELIGIBILITY_RULES.documentsRequiredFor]
+  };
+};
+
 // Instance method to update statistics
 departmentSchema.methods.updateStats = async function() {
   const User = mongoose.model('User');
@@ -165,6 +243,34 @@ departmentSchema.statics.getDepartmentStats = async function() {
   return stats;
 };
 
+// Static method to get status weights for a department (system defaults when not found)
+departmentSchema.statics.getStatusWeights = async function(departmentId) {
+  const { DEFAULT_STATUS_WEIGHTS } = require('../config/attendance');
+  const department = departmentId ? await this.findById(departmentId).select('attendancePolicy') : null;
+  return department ? department.getStatusWeights() : { ...DEFAULT_STATUS_WEIGHTS };
+};
+
+// Static method to get status weights for every department, keyed by department id
+departmentSchema.statics.getStatusWeightsMap = async function() {
+  const departments = await this.find({ isDeleted: false }).select('attendancePolicy');
+  return new Map(departments.map(dept => [String(dept._id), dept.getStatusWeights()]));
+};
+
+// Static method to get the eligibility rules of a department (defaults when it has none)
+departmentSchema.statics.getEligibilityRules = async function(departmentId) {
+  const department = departmentId ? await this.findById(departmentId).select('eligibilityRules') : null;
+  return (department || new this()).getEligibilityRules();
+};
+
+// Pre-validate middleware to keep the condonation band below the eligibility minimum
+departmentSchema.pre('validate', function(next) {
+  const rules = this.getEligibilityRules();
+  if (rules.condonationMinimum > rules.minimumPercentage) {
+    return next(new Error('Condonation minimum cannot be above the eligibility minimum'));
+  }
+  next();
+});
+
 // Pre-save middleware
 departmentSchema.pre('save', function(next) {
   // Ensure code is uppercase
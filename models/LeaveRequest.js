@@ -0,0 +1,213 @@
+const mongoose = require('mongoose');
+
+const leaveRequestSchema = new mongoose.Schema({
+  // Requesting student
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Student reference is required']
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+
+  // Leave period
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+
+  // Reason
+  category: {
+    type: String,
+    enum: ['medical', 'sports', 'official_duty', 'other'],
+    required: [true, 'Reason category is required']
+  },
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true,
+    maxlength: [1000, 'Reason cannot exceed 1000 characters']
+  },
+
+  // Supporting documents (stored under the uploads directory)
+  attachments: [{
+    originalName: String,
+    filename: String,
+    path: String,
+    mimeType: String,
+    size: Number,
+    uploadedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+
+  // Sessions falling inside the leave period
+  sessions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  }],
+
+  // Review workflow
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: {
+    type: Date
+  },
+  reviewNotes: {
+    type: String,
+    maxlength: [500, 'Review notes cannot exceed 500 characters']
+  },
+
+  // Attendance records converted to excused on approval
+  excusedAttendance: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Attendance'
+  }]
+}, {
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+// Virtual for number of days covered
+leaveRequestSchema.virtual('totalDays').get(function() {
+  if (!this.startDate || !this.endDate) return null;
+  return Math.floor((this.endDate - this.startDate) / (1000 * 60 * 60 * 24)) + 1;
+});
+
+// Indexes
+leaveRequestSchema.index({ student: 1, startDate: -1 });
+leaveRequestSchema.index({ status: 1 });
+leaveRequestSchema.index({ department: 1, status: 1 });
+leaveRequestSchema.index({ sessions: 1 });
+
+// Pre-save middleware to validate the date range
+leaveRequestSchema.pre('save', function(next) {
+  if (this.startDate && this.endDate && this.endDate < this.startDate) {
+    return next(new Error('End date cannot be before start date'));
+  }
+  next();
+});
+
+// Static method to find the sessions a student is enrolled in during a date range
+leaveRequestSchema.statics.findAffectedSessions = function(studentId, startDate, endDate) {
+  const Session = require('./Session');
+
+  return Session.find({
+    'enrolledStudents.student': studentId,
+    startTime: { $gte: startDate, $lte: endDate },
+    status: { $ne: 'cancelled' },
+    isActive: true
+  }).select('_id faculty startTime academicYear semester');
+};
+
+// Instance method to check whether a user may approve or reject the request
+leaveRequestSchema.methods.canBeReviewedBy = async function(user) {
+  if (user.role === 'admin') return true;
+  if (user.role !== 'faculty') return false;
+
+  // Department head of the student's department
+  if (this.department) {
+    const Department = require('./Department');
+    const department = await Department.findById(this.department).select('head');
+    if (department && department.head && String(department.head) === String(user._id)) return true;
+  }
+
+  // Faculty teaching one of the affected sessions, including as a substitute
+  const Session = require('./Session');
+  const taughtSession = await Session.exists({ _id: { $in: this.sessions }, ...Session.taughtByFilter(user._id) });
+  return !!taughtSession;
+};
+
+// Instance method to mark attendance for the affected sessions as excused. Sessions in a finalized
+// semester the reviewer has no open unlock for are left as they are and reported back.
+leaveRequestSchema.methods.applyExcusal = async function(reviewer) {
+  const Attendance = require('./Attendance');
+  const Session = require('./Session');
+  const AcademicYear = require('./AcademicYear');
+
+  const reviewerId = reviewer._id;
+  const now = new Date();
+  const sessions = await Session.find({ _id: { $in: this.sessions } });
+  const excused = [];
+  const locked = [];
+  const touched = [];
+
+  for (const session of sessions) {
+    const attendance = await Attendance.findOne({ student: this.student, session: session._id });
+
+    // Never downgrade a student who actually attended; sessions yet to take place are excused when finalized
+    if (attendance && attendance.status !== 'absent') continue;
+    if (!attendance && session.startTime > now) continue;
+
+    const lock = await AcademicYear.getAttendanceLock({
+      year: session.academicYear,
+      semester: session.semester,
+      date: session.startTime,
+      user: reviewer
+    });
+    if (lock) {
+      locked.push({ session: session._id, message: lock.message });
+      continue;
+    }
+
+    if (attendance) {
+      attendance.status = 'excused';
+      attendance.isApproved = true;
+      attendance.approvedBy = reviewerId;
+      attendance.approvedAt = now;
+      attendance.verifiedBy = reviewerId;
+      attendance.verifiedAt = now;
+      attendance.verificationNotes = 'Excused by approved leave request';
+      attendance.setRevisionContext({ actor: reviewerId, reason: 'Approved leave request', source: 'leave_request.approval' });
+      await attendance.save();
+      excused.push(attendance._id);
+      touched.push(session);
+    } else {
+      // Sessions that already took place without a record
+      const created = await new Attendance({
+        student: this.student,
+        session: session._id,
+        status: 'excused',
+        checkInTime: session.startTime,
+        academicYear: session.academicYear,
+        semester: session.semester,
+        isApproved: true,
+        approvedBy: reviewerId,
+        approvedAt: now,
+        qrSubmission: { isPendingApproval: false },
+        verifiedBy: reviewerId,
+        verifiedAt: now,
+        verificationNotes: 'Excused by approved leave request',
+        createdBy: reviewerId
+      }).setRevisionContext({ actor: reviewerId, reason: 'Approved leave request', source: 'leave_request.approval' }).save();
+      excused.push(created._id);
+      touched.push(session);
+    }
+  }
+
+  // Keep the head counts of the sessions that changed in line with their records
+  for (const session of touched) {
+    await session.refreshAttendanceCount();
+    await session.save();
+  }
+
+  this.excusedAttendance = excused;
+  return { excused, locked };
+};
+
+module.exports = mongoose.model('LeaveRequest', leaveRequestSchema);
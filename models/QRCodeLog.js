@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const moment = require('moment');
+const geoUtils = require('../utils/geoUtils');
 
 const qrCodeLogSchema = new mongoose.Schema({
   // QR Code information
@@ -20,12 +22,19 @@ const qrCodeLogSchema = new mongoose.Schema({
   generatedBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
-    required: [true, 'Generated by user is required']
+    default: null // null when issued by the session scheduler
   },
   generatedAt: {
     type: Date,
     default: Date.now
   },
+
+  // Entry codes mark attendance; checkout codes are shown at the end of sessions that require checkout
+  purpose: {
+    type: String,
+    enum: ['entry', 'checkout'],
+    default: 'entry'
+  },
   
   // QR Code settings
   settings: {
@@ -44,6 +53,10 @@ const qrCodeLogSchema = new mongoose.Schema({
     allowMultipleScans: {
       type: Boolean,
       default: false
+    },
+    rotationIntervalSeconds: {
+      type: Number,
+      default: null // null means a static (non-rotating) code
     }
   },
   
@@ -84,6 +97,7 @@ const qrCodeLogSchema = new mongoose.Schema({
       accuracy: Number,
       address: String
     },
+    windowIndex: Number, // Rotation window of the scanned frame (rotating codes only)
     isValid: {
       type: Boolean,
       default: true
@@ -119,7 +133,15 @@ const qrCodeLogSchema = new mongoose.Schema({
   payload: {
     sessionId: String,
     timestamp: Date,
-    checksum: String,
+    checksum: String, // Legacy (version 1.0) payloads only
+    kid: String,
+    signature: String,
+    code: String, // Code of the log entry this payload was issued for
+    mode: {
+      type: String,
+      enum: ['static', 'rotating'],
+      default: 'static'
+    },
     version: {
       type: String,
       default: '1.0'
@@ -203,17 +225,17 @@ qrCodeLogSchema.pre('save', function(next) {
 // Static method to generate QR code
 qrCodeLogSchema.statics.generateQRCode = async function(sessionId, generatedBy, settings = {}) {
   const QRCode = require('qrcode');
+  const qrCodeGenerator = require('../utils/qrCodeGenerator');
   
   // Generate unique code
   const code = `QR_${sessionId}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   
-  // Create payload
-  const payload = {
-    sessionId: sessionId,
-    timestamp: new Date(),
-    checksum: require('crypto').createHash('md5').update(code).digest('hex'),
-    version: '1.0'
-  };
+  // Create signed payload
+  const payload = qrCodeGenerator.signPayload({
+    sessionId: String(sessionId),
+    timestamp: new Date().toISOString(),
+    type: 'attendance_session'
+  });
   
   // Generate QR code image
   const qrCodeDataURL = await QRCode.toDataURL(JSON.stringify(payload), {
@@ -250,8 +272,157 @@ qrCodeLogSchema.statics.generateQRCode = async function(sessionId, generatedBy,
   };
 };
 
+// Static method to issue the QR code displayed for a session (one log entry per displayed code)
+qrCodeLogSchema.statics.issueForSession = async function(session, generatedBy, qrOptions = {}, settings = {}) {
+  const qrCodeGenerator = require('../utils/qrCodeGenerator');
+  const { rotation, nonce } = session.qrCode;
+
+  const purpose = settings.purpose || 'entry';
+  // Checkout codes are always static: students scan them once on the way out
+  const singleUse = nonce.enabled && purpose === 'entry';
+  const rotating = rotation.enabled && purpose === 'entry';
+
+  // Every payload embeds the log code so scans are attributed to this exact entry;
+  // single-use codes use an unguessable nonce since each scan consumes it
+  const code = singleUse
+    ? qrCodeGenerator.generateNonce()
+    : qrCodeGenerator.generateUniqueCode(session._id);
+
+  const qrResult = await this.renderForSession(session, code, qrOptions, purpose);
+  if (!qrResult.success) return qrResult;
+
+  const expiresAt = settings.expiresAt ||
+    (rotating || singleUse ? session.endTime : qrResult.data.expiresAt);
+  const classroomLocation = session.attendanceSettings.requireLocationVerification
+    ? await session.getClassroomLocation()
+    : null;
+
+  const qrCodeLog = await this.create({
+    code,
+    session: session._id,
+    generatedBy,
+    purpose,
+    settings: {
+      expiresAt,
+      isActive: true,
+      maxUses: singleUse ? nonce.maxUses : null,
+      rotationIntervalSeconds: rotating ? rotation.intervalSeconds : null
+    },
+    security: {
+      locationRestriction: {
+        enabled: !!classroomLocation,
+        center: classroomLocation ? { latitude: classroomLocation.latitude, longitude: classroomLocation.longitude } : undefined,
+        radius: classroomLocation ? session.attendanceSettings.allowedLocationRadius : undefined
+      }
+    },
+    payload: qrResult.data.payload
+  });
+
+  qrResult.data.uniqueCode = code;
+  qrResult.data.expiresAt = expiresAt;
+  qrResult.data.remainingUses = qrCodeLog.remainingUses;
+
+  return { ...qrResult, qrCodeLog };
+};
+
+// Static method to render the current image for a session code (rotating frame or static code)
+qrCodeLogSchema.statics.renderForSession = function(session, code = null, qrOptions = {}, purpose = 'entry') {
+  const qrCodeGenerator = require('../utils/qrCodeGenerator');
+  const payloadExtras = code ? { code } : {};
+
+  if (purpose === 'checkout') {
+    return qrCodeGenerator.generateSessionQR(session, qrOptions, { ...payloadExtras, purpose });
+  }
+
+  if (session.qrCode.rotation.enabled) {
+    return qrCodeGenerator.generateRotatingSessionQR(session, session.qrCode.secret, qrOptions, payloadExtras);
+  }
+  return qrCodeGenerator.generateSessionQR(session, qrOptions, payloadExtras);
+};
+
+// Static method to find the log entry a scanned payload was issued for
+qrCodeLogSchema.statics.findForPayload = function(payload, sessionId) {
+  if (payload.code) {
+    return this.findOne({ code: payload.code, session: sessionId });
+  }
+
+  // Payloads issued before codes were embedded: fall back to the latest entry code for the session
+  return this.findOne({ session: sessionId, purpose: { $ne: 'checkout' } }).sort({ generatedAt: -1 });
+};
+
+// Static method to deactivate every code issued for a session
+qrCodeLogSchema.statics.deactivateForSession = function(sessionId) {
+  return this.updateMany(
+    { session: sessionId, 'settings.isActive': true },
+    { $set: { 'settings.isActive': false, status: 'deactivated', updatedAt: new Date() } }
+  );
+};
+
+// Static method to atomically consume one use of a single-use (nonce) code
+qrCodeLogSchema.statics.consumeNonce = async function(code, sessionId, scan = {}) {
+  const now = new Date();
+
+  const qrCodeLog = await this.findOneAndUpdate(
+    {
+      code,
+      session: sessionId,
+      status: 'active',
+      'settings.isActive': true,
+      'settings.expiresAt': { $gt: now },
+      $expr: {
+        $or: [
+          { $eq: [{ $ifNull: ['$settings.maxUses', null] }, null] },
+          { $lt: ['$usage.totalScans', '$settings.maxUses'] }
+        ]
+      }
+    },
+    {
+      $inc: { 'usage.totalScans': 1 },
+      $set: { 'usage.lastScannedAt': now },
+      $push: { scans: { ...scan, scannedAt: now } }
+    },
+    { new: true }
+  );
+
+  if (!qrCodeLog) return null;
+
+  // Pre-save marks the code exhausted once maxUses is reached
+  qrCodeLog.usage.uniqueScans = new Set(
+    qrCodeLog.scans.filter(s => s.isValid).map(s => String(s.scannedBy))
+  ).size;
+  await qrCodeLog.save();
+
+  return qrCodeLog;
+};
+
+// Instance method to give back a nonce use consumed for a scan whose attendance was not recorded
+qrCodeLogSchema.methods.releaseNonceUse = async function(scannedBy) {
+  const scan = [...this.scans].reverse().find(s => String(s.scannedBy) === String(scannedBy));
+  if (!scan) return null;
+
+  const qrCodeLog = await this.constructor.findOneAndUpdate(
+    { _id: this._id, 'scans._id': scan._id },
+    {
+      $inc: { 'usage.totalScans': -1 },
+      $pull: { scans: { _id: scan._id } }
+    },
+    { new: true }
+  );
+
+  if (!qrCodeLog) return null;
+
+  // Pre-save marks the code exhausted again if it still is (or expired if it ran out meanwhile)
+  if (qrCodeLog.status === 'exhausted') {
+    qrCodeLog.status = 'active';
+  }
+  qrCodeLog.usage.uniqueScans = new Set(
+    qrCodeLog.scans.filter(s => s.isValid).map(s => String(s.scannedBy))
+  ).size;
+  return qrCodeLog.save();
+};
+
 // Instance method to record scan
-qrCodeLogSchema.methods.recordScan = function(scannedBy, deviceInfo = {}, location = {}) {
+qrCodeLogSchema.methods.recordScan = function(scannedBy, deviceInfo = {}, location = {}, scanDetails = {}) {
   // Check if scan is valid
   if (!this.isValid) {
     return {
@@ -263,7 +434,7 @@ qrCodeLogSchema.methods.recordScan = function(scannedBy, deviceInfo = {}, locati
   // Check if multiple scans are allowed
   if (!this.settings.allowMultipleScans) {
     const existingScan = this.scans.find(
-      scan => scan.scannedBy.toString() === scannedBy.toString()
+      scan => scan.isValid && scan.scannedBy.toString() === scannedBy.toString()
     );
     
     if (existingScan) {
@@ -279,7 +450,8 @@ qrCodeLogSchema.methods.recordScan = function(scannedBy, deviceInfo = {}, locati
     scannedBy,
     scannedAt: new Date(),
     deviceInfo,
-    location
+    location,
+    ...scanDetails
   });
   
   // Update usage statistics
@@ -287,7 +459,9 @@ qrCodeLogSchema.methods.recordScan = function(scannedBy, deviceInfo = {}, locati
   this.usage.lastScannedAt = new Date();
   
   // Update unique scans count
-  const uniqueUsers = new Set(this.scans.map(scan => scan.scannedBy.toString()));
+  const uniqueUsers = new Set(
+    this.scans.filter(scan => scan.isValid).map(scan => scan.scannedBy.toString())
+  );
   this.usage.uniqueScans = uniqueUsers.size;
   
   return this.save().then(() => ({
@@ -296,6 +470,48 @@ qrCodeLogSchema.methods.recordScan = function(scannedBy, deviceInfo = {}, locati
   }));
 };
 
+// Instance method to record a rejected scan without counting it as a use
+qrCodeLogSchema.methods.recordInvalidScan = function(scannedBy, reason, deviceInfo = {}, location = {}, scanDetails = {}) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $push: {
+        scans: {
+          scannedBy,
+          scannedAt: new Date(),
+          deviceInfo,
+          location,
+          ...scanDetails,
+          isValid: false,
+          reason
+        }
+      }
+    }
+  );
+};
+
+// Instance method to summarize scans for reporting
+qrCodeLogSchema.methods.getScanSummary = function() {
+  const invalidReasons = {};
+  let validScans = 0;
+
+  this.scans.forEach(scan => {
+    if (scan.isValid) {
+      validScans += 1;
+    } else {
+      const reason = scan.reason || 'Unknown';
+      invalidReasons[reason] = (invalidReasons[reason] || 0) + 1;
+    }
+  });
+
+  return {
+    validScans,
+    invalidScans: this.scans.length - validScans,
+    uniqueScanners: new Set(this.scans.filter(scan => scan.isValid).map(scan => String(scan.scannedBy))).size,
+    invalidReasons: Object.entries(invalidReasons).map(([reason, count]) => ({ reason, count }))
+  };
+};
+
 // Instance method to deactivate QR code
 qrCodeLogSchema.methods.deactivate = function() {
   this.settings.isActive = false;
@@ -303,6 +519,27 @@ qrCodeLogSchema.methods.deactivate = function() {
   return this.save();
 };
 
+// Instance method to validate scan time against the allowed time-of-day window
+qrCodeLogSchema.methods.validateTime = function(time = new Date()) {
+  const { enabled, allowedStartTime, allowedEndTime } = this.security.timeRestriction || {};
+  if (!enabled || !allowedStartTime || !allowedEndTime) {
+    return { valid: true };
+  }
+
+  const current = moment(time).format('HH:mm');
+
+  // Windows that cross midnight (e.g. 22:00-02:00) wrap around
+  const valid = allowedStartTime <= allowedEndTime
+    ? current >= allowedStartTime && current <= allowedEndTime
+    : current >= allowedStartTime || current <= allowedEndTime;
+
+  return {
+    valid,
+    allowedStartTime,
+    allowedEndTime
+  };
+};
+
 // Instance method to validate scan location
 qrCodeLogSchema.methods.validateLocation = function(latitude, longitude) {
   if (!this.security.locationRestriction.enabled) {
@@ -310,16 +547,7 @@ qrCodeLogSchema.methods.validateLocation = function(latitude, longitude) {
   }
   
   const { center, radius } = this.security.locationRestriction;
-  
-  // Calculate distance using Haversine formula
-  const R = 6371000; // Earth's radius in meters
-  const dLat = (latitude - center.latitude) * Math.PI / 180;
-  const dLon = (longitude - center.longitude) * Math.PI / 180;
-  const a = Math.sin(dLat/2) * Math.sin(dLat/2) +
-            Math.cos(center.latitude * Math.PI / 180) * Math.cos(latitude * Math.PI / 180) *
-            Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distance = R * c;
+  const distance = geoUtils.calculateDistance({ latitude, longitude }, center);
   
   return {
     valid: distance <= radius,
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const roomSchema = new mongoose.Schema({
+  // Room identification
+  building: {
+    type: String,
+    required: [true, 'Building is required'],
+    trim: true,
+    maxlength: [50, 'Building name cannot exceed 50 characters']
+  },
+  roomNumber: {
+    type: String,
+    required: [true, 'Room number is required'],
+    trim: true,
+    maxlength: [20, 'Room number cannot exceed 20 characters']
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Room name cannot exceed 100 characters']
+  },
+
+  // Classroom coordinate used for geofencing
+  location: {
+    latitude: {
+      type: Number,
+      required: [true, 'Latitude is required'],
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      type: Number,
+      required: [true, 'Longitude is required'],
+      min: -180,
+      max: 180
+    }
+  },
+
+  capacity: {
+    type: Number,
+    min: 1
+  },
+
+  // System fields
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+roomSchema.index({ building: 1, roomNumber: 1 }, { unique: true });
+roomSchema.index({ isActive: 1 });
+
+// Static method to find the registered room for a building and room number
+roomSchema.statics.findByBuildingAndRoom = function(building, roomNumber) {
+  return this.findOne({ building, roomNumber, isActive: true });
+};
+
+module.exports = mongoose.model('Room', roomSchema);
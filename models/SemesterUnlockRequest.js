@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+
+const semesterUnlockRequestSchema = new mongoose.Schema({
+  // Finalized semester to reopen (year of study and semester within an academic year)
+  academicYear: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AcademicYear',
+    required: [true, 'Academic year reference is required']
+  },
+  year: {
+    type: String,
+    required: [true, 'Year of study is required'],
+    enum: ['1', '2', '3', '4']
+  },
+  semester: {
+    type: String,
+    required: [true, 'Semester is required']
+  },
+
+  // Request
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Requester is required']
+  },
+  justification: {
+    type: String,
+    required: [true, 'Justification is required'],
+    trim: true,
+    minlength: [20, 'Justification must be at least 20 characters'],
+    maxlength: [1000, 'Justification cannot exceed 1000 characters']
+  },
+  requestedHours: Number,
+
+  // Review
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'relocked'],
+    default: 'pending'
+  },
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewedAt: Date,
+  reviewNotes: {
+    type: String,
+    maxlength: [500, 'Review notes cannot exceed 500 characters']
+  },
+
+  // Unlock window; records lock again once unlockedUntil passes
+  unlockedAt: Date,
+  unlockedUntil: Date,
+  relockedAt: Date,
+  relockedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User' // null when the window expired
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+semesterUnlockRequestSchema.index({ academicYear: 1, year: 1, semester: 1, status: 1 });
+semesterUnlockRequestSchema.index({ requestedBy: 1, createdAt: -1 });
+semesterUnlockRequestSchema.index({ status: 1, unlockedUntil: 1 });
+
+// Virtual for whether the unlock window is open
+semesterUnlockRequestSchema.virtual('isUnlocked').get(function() {
+  return this.status === 'approved' && this.unlockedUntil > new Date();
+});
+
+semesterUnlockRequestSchema.set('toJSON', { virtuals: true });
+
+// Static method to find the open unlock that lets a user edit a finalized semester
+semesterUnlockRequestSchema.statics.findActiveUnlock = async function(academicYearId, year, semester, userId) {
+  return await this.findOne({
+    academicYear: academicYearId,
+    year,
+    semester,
+    requestedBy: userId,
+    status: 'approved',
+    unlockedUntil: { $gt: new Date() }
+  });
+};
+
+// Static method to close unlock windows that have run out
+semesterUnlockRequestSchema.statics.relockExpired = async function(now = new Date()) {
+  const expired = await this.find({ status: 'approved', unlockedUntil: { $lte: now } });
+
+  for (const request of expired) {
+    request.status = 'relocked';
+    request.relockedAt = request.unlockedUntil;
+    await request.save();
+  }
+
+  return expired;
+};
+
+module.exports = mongoose.model('SemesterUnlockRequest', semesterUnlockRequestSchema);
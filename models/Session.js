@@ -33,6 +33,17 @@ const sessionSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Faculty reference is required']
   },
+  // Teacher taking the class in place of the faculty member (who stays the faculty of record on reports)
+  substituteFaculty: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  substitution: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Substitution',
+    default: null
+  },
 
   // Academic year and semester
   academicYear: {
@@ -65,6 +76,10 @@ const sessionSchema = new mongoose.Schema({
     type: Date,
     default: null
   },
+  attendanceFinalizedAt: {
+    type: Date,
+    default: null // set once absentees have been recorded after the session ended
+  },
 
   // Location information
   location: {
@@ -80,6 +95,19 @@ const sessionSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Classroom coordinate for geofencing (falls back to the room registry)
+  classroomLocation: {
+    latitude: {
+      type: Number,
+      min: -90,
+      max: 90
+    },
+    longitude: {
+      type: Number,
+      min: -180,
+      max: 180
+    }
+  },
 
   // Session type and mode
   sessionType: {
@@ -120,6 +148,36 @@ const sessionSchema = new mongoose.Schema({
     isActive: {
       type: Boolean,
       default: false
+    },
+    // Rotating (time-based) QR: payload changes every intervalSeconds
+    rotation: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      intervalSeconds: {
+        type: Number,
+        default: 15,
+        min: [5, 'Rotation interval must be at least 5 seconds'],
+        max: [300, 'Rotation interval cannot exceed 300 seconds']
+      }
+    },
+    // Single-use QR: each displayed code carries a nonce consumable maxUses times
+    nonce: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      maxUses: {
+        type: Number,
+        default: 1,
+        min: [1, 'Max uses must be at least 1']
+      }
+    },
+    // Per-session secret used to derive rotating QR tokens
+    secret: {
+      type: String,
+      select: false
     }
   },
 
@@ -131,12 +189,25 @@ const sessionSchema = new mongoose.Schema({
     },
     lateEntryCutoff: {
       type: Number,
-      default: 15 // minutes
+      min: 0,
+      default: null // minutes after start; null uses the system default (LATE_ENTRY_CUTOFF)
+    },
+    entryOpensBefore: {
+      type: Number,
+      min: 0,
+      max: 60,
+      default: 0 // minutes before the scheduled start that QR submissions are accepted
     },
     requireCheckout: {
       type: Boolean,
       default: false
     },
+    minimumPresencePercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 75 // with requireCheckout, share of the session a student must stay for to count as present
+    },
     allowProxyAttendance: {
       type: Boolean,
       default: false
@@ -148,6 +219,53 @@ const sessionSchema = new mongoose.Schema({
     allowedLocationRadius: {
       type: Number,
       default: 100 // meters
+    },
+    maxLocationAccuracy: {
+      type: Number,
+      default: 50 // meters; reported GPS accuracy worse than this fails verification
+    },
+    locationPolicy: {
+      type: String,
+      enum: ['reject', 'flag'], // flag = accept but mark for faculty review
+      default: 'reject'
+    },
+    autoApproveOnEnd: {
+      type: Boolean,
+      default: false // approve pending QR submissions (except flagged ones) when the session ends
+    },
+    requireBiometric: {
+      type: Boolean,
+      default: false // QR submissions count only once confirmed on the classroom biometric device
+    },
+    biometricMinConfidence: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: null // null uses the system default (BIOMETRIC_MIN_CONFIDENCE)
+    },
+    autoStart: {
+      type: Boolean,
+      default: false // opt in: the session scheduler starts the session and issues its QR code at startTime
+    },
+    autoEnd: {
+      type: Boolean,
+      default: false // opt in: the session scheduler ends and finalizes the session at endTime
+    }
+  },
+
+  // What the session scheduler (utils/sessionScheduler.js) has done with this session
+  scheduler: {
+    autoStartedAt: {
+      type: Date,
+      default: null
+    },
+    autoEndedAt: {
+      type: Date,
+      default: null
+    },
+    missedStartAlertedAt: {
+      type: Date,
+      default: null // faculty were emailed that the session was not started
     }
   },
 
@@ -198,7 +316,70 @@ const sessionSchema = new mongoose.Schema({
   },
   parentSession: {
     type: mongoose.Schema.Types.ObjectId,
-    ref: 'Session'
+    ref: 'Session' // first occurrence of the series; unset on the first occurrence itself
+  },
+  occurrenceIndex: {
+    type: Number,
+    default: null // position in the recurring series (0 for the first occurrence)
+  },
+
+  // Cancellation
+  cancelledAt: Date,
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  cancellationReason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Cancellation reason cannot exceed 500 characters']
+  },
+
+  // Cancellations, postponements and reschedules, oldest first
+  scheduleChanges: [{
+    action: {
+      type: String,
+      enum: ['cancelled', 'postponed', 'rescheduled'],
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Reason cannot exceed 500 characters']
+    },
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    },
+    previousStartTime: Date,
+    previousEndTime: Date,
+    startTime: Date, // new slot, for reschedules
+    endTime: Date
+  }],
+  // Make-up session held in place of this cancelled or postponed one, and the reverse link
+  makeUpSession: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+  makeUpFor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session',
+    default: null
+  },
+
+  // Timetable the session was generated from
+  timetableId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Timetable'
+  },
+  isAutoGenerated: {
+    type: Boolean,
+    default: false
   },
 
   // System fields
@@ -222,7 +403,14 @@ const sessionSchema = new mongoose.Schema({
   }
 }, {
   timestamps: true,
-  toJSON: { virtuals: true },
+  toJSON: {
+    virtuals: true,
+    transform: function (doc, ret) {
+      // Never expose the rotating QR secret
+      if (ret.qrCode) delete ret.qrCode.secret;
+      return ret;
+    }
+  },
   toObject: { virtuals: true }
 });
 
@@ -266,6 +454,12 @@ sessionSchema.index({ startTime: 1, endTime: 1 });
 sessionSchema.index({ status: 1 });
 sessionSchema.index({ 'qrCode.code': 1 });
 sessionSchema.index({ isActive: 1 });
+sessionSchema.index({ timetableId: 1, startTime: 1 });
+sessionSchema.index({ parentSession: 1, startTime: 1 });
+sessionSchema.index({ building: 1, roomNumber: 1, startTime: 1 });
+sessionSchema.index({ status: 1, startTime: 1 });
+sessionSchema.index({ substituteFaculty: 1, startTime: -1 });
+sessionSchema.index({ status: 1, endTime: 1 });
 
 // Pre-save middleware to update updatedAt
 sessionSchema.pre('save', function (next) {
@@ -281,6 +475,144 @@ sessionSchema.pre('save', function (next) {
   next();
 });
 
+// Fields a recurring occurrence does not inherit from the first one
+const OCCURRENCE_RESET_FIELDS = [
+  '_id', 'id', '__v', 'status', 'startTime', 'endTime', 'actualStartTime', 'actualEndTime',
+  'attendanceFinalizedAt', 'qrCode', 'currentAttendance', 'cancelledAt', 'cancelledBy',
+  'cancellationReason', 'scheduler', 'scheduleChanges', 'makeUpSession', 'makeUpFor', 'substituteFaculty',
+  'substitution', 'createdAt', 'updatedAt'
+];
+
+// Series fields a make-up session does not take from the session it replaces
+const MAKE_UP_RESET_FIELDS = ['isRecurring', 'recurringPattern', 'parentSession', 'occurrenceIndex'];
+
+// Most occurrences one recurring session can expand into
+const MAX_OCCURRENCES = 500;
+
+// Statuses of sessions that no longer hold their faculty member or room
+const RELEASED_STATUSES = ['cancelled', 'postponed'];
+
+// Rooms are identified by building and room number; sessions without a room number never clash on the room
+const getRoomKey = (session) => {
+  if (!session.roomNumber) return null;
+  return `${(session.building || '').trim().toLowerCase()}/${String(session.roomNumber).trim().toLowerCase()}`;
+};
+
+// Room numbers are compared case-insensitively, like getRoomKey
+const matchRoomNumber = (roomNumber) => new RegExp(`^${roomNumber.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+
+const refId = (ref) => ref && ref._id ? ref._id : ref;
+
+// The person actually teaching: the substitute when one is assigned
+const teacherOf = (session) => refId(session.substituteFaculty) || refId(session.faculty);
+
+const summarizeForConflict = (session) => ({
+  _id: session._id,
+  title: session.title,
+  courseCode: session.courseCode,
+  faculty: refId(session.faculty),
+  substituteFaculty: refId(session.substituteFaculty) || null,
+  startTime: session.startTime,
+  endTime: session.endTime,
+  roomNumber: session.roomNumber,
+  building: session.building,
+  status: session.status
+});
+
+// Faculty and room clashes between two overlapping sessions
+const describeClashes = (a, b) => {
+  if (!(a.startTime < b.endTime && b.startTime < a.endTime)) return [];
+
+  const clashes = [];
+  if (teacherOf(a) && teacherOf(b) && String(teacherOf(a)) === String(teacherOf(b))) {
+    clashes.push({ type: 'faculty', resource: String(teacherOf(a)) });
+  }
+  const roomKey = getRoomKey(a);
+  if (roomKey && roomKey === getRoomKey(b)) {
+    clashes.push({ type: 'room', resource: roomKey });
+  }
+  return clashes;
+};
+
+// Static method to get every active occurrence of the series a session belongs to
+sessionSchema.statics.findSeries = function (session) {
+  const rootId = session.parentSession || session._id;
+  return this.find({
+    $or: [{ _id: rootId }, { parentSession: rootId }],
+    isActive: true
+  }).sort({ startTime: 1 });
+};
+
+// Static method to find existing sessions that double-book the faculty member or room of the given slots.
+// Each candidate needs startTime, endTime, faculty (and substituteFaculty when one teaches it) and optionally
+// roomNumber/building; excludeIds skips sessions that are being rescheduled themselves.
+sessionSchema.statics.findConflicts = async function (candidates, excludeIds = []) {
+  const slots = candidates.filter(candidate => candidate.startTime && candidate.endTime);
+  if (slots.length === 0) return [];
+
+  const facultyIds = [...new Set(slots.filter(teacherOf).map(slot => String(teacherOf(slot))))];
+  const roomNumbers = [...new Set(slots.filter(slot => slot.roomNumber).map(slot => String(slot.roomNumber).trim()))];
+  const resources = [];
+  if (facultyIds.length > 0) {
+    resources.push({ faculty: { $in: facultyIds } }, { substituteFaculty: { $in: facultyIds } });
+  }
+  if (roomNumbers.length > 0) resources.push({ roomNumber: { $in: roomNumbers.map(matchRoomNumber) } });
+  if (resources.length === 0) return [];
+
+  const existing = await this.find({
+    _id: { $nin: excludeIds },
+    isActive: true,
+    status: { $nin: RELEASED_STATUSES },
+    startTime: { $lt: new Date(Math.max(...slots.map(slot => new Date(slot.endTime).getTime()))) },
+    endTime: { $gt: new Date(Math.min(...slots.map(slot => new Date(slot.startTime).getTime()))) },
+    $or: resources
+  }).select('title courseCode faculty substituteFaculty startTime endTime roomNumber building status').sort({ startTime: 1 });
+
+  const conflicts = [];
+  for (const slot of slots) {
+    const candidate = { ...slot, startTime: new Date(slot.startTime), endTime: new Date(slot.endTime) };
+    for (const other of existing) {
+      describeClashes(candidate, other).forEach(clash => conflicts.push({
+        ...clash,
+        slot: { startTime: candidate.startTime, endTime: candidate.endTime },
+        conflictsWith: summarizeForConflict(other)
+      }));
+    }
+  }
+  return conflicts;
+};
+
+// Static method to list faculty and room double-bookings among existing sessions in a date range
+sessionSchema.statics.findClashesInRange = async function (startDate, endDate, filter = {}) {
+  const sessions = await this.find({
+    ...filter,
+    isActive: true,
+    status: { $nin: RELEASED_STATUSES },
+    startTime: { $lt: new Date(endDate) },
+    endTime: { $gt: new Date(startDate) }
+  }).select('title courseCode faculty substituteFaculty startTime endTime roomNumber building status').sort({ startTime: 1 });
+
+  // Sessions are sorted by start, so each one only needs comparing with later sessions that start before it ends
+  const clashes = [];
+  for (let i = 0; i < sessions.length; i++) {
+    for (let j = i + 1; j < sessions.length && sessions[j].startTime < sessions[i].endTime; j++) {
+      describeClashes(sessions[i], sessions[j]).forEach(clash => clashes.push({
+        ...clash,
+        overlapStart: sessions[j].startTime,
+        overlapEnd: new Date(Math.min(sessions[i].endTime, sessions[j].endTime)),
+        sessions: [summarizeForConflict(sessions[i]), summarizeForConflict(sessions[j])]
+      }));
+    }
+  }
+  return clashes;
+};
+
+// Static method to get the query condition for sessions a faculty member teaches, as the faculty of
+// record or as the substitute
+sessionSchema.statics.taughtByFilter = function (userId) {
+  return { $or: [{ faculty: userId }, { substituteFaculty: userId }] };
+};
+
 // Static method to get active sessions
 sessionSchema.statics.getActiveSessions = function () {
   const now = new Date();
@@ -332,6 +664,309 @@ sessionSchema.methods.endSession = function () {
   return this.save();
 };
 
+// Instance method to record the outcome for every enrolled student once the session is over
+sessionSchema.methods.finalizeAttendance = async function (finalizedBy = null, options = {}) {
+  const Attendance = require('./Attendance');
+  const LeaveRequest = require('./LeaveRequest');
+
+  const now = new Date();
+  const autoApprove = typeof options.autoApprove === 'boolean'
+    ? options.autoApprove
+    : !!(this.attendanceSettings && this.attendanceSettings.autoApproveOnEnd);
+
+  let autoApproved = 0;
+  if (autoApprove) {
+    // Submissions flagged as possible proxies or outside the geofence, or not yet confirmed
+    // biometrically when the session requires it, still need a person to look at them
+    const result = await Attendance.updateManyWithRevisions(
+      {
+        session: this._id,
+        'qrSubmission.isPendingApproval': true,
+        isApproved: false,
+        isProxy: { $ne: true },
+        'locationVerification.flagged': { $ne: true },
+        ...(this.getBiometricPolicy().required && { 'biometricData.verified': true })
+      },
+      {
+        $set: {
+          isApproved: true,
+          approvedBy: finalizedBy,
+          approvedAt: now,
+          'qrSubmission.isPendingApproval': false
+        }
+      },
+      { actor: finalizedBy, reason: 'Approved automatically when the session ended', source: 'session.finalize' }
+    );
+    autoApproved = result.modifiedCount;
+  }
+
+  const checkout = this.attendanceSettings && this.attendanceSettings.requireCheckout
+    ? await this.applyCheckoutPolicy(now)
+    : null;
+
+  const enrolledIds = this.enrolledStudents.map(enrolled => enrolled.student);
+  const recorded = await Attendance.find({ session: this._id, student: { $in: enrolledIds } }).distinct('student');
+  const recordedSet = new Set(recorded.map(String));
+  const missing = enrolledIds.filter(studentId => !recordedSet.has(String(studentId)));
+
+  // Students on approved leave covering the session are excused rather than absent
+  const leaves = missing.length > 0
+    ? await LeaveRequest.find({
+      student: { $in: missing },
+      status: 'approved',
+      startDate: { $lte: this.startTime },
+      endDate: { $gte: this.startTime }
+    })
+    : [];
+  const leaveByStudent = new Map(leaves.map(leave => [String(leave.student), leave]));
+
+  const records = missing.map(studentId => {
+    const onLeave = leaveByStudent.has(String(studentId));
+    return {
+      student: studentId,
+      session: this._id,
+      status: onLeave ? 'excused' : 'absent',
+      checkInTime: this.startTime,
+      academicYear: this.academicYear,
+      semester: this.semester,
+      isApproved: true,
+      approvedBy: finalizedBy,
+      approvedAt: now,
+      qrSubmission: { isPendingApproval: false },
+      verificationNotes: onLeave ? 'Excused by approved leave request' : 'No attendance submitted before the session ended',
+      createdBy: finalizedBy
+    };
+  });
+
+  let created = [];
+  if (records.length > 0) {
+    try {
+      created = await Attendance.insertMany(records, { ordered: false });
+    } catch (error) {
+      // A student may have been marked while we were finalizing; keep the records that did insert
+      if (error.code !== 11000 && !(error.writeErrors && error.writeErrors.every(e => e.code === 11000))) throw error;
+      created = error.insertedDocs || [];
+    }
+    await Attendance.recordCreatedRevisions(created, { actor: finalizedBy, source: 'session.finalize' });
+  }
+
+  for (const record of created) {
+    const leave = leaveByStudent.get(String(record.student));
+    if (leave && record.status === 'excused') {
+      await LeaveRequest.updateOne({ _id: leave._id }, { $addToSet: { excusedAttendance: record._id, sessions: this._id } });
+    }
+  }
+
+  await this.refreshAttendanceCount();
+  this.attendanceFinalizedAt = now;
+  await this.save();
+
+  return {
+    enrolled: enrolledIds.length,
+    absentMarked: created.filter(record => record.status === 'absent').length,
+    excusedMarked: created.filter(record => record.status === 'excused').length,
+    autoApproved,
+    checkout,
+    currentAttendance: this.currentAttendance
+  };
+};
+
+// Instance method to recount students marked present or late and approved (does not save)
+sessionSchema.methods.refreshAttendanceCount = async function () {
+  const Attendance = require('./Attendance');
+
+  this.currentAttendance = await Attendance.countDocuments({
+    session: this._id,
+    status: { $in: ['present', 'late'] },
+    isApproved: true,
+    isActive: true
+  }).session(this.$session() || null);
+
+  return this.currentAttendance;
+};
+
+// Instance method to downgrade QR submissions that did not check out or left too early
+sessionSchema.methods.applyCheckoutPolicy = async function (now = new Date()) {
+  const Attendance = require('./Attendance');
+  const requiredPercent = typeof this.attendanceSettings.minimumPresencePercent === 'number'
+    ? this.attendanceSettings.minimumPresencePercent
+    : 75;
+
+  // Only records a student submitted by scanning a session QR code; attendance a faculty member
+  // marked by hand or in bulk stands as marked
+  const records = await Attendance.find({
+    session: this._id,
+    status: { $in: ['present', 'late'] },
+    'qrCodeData.qrCodeLog': { $exists: true },
+    'presence.evaluatedAt': { $exists: false }
+  });
+
+  const summary = { met: 0, partial: 0, missingCheckout: 0 };
+
+  for (const record of records) {
+    const presence = record.calculatePresence(this);
+    let outcome = 'met';
+
+    if (!presence) {
+      outcome = 'missing_checkout';
+      summary.missingCheckout++;
+    } else if (presence.percent < requiredPercent) {
+      outcome = 'below_minimum';
+      summary.partial++;
+    } else {
+      summary.met++;
+    }
+
+    record.presence = {
+      ...(presence || {}),
+      requiredPercent,
+      outcome,
+      previousStatus: record.status,
+      evaluatedAt: now
+    };
+
+    if (outcome === 'missing_checkout') record.status = 'absent';
+    if (outcome === 'below_minimum') record.status = 'partial';
+
+    record.setRevisionContext({
+      reason: outcome === 'met' ? undefined : `Checkout policy: ${outcome.replace('_', ' ')}`,
+      source: 'session.checkout_policy'
+    });
+    await record.save();
+  }
+
+  return { requiredPercent, ...summary };
+};
+
+// Instance method to get the QR submission window
+sessionSchema.methods.getEntryWindow = function () {
+  const { getDefaultLateEntryCutoff } = require('../config/attendance');
+  const settings = this.attendanceSettings || {};
+
+  const lateEntryCutoff = typeof settings.lateEntryCutoff === 'number'
+    ? settings.lateEntryCutoff
+    : getDefaultLateEntryCutoff();
+
+  // Lateness counts from when the class actually began if the faculty started it late
+  const startedAt = this.actualStartTime && this.actualStartTime > this.startTime
+    ? this.actualStartTime
+    : this.startTime;
+
+  return {
+    opensAt: new Date(this.startTime.getTime() - (settings.entryOpensBefore || 0) * 60 * 1000),
+    lateAfter: new Date(startedAt.getTime() + lateEntryCutoff * 60 * 1000),
+    closesAt: this.endTime,
+    lateEntryCutoff,
+    allowLateEntry: settings.allowLateEntry !== false
+  };
+};
+
+// Instance method to create the later occurrences of a recurring session (the session itself is
+// the first occurrence). Returns the created sessions.
+sessionSchema.methods.createOccurrences = async function () {
+  if (!this.isRecurring || this.parentSession || !this.recurringPattern || !this.recurringPattern.endDate) {
+    return [];
+  }
+
+  const template = this.toObject({ virtuals: false, depopulate: true });
+  OCCURRENCE_RESET_FIELDS.forEach(field => delete template[field]);
+  template.qrCode = {
+    rotation: this.qrCode && this.qrCode.rotation,
+    nonce: this.qrCode && this.qrCode.nonce
+  };
+
+  const [, ...slots] = this.getOccurrenceSlots();
+  const occurrences = slots.map((slot, index) => ({
+    ...template,
+    ...slot,
+    parentSession: this._id,
+    occurrenceIndex: index + 1
+  }));
+
+  if (this.occurrenceIndex === null) {
+    this.occurrenceIndex = 0;
+    await this.save();
+  }
+
+  return occurrences.length > 0 ? this.constructor.insertMany(occurrences) : [];
+};
+
+// Instance method to create a one-off make-up session for this cancelled or postponed session.
+// The make-up keeps the course, faculty, enrolment and attendance settings; slot overrides the
+// start/end time and optionally the location, room number and building.
+sessionSchema.methods.createMakeUpSession = async function (slot, createdBy = null) {
+  const template = this.toObject({ virtuals: false, depopulate: true });
+  [...OCCURRENCE_RESET_FIELDS, ...MAKE_UP_RESET_FIELDS].forEach(field => delete template[field]);
+  template.qrCode = {
+    rotation: this.qrCode && this.qrCode.rotation,
+    nonce: this.qrCode && this.qrCode.nonce
+  };
+
+  const makeUp = await this.constructor.create({
+    ...template,
+    title: `${this.title} (make-up)`.slice(0, 100),
+    startTime: slot.startTime,
+    endTime: slot.endTime,
+    location: slot.location || this.location,
+    roomNumber: slot.roomNumber !== undefined ? slot.roomNumber : this.roomNumber,
+    building: slot.building !== undefined ? slot.building : this.building,
+    makeUpFor: this._id,
+    createdBy
+  });
+
+  this.makeUpSession = makeUp._id;
+  return makeUp;
+};
+
+// Instance method to get the start and end of every occurrence a recurring session expands into (itself first)
+sessionSchema.methods.getOccurrenceSlots = function () {
+  if (!this.isRecurring || this.parentSession || !this.recurringPattern || !this.recurringPattern.endDate) {
+    return [{ startTime: this.startTime, endTime: this.endTime }];
+  }
+
+  const dateUtils = require('../utils/dateUtils');
+  const duration = this.endTime - this.startTime;
+  return dateUtils.getRecurrenceDates(this.startTime, this.recurringPattern, MAX_OCCURRENCES)
+    .map(startTime => ({ startTime, endTime: new Date(startTime.getTime() + duration) }));
+};
+
+// Instance method to check whether a user teaches this session: its faculty member or the assigned
+// substitute, who has the same rights over the session
+sessionSchema.methods.isTaughtBy = function (userId) {
+  return [this.faculty, this.substituteFaculty].some(ref => ref && String(refId(ref)) === String(userId));
+};
+
+// Instance method to get whether biometric confirmation is required and the confidence it needs
+sessionSchema.methods.getBiometricPolicy = function () {
+  const { getBiometricSettings } = require('../config/attendance');
+  const settings = this.attendanceSettings || {};
+
+  return {
+    required: !!settings.requireBiometric,
+    minimumConfidence: typeof settings.biometricMinConfidence === 'number'
+      ? settings.biometricMinConfidence
+      : getBiometricSettings().minimumConfidence
+  };
+};
+
+// Instance method to resolve the classroom coordinate (own value or room registry)
+sessionSchema.methods.getClassroomLocation = async function () {
+  const own = this.classroomLocation;
+  if (own && typeof own.latitude === 'number' && typeof own.longitude === 'number') {
+    return { latitude: own.latitude, longitude: own.longitude, source: 'session' };
+  }
+
+  if (this.building && this.roomNumber) {
+    const Room = require('./Room');
+    const room = await Room.findByBuildingAndRoom(this.building, this.roomNumber);
+    if (room) {
+      return { latitude: room.location.latitude, longitude: room.location.longitude, source: 'room' };
+    }
+  }
+
+  return null;
+};
+
 // Instance method to add student
 sessionSchema.methods.addStudent = function (studentId) {
   const existingStudent = this.enrolledStudents.find(
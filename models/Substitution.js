@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+// Sessions a substitute can still be assigned to or removed from
+const COVERABLE_STATUSES = ['scheduled', 'postponed', 'active'];
+
+const substitutionSchema = new mongoose.Schema({
+  // Faculty member being covered and the teacher covering for them
+  originalFaculty: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Original faculty is required']
+  },
+  substitute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Substitute faculty is required']
+  },
+
+  // A single session, or every session of the faculty member in a date range. Sessions are
+  // resolved when the substitution is made; sessions created later are not covered.
+  scope: {
+    type: String,
+    enum: ['session', 'range'],
+    required: true
+  },
+  startDate: Date,
+  endDate: Date,
+  sessions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  }],
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Reason cannot exceed 500 characters']
+  },
+
+  status: {
+    type: String,
+    enum: ['active', 'revoked'],
+    default: 'active'
+  },
+  assignedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+substitutionSchema.index({ originalFaculty: 1, createdAt: -1 });
+substitutionSchema.index({ substitute: 1, createdAt: -1 });
+substitutionSchema.index({ status: 1 });
+
+// Static method to find the sessions of a faculty member that a substitute can take over:
+// one session by id, or all of them starting within a date range
+substitutionSchema.statics.findCoverableSessions = function({ originalFaculty, sessionId, startDate, endDate }) {
+  const Session = require('./Session');
+
+  const query = {
+    faculty: originalFaculty,
+    isActive: true,
+    status: { $in: COVERABLE_STATUSES }
+  };
+  if (sessionId) {
+    query._id = sessionId;
+  } else {
+    query.startTime = { $gte: new Date(startDate), $lte: new Date(endDate) };
+  }
+
+  return Session.find(query).sort({ startTime: 1 });
+};
+
+// Instance method to hand the given sessions to the substitute
+substitutionSchema.methods.applyToSessions = async function(sessions) {
+  const Session = require('./Session');
+
+  const ids = sessions.map(session => session._id);
+  await Session.updateMany(
+    { _id: { $in: ids } },
+    { $set: { substituteFaculty: this.substitute, substitution: this._id } }
+  );
+
+  this.sessions = ids;
+  return this.save();
+};
+
+// Instance method to end the substitution. Sessions that have not finished go back to the original
+// faculty; completed ones keep the substitute as a record of who took the class.
+substitutionSchema.methods.revoke = async function(revokedBy) {
+  const Session = require('./Session');
+
+  const result = await Session.updateMany(
+    {
+      _id: { $in: this.sessions },
+      substitution: this._id,
+      status: { $in: ['scheduled', 'postponed'] }
+    },
+    { $set: { substituteFaculty: null, substitution: null } }
+  );
+
+  this.status = 'revoked';
+  this.revokedAt = new Date();
+  this.revokedBy = revokedBy;
+  await this.save();
+
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('Substitution', substitutionSchema);
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const syncBatchSchema = new mongoose.Schema({
+  // Uploader and idempotency
+  faculty: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Faculty reference is required']
+  },
+  idempotencyKey: {
+    type: String,
+    required: [true, 'Idempotency key is required'],
+    trim: true
+  },
+  bundleHash: {
+    type: String,
+    required: true
+  },
+  deviceId: String,
+  clientCreatedAt: Date,
+
+  // Processing
+  status: {
+    type: String,
+    enum: ['processing', 'completed', 'failed'],
+    default: 'processing'
+  },
+  sessions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Session'
+  }],
+  results: [{
+    _id: false,
+    clientId: String,
+    session: mongoose.Schema.Types.ObjectId,
+    student: mongoose.Schema.Types.ObjectId,
+    status: String,
+    result: {
+      type: String,
+      enum: ['created', 'updated', 'unchanged', 'skipped', 'rejected']
+    },
+    attendance: mongoose.Schema.Types.ObjectId,
+    message: String
+  }],
+  summary: {
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    unchanged: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    rejected: { type: Number, default: 0 }
+  },
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+syncBatchSchema.index({ faculty: 1, idempotencyKey: 1 }, { unique: true });
+syncBatchSchema.index({ createdAt: -1 });
+
+// Instance method to build the report returned to the device
+syncBatchSchema.methods.toReport = function(replayed = false) {
+  return {
+    batchId: this._id,
+    idempotencyKey: this.idempotencyKey,
+    status: this.status,
+    replayed,
+    summary: this.summary,
+    results: this.results
+  };
+};
+
+module.exports = mongoose.model('SyncBatch', syncBatchSchema);
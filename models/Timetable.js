@@ -160,8 +160,83 @@ timetableSchema.pre('save', function(next) {
   next();
 });
 
-// Static method to generate sessions from timetable
-timetableSchema.statics.generateSessions = async function(timetableId) {
+// Minutes since midnight for an HH:MM schedule time
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':');
+  return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+const roomOf = (item) => item.roomNumber
+  ? `${(item.building || '').trim().toLowerCase()}/${String(item.roomNumber).trim().toLowerCase()}`
+  : null;
+
+// Faculty and room clashes between two weekly schedule slots
+const slotClashes = (a, b) => {
+  if (a.dayOfWeek !== b.dayOfWeek) return [];
+  if (!(toMinutes(a.startTime) < toMinutes(b.endTime) && toMinutes(b.startTime) < toMinutes(a.endTime))) return [];
+
+  const clashes = [];
+  if (a.faculty && b.faculty && String(a.faculty._id || a.faculty) === String(b.faculty._id || b.faculty)) {
+    clashes.push({ type: 'faculty', resource: String(a.faculty._id || a.faculty) });
+  }
+  if (roomOf(a) && roomOf(a) === roomOf(b)) {
+    clashes.push({ type: 'room', resource: roomOf(a) });
+  }
+  return clashes;
+};
+
+const describeSlot = (item, index) => ({
+  index,
+  courseCode: item.courseCode,
+  dayOfWeek: item.dayOfWeek,
+  startTime: item.startTime,
+  endTime: item.endTime
+});
+
+// Static method to find weekly slots that double-book a faculty member or room, either within the
+// schedule itself or against other active timetables whose date range overlaps
+timetableSchema.statics.findScheduleConflicts = async function({ schedule, startDate, endDate }, excludeId = null) {
+  const conflicts = [];
+
+  schedule.forEach((item, index) => {
+    for (let other = index + 1; other < schedule.length; other++) {
+      slotClashes(item, schedule[other]).forEach(clash => conflicts.push({
+        ...clash,
+        slot: describeSlot(item, index),
+        conflictsWith: { timetable: null, ...describeSlot(schedule[other], other) }
+      }));
+    }
+  });
+
+  const query = {
+    isActive: true,
+    startDate: { $lte: new Date(endDate) },
+    endDate: { $gte: new Date(startDate) }
+  };
+  if (excludeId) query._id = { $ne: excludeId };
+
+  const others = await this.find(query).select('title section schedule');
+  for (const timetable of others) {
+    schedule.forEach((item, index) => {
+      timetable.schedule.forEach((otherItem, otherIndex) => {
+        slotClashes(item, otherItem).forEach(clash => conflicts.push({
+          ...clash,
+          slot: describeSlot(item, index),
+          conflictsWith: {
+            timetable: { _id: timetable._id, title: timetable.title, section: timetable.section },
+            ...describeSlot(otherItem, otherIndex)
+          }
+        }));
+      });
+    });
+  }
+
+  return conflicts;
+};
+
+// Static method to generate sessions from timetable. Sessions that would double-book a faculty member
+// or room are skipped and reported unless allowConflicts is set.
+timetableSchema.statics.generateSessions = async function(timetableId, { allowConflicts = false } = {}) {
   const timetable = await this.findById(timetableId).populate('schedule.faculty');
   if (!timetable) {
     throw new Error('Timetable not found');
@@ -169,6 +244,7 @@ timetableSchema.statics.generateSessions = async function(timetableId) {
   
   const Session = require('./Session');
   const generatedSessions = [];
+  const conflicts = [];
   
   const startDate = new Date(timetable.startDate);
   const endDate = new Date(timetable.endDate);
@@ -213,6 +289,12 @@ timetableSchema.statics.generateSessions = async function(timetableId) {
       };
       
       try {
+        const clashes = await Session.findConflicts([sessionData]);
+        if (clashes.length > 0) {
+          conflicts.push(...clashes);
+          if (!allowConflicts) continue;
+        }
+
         const session = await Session.create(sessionData);
         generatedSessions.push(session);
       } catch (error) {
@@ -221,7 +303,7 @@ timetableSchema.statics.generateSessions = async function(timetableId) {
     }
   }
   
-  return generatedSessions;
+  return { sessions: generatedSessions, conflicts };
 };
 
 // Helper method to get day of week number
@@ -94,6 +94,10 @@ const userSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  offlineSyncKeyVersion: {
+    type: Number,
+    default: 0 // version of the key used to sign offline attendance bundles; 0 = none issued
+  },
   
   // Contact Information
   phone: {
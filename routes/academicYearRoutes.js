@@ -1,8 +1,9 @@
 const express = require('express');
-const { body } = require('express-validator');
+const { body, query } = require('express-validator');
 const academicYearController = require('../controllers/academicYearController');
+const semesterUnlockController = require('../controllers/semesterUnlockController');
 const { authenticateToken } = require('../middlewares/authMiddleware');
-const { requireAdmin } = require('../middlewares/roleMiddleware');
+const { requireAdmin, requireFacultyOrAdmin } = require('../middlewares/roleMiddleware');
 
 const router = express.Router();
 
@@ -83,7 +84,63 @@ const activateSemesterValidation = [
 const finalizeSemesterValidation = [
   body('semesterName')
     .isIn(['1', '2', 'Summer', 'Winter'])
-    .withMessage('Valid semester name is required')
+    .withMessage('Valid semester name is required'),
+
+  body('year')
+    .optional()
+    .isIn(['1', '2', '3', '4'])
+    .withMessage('Year must be 1, 2, 3, or 4')
+];
+
+const unlockRequestValidation = [
+  body('year')
+    .isIn(['1', '2', '3', '4'])
+    .withMessage('Year must be 1, 2, 3, or 4'),
+
+  body('semesterName')
+    .isIn(['1', '2', 'Summer', 'Winter'])
+    .withMessage('Valid semester name is required'),
+
+  body('justification')
+    .trim()
+    .isLength({ min: 20, max: 1000 })
+    .withMessage('Justification must be between 20 and 1000 characters'),
+
+  body('requestedHours')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Requested hours must be a positive integer')
+    .toInt()
+];
+
+const reviewUnlockRequestValidation = [
+  body('decision')
+    .isIn(['approved', 'rejected'])
+    .withMessage('Decision must be approved or rejected'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+
+  body('hours')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Hours must be a positive integer')
+    .toInt()
+];
+
+const getUnlockRequestsValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected', 'relocked'])
+    .withMessage('Invalid status filter'),
+
+  query('academicYearId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid academic year ID')
 ];
 
 // Routes
@@ -109,6 +166,27 @@ router.get('/stats',
   academicYearController.getAcademicYearStats
 );
 
+// Semester unlock requests (finalized semesters are read-only until an admin approves one)
+router.get('/unlock-requests',
+  authenticateToken,
+  requireFacultyOrAdmin,
+  getUnlockRequestsValidation,
+  semesterUnlockController.getUnlockRequests
+);
+
+router.post('/unlock-requests/:requestId/review',
+  authenticateToken,
+  requireAdmin,
+  reviewUnlockRequestValidation,
+  semesterUnlockController.reviewUnlockRequest
+);
+
+router.post('/unlock-requests/:requestId/relock',
+  authenticateToken,
+  requireAdmin,
+  semesterUnlockController.relockSemester
+);
+
 router.get('/:academicYearId', 
   authenticateToken,
   academicYearController.getAcademicYearById
@@ -155,6 +233,13 @@ router.post('/:academicYearId/finalize-and-advance',
   academicYearController.finalizeAndAdvanceSemester
 );
 
+router.post('/:academicYearId/unlock-requests',
+  authenticateToken,
+  requireFacultyOrAdmin,
+  unlockRequestValidation,
+  semesterUnlockController.requestUnlock
+);
+
 // Get audit logs for an academic year
 router.get('/:academicYearId/audit-logs',
   authenticateToken,
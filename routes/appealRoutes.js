@@ -0,0 +1,59 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const appealController = require('../controllers/appealController');
+const { authenticateToken } = require('../middlewares/authMiddleware');
+const { requireRole, requireFacultyOrAdmin } = require('../middlewares/roleMiddleware');
+const { createUpload } = require('../middlewares/uploadMiddleware');
+const { ROLES } = require('../config/roles');
+
+const router = express.Router();
+
+const upload = createUpload('appeals', { maxFiles: 5 });
+
+// Validation middleware
+const openAppealValidation = [
+  body('requestedStatus')
+    .isIn(['present', 'late', 'excused'])
+    .withMessage('Requested status must be present, late or excused'),
+
+  body('message')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Message must be between 10 and 1000 characters')
+];
+
+const messageValidation = [
+  body('message')
+    .trim()
+    .isLength({ min: 1, max: 1000 })
+    .withMessage('Message must be between 1 and 1000 characters')
+];
+
+const decideAppealValidation = [
+  body('decision')
+    .isIn(['accepted', 'rejected'])
+    .withMessage('Decision must be accepted or rejected'),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters')
+];
+
+const getAppealsValidation = [
+  query('status')
+    .optional()
+    .isIn(['open', 'escalated', 'accepted', 'rejected', 'withdrawn'])
+    .withMessage('Invalid status filter')
+];
+
+// Routes
+router.get('/', authenticateToken, getAppealsValidation, appealController.getAppeals);
+router.post('/attendance/:attendanceId', authenticateToken, requireRole(ROLES.STUDENT), upload.array('evidence', 5), openAppealValidation, appealController.openAppeal);
+router.get('/attendance/:attendanceId', authenticateToken, appealController.getAppealsForAttendance);
+router.post('/:appealId/messages', authenticateToken, upload.array('evidence', 5), messageValidation, appealController.addMessage);
+router.post('/:appealId/decision', authenticateToken, requireFacultyOrAdmin, decideAppealValidation, appealController.decideAppeal);
+router.post('/:appealId/withdraw', authenticateToken, requireRole(ROLES.STUDENT), appealController.withdrawAppeal);
+router.get('/:appealId/attachments/:attachmentId', authenticateToken, appealController.downloadAttachment);
+
+module.exports = router;
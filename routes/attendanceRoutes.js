@@ -1,10 +1,13 @@
 const express = require('express');
 const { body, query } = require('express-validator');
 const attendanceController = require('../controllers/attendanceController');
+const attendanceImportController = require('../controllers/attendanceImportController');
 const { authenticateToken } = require('../middlewares/authMiddleware');
-const { requireAttendanceAccess } = require('../middlewares/roleMiddleware');
+const { requireAttendanceAccess, requireFacultyOrAdmin, requireAdmin } = require('../middlewares/roleMiddleware');
+const { createUpload } = require('../middlewares/uploadMiddleware');
 
 const router = express.Router();
+const sheetUpload = createUpload('imports', { inMemory: true, allowedTypes: ['csv', 'xlsx'], maxFiles: 1 });
 
 // Validation rules
 const markAttendanceValidation = [
@@ -34,7 +37,7 @@ const markManualAttendanceValidation = [
   
   body('status')
     .optional()
-    .isIn(['present', 'absent', 'excused'])
+    .isIn(['present', 'late', 'partial', 'absent', 'excused'])
     .withMessage('Invalid attendance status'),
   
   body('checkInTime')
@@ -51,7 +54,7 @@ const markManualAttendanceValidation = [
 const updateAttendanceValidation = [
   body('status')
     .optional()
-    .isIn(['present', 'absent', 'excused'])
+    .isIn(['present', 'late', 'partial', 'absent', 'excused'])
     .withMessage('Invalid attendance status'),
   
   body('notes')
@@ -62,7 +65,7 @@ const updateAttendanceValidation = [
 
 const approveAttendanceValidation = [
   body('status')
-    .isIn(['present', 'absent', 'excused'])
+    .isIn(['present', 'late', 'partial', 'absent', 'excused'])
     .withMessage('Valid attendance status is required'),
   
   body('notes')
@@ -78,6 +81,136 @@ const markCheckoutValidation = [
     .withMessage('Invalid check-out time')
 ];
 
+const offlineSyncValidation = [
+  body('idempotencyKey')
+    .isString()
+    .isLength({ min: 8, max: 100 })
+    .withMessage('Idempotency key must be between 8 and 100 characters'),
+  
+  body('keyVersion')
+    .isInt({ min: 1 })
+    .withMessage('Key version is required'),
+  
+  body('signature')
+    .notEmpty()
+    .withMessage('Bundle signature is required'),
+  
+  body('records')
+    .isArray({ min: 1, max: 1000 })
+    .withMessage('Records must be an array of 1 to 1000 marks'),
+  
+  body('records.*.sessionId')
+    .isMongoId()
+    .withMessage('Valid session ID is required for every record'),
+  
+  body('records.*.studentId')
+    .isMongoId()
+    .withMessage('Valid student ID is required for every record'),
+  
+  body('records.*.status')
+    .isIn(['present', 'late', 'absent', 'excused'])
+    .withMessage('Status must be present, late, absent, or excused'),
+  
+  body('records.*.markedAt')
+    .isISO8601()
+    .withMessage('Valid client timestamp is required for every record'),
+  
+  body('records.*.notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const revertAttendanceValidation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Reason must be between 5 and 500 characters')
+];
+
+const biometricConfirmationValidation = [
+  body('sessionId')
+    .isMongoId()
+    .withMessage('Valid session ID is required'),
+
+  body('studentId')
+    .isMongoId()
+    .withMessage('Valid student ID is required'),
+
+  body('method')
+    .isIn(['fingerprint', 'face'])
+    .withMessage('Method must be fingerprint or face'),
+
+  body('fingerprintId')
+    .if(body('method').equals('fingerprint'))
+    .isString()
+    .notEmpty()
+    .withMessage('Fingerprint template ID is required'),
+
+  body('faceId')
+    .if(body('method').equals('face'))
+    .isString()
+    .notEmpty()
+    .withMessage('Face template ID is required'),
+
+  body('confidence')
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Confidence must be between 0 and 1')
+    .toFloat(),
+
+  body('matched')
+    .optional()
+    .isBoolean()
+    .withMessage('Matched must be a boolean')
+    .toBoolean(),
+
+  body('deviceId')
+    .trim()
+    .notEmpty()
+    .withMessage('Device ID is required')
+];
+
+// Sheets uploaded with a session ID are rosters unless the mode says otherwise
+const getImportMode = (req) => req.body.mode || (req.body.sessionId ? 'roster' : 'matrix');
+
+const createImportValidation = [
+  body('mode')
+    .optional()
+    .isIn(['roster', 'matrix'])
+    .withMessage('Mode must be roster or matrix'),
+
+  body('sessionId')
+    .if((value, { req }) => getImportMode(req) === 'roster')
+    .isMongoId()
+    .withMessage('Valid session ID is required for a roster sheet'),
+
+  body('courseCode')
+    .if((value, { req }) => getImportMode(req) === 'matrix')
+    .trim()
+    .notEmpty()
+    .withMessage('Course code is required for a matrix sheet'),
+
+  body('startDate')
+    .if((value, { req }) => getImportMode(req) === 'matrix')
+    .isISO8601()
+    .withMessage('Valid start date is required for a matrix sheet'),
+
+  body('endDate')
+    .if((value, { req }) => getImportMode(req) === 'matrix')
+    .isISO8601()
+    .withMessage('Valid end date is required for a matrix sheet')
+    .custom((value, { req }) => new Date(value) >= new Date(req.body.startDate))
+    .withMessage('End date must be on or after the start date')
+];
+
+const commitImportValidation = [
+  body('overwrite')
+    .optional()
+    .isBoolean()
+    .withMessage('Overwrite must be a boolean')
+    .toBoolean()
+];
+
 const getAttendanceValidation = [
   query('page')
     .optional()
@@ -101,13 +234,22 @@ const getAttendanceValidation = [
   
   query('status')
     .optional()
-    .isIn(['present', 'absent', 'excused'])
+    .isIn(['present', 'late', 'partial', 'absent', 'excused'])
     .withMessage('Invalid status filter')
 ];
 
 // Routes
 router.post('/submit-qr', authenticateToken, markAttendanceValidation, attendanceController.submitAttendanceByQR);
+router.post('/checkout-qr', authenticateToken, markAttendanceValidation, attendanceController.checkoutByQR);
+
+// Offline sync for faculty devices
+router.post('/sync/key', authenticateToken, requireFacultyOrAdmin, attendanceController.issueSyncKey);
+router.post('/sync', authenticateToken, requireFacultyOrAdmin, offlineSyncValidation, attendanceController.syncOfflineBatch);
+router.post('/biometric', authenticateToken, requireFacultyOrAdmin, biometricConfirmationValidation, attendanceController.confirmBiometric);
 router.post('/mark-manual', authenticateToken, markManualAttendanceValidation, attendanceController.markAttendanceManually);
+router.post('/imports', authenticateToken, requireFacultyOrAdmin, sheetUpload.single('file'), createImportValidation, attendanceImportController.createImport);
+router.get('/imports/:importId', authenticateToken, requireFacultyOrAdmin, attendanceImportController.getImport);
+router.post('/imports/:importId/commit', authenticateToken, requireFacultyOrAdmin, commitImportValidation, attendanceImportController.commitImport);
 router.get('/', authenticateToken, requireAttendanceAccess, getAttendanceValidation, attendanceController.getAttendanceRecords);
 router.get('/stats', authenticateToken, requireAttendanceAccess, attendanceController.getAttendanceStats);
 router.put('/:attendanceId', authenticateToken, updateAttendanceValidation, attendanceController.updateAttendance);
@@ -116,8 +258,13 @@ router.post('/:attendanceId/checkout', authenticateToken, markCheckoutValidation
 
 // New approval workflow routes
 router.get('/pending/:sessionId', authenticateToken, attendanceController.getPendingAttendance);
+router.get('/proxy-clusters/:sessionId', authenticateToken, requireFacultyOrAdmin, attendanceController.getProxyClusters);
 router.post('/:attendanceId/approve', authenticateToken, approveAttendanceValidation, attendanceController.approveAttendance);
 router.post('/bulk-approve/:sessionId', authenticateToken, attendanceController.bulkApproveAllPresent);
 router.put('/:attendanceId/modify', authenticateToken, updateAttendanceValidation, attendanceController.modifyAttendance);
 
+// Revision history
+router.get('/:attendanceId/history', authenticateToken, attendanceController.getAttendanceHistory);
+router.post('/:attendanceId/history/:revisionId/revert', authenticateToken, requireAdmin, revertAttendanceValidation, attendanceController.revertAttendance);
+
 module.exports = router;
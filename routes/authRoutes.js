@@ -120,6 +120,7 @@ router.post('/login', loginValidation, authController.login);
 router.post('/refresh-token', authController.refreshToken);
 router.post('/logout', authenticateToken, authController.logout);
 router.get('/profile', authenticateToken, authController.getProfile);
+router.get('/profile/qr', authenticateToken, authController.getProfileQR);
 router.put('/profile', authenticateToken, updateProfileValidation, authController.updateProfile);
 router.put('/change-password', authenticateToken, changePasswordValidation, authController.changePassword);
 router.post('/forgot-password', forgotPasswordValidation, authController.forgotPassword);
@@ -0,0 +1,67 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const condonationController = require('../controllers/condonationController');
+const { authenticateToken } = require('../middlewares/authMiddleware');
+const { requireRole, requireFacultyOrAdmin } = require('../middlewares/roleMiddleware');
+const { createUpload } = require('../middlewares/uploadMiddleware');
+const { ROLES } = require('../config/roles');
+
+const router = express.Router();
+
+const upload = createUpload('condonations', { maxFiles: 5 });
+
+// Validation middleware
+const requestCondonationValidation = [
+  body('courseCode')
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage('Course code must be between 2 and 20 characters'),
+
+  body('ground')
+    .isIn(['medical', 'payment', 'sports', 'official_duty', 'other'])
+    .withMessage('Invalid condonation ground'),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Reason must be between 10 and 1000 characters'),
+
+  body('paymentReference')
+    .optional()
+    .trim()
+    .isLength({ min: 3, max: 100 })
+    .withMessage('Payment reference must be between 3 and 100 characters')
+];
+
+const decideCondonationValidation = [
+  body('decision')
+    .isIn(['approved', 'rejected'])
+    .withMessage('Decision must be approved or rejected'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const getCondonationsValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected', 'withdrawn'])
+    .withMessage('Invalid status filter'),
+
+  query('department')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid department ID')
+];
+
+// Routes
+router.get('/', authenticateToken, getCondonationsValidation, condonationController.getCondonations);
+router.post('/', authenticateToken, requireRole(ROLES.STUDENT), upload.array('documents', 5), requestCondonationValidation, condonationController.requestCondonation);
+router.post('/:requestId/decision', authenticateToken, requireFacultyOrAdmin, decideCondonationValidation, condonationController.decideCondonation);
+router.post('/:requestId/withdraw', authenticateToken, requireRole(ROLES.STUDENT), condonationController.withdrawCondonation);
+router.get('/:requestId/documents/:documentId', authenticateToken, condonationController.downloadDocument);
+
+module.exports = router;
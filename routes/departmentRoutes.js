@@ -3,10 +3,54 @@ const { body } = require('express-validator');
 const departmentController = require('../controllers/departmentController');
 const { authenticateToken } = require('../middlewares/authMiddleware');
 const { requireAdmin, requireFacultyOrAdmin } = require('../middlewares/roleMiddleware');
+const { DEFAULT_ELIGIBILITY_RULES } = require('../config/attendance');
 
 const router = express.Router();
 
 // Validation middleware
+const ELIGIBILITY_GROUNDS = ['medical', 'payment', 'sports', 'official_duty', 'other'];
+
+const eligibilityRulesValidation = [
+  body('eligibilityRules.minimumPercentage')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Eligibility minimum must be between 0 and 100'),
+
+  body('eligibilityRules.condonationMinimum')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Condonation minimum must be between 0 and 100')
+    .custom((value, { req }) => {
+      const { minimumPercentage } = req.body.eligibilityRules;
+      const minimum = minimumPercentage === undefined ? DEFAULT_ELIGIBILITY_RULES.minimumPercentage : minimumPercentage;
+      return Number(value) <= Number(minimum);
+    })
+    .withMessage('Condonation minimum cannot be above the eligibility minimum'),
+
+  body('eligibilityRules.condonationGrounds')
+    .optional()
+    .isArray()
+    .withMessage('Condonation grounds must be an array'),
+
+  body('eligibilityRules.condonationGrounds.*')
+    .isIn(ELIGIBILITY_GROUNDS)
+    .withMessage('Invalid condonation ground'),
+
+  body('eligibilityRules.condonationFee')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Condonation fee cannot be negative'),
+
+  body('eligibilityRules.documentsRequiredFor')
+    .optional()
+    .isArray()
+    .withMessage('Documents required for must be an array'),
+
+  body('eligibilityRules.documentsRequiredFor.*')
+    .isIn(ELIGIBILITY_GROUNDS)
+    .withMessage('Invalid condonation ground')
+];
+
 const createDepartmentValidation = [
   body('name')
     .notEmpty()
@@ -40,7 +84,24 @@ const createDepartmentValidation = [
   body('academicInfo.establishedYear')
     .optional()
     .isInt({ min: 1900, max: new Date().getFullYear() })
-    .withMessage('Valid established year is required')
+    .withMessage('Valid established year is required'),
+  
+  body('attendancePolicy.lateWeight')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Late weight must be between 0 and 1'),
+  
+  body('attendancePolicy.partialWeight')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Partial weight must be between 0 and 1'),
+  
+  body('attendancePolicy.excusedCountsAs')
+    .optional()
+    .isIn(['excluded', 'present'])
+    .withMessage('Excused records must count as excluded or present'),
+
+  ...eligibilityRulesValidation
 ];
 
 const updateDepartmentValidation = [
@@ -74,7 +135,24 @@ const updateDepartmentValidation = [
   body('academicInfo.establishedYear')
     .optional()
     .isInt({ min: 1900, max: new Date().getFullYear() })
-    .withMessage('Valid established year is required')
+    .withMessage('Valid established year is required'),
+  
+  body('attendancePolicy.lateWeight')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Late weight must be between 0 and 1'),
+  
+  body('attendancePolicy.partialWeight')
+    .optional()
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Partial weight must be between 0 and 1'),
+  
+  body('attendancePolicy.excusedCountsAs')
+    .optional()
+    .isIn(['excluded', 'present'])
+    .withMessage('Excused records must count as excluded or present'),
+
+  ...eligibilityRulesValidation
 ];
 
 const setDepartmentHeadValidation = [
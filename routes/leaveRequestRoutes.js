@@ -0,0 +1,64 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const leaveRequestController = require('../controllers/leaveRequestController');
+const { authenticateToken } = require('../middlewares/authMiddleware');
+const { requireRole, requireFacultyOrAdmin } = require('../middlewares/roleMiddleware');
+const { createUpload } = require('../middlewares/uploadMiddleware');
+const { ROLES } = require('../config/roles');
+
+const router = express.Router();
+
+const upload = createUpload('leave-requests', { maxFiles: 5 });
+
+// Validation middleware
+const createLeaveRequestValidation = [
+  body('startDate')
+    .isISO8601()
+    .withMessage('Valid start date is required'),
+
+  body('endDate')
+    .isISO8601()
+    .withMessage('Valid end date is required'),
+
+  body('category')
+    .isIn(['medical', 'sports', 'official_duty', 'other'])
+    .withMessage('Category must be medical, sports, official_duty or other'),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Reason must be between 10 and 1000 characters')
+];
+
+const reviewLeaveRequestValidation = [
+  body('decision')
+    .isIn(['approved', 'rejected'])
+    .withMessage('Decision must be approved or rejected'),
+
+  body('notes')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters')
+];
+
+const getLeaveRequestsValidation = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'approved', 'rejected', 'cancelled'])
+    .withMessage('Invalid status filter'),
+
+  query('category')
+    .optional()
+    .isIn(['medical', 'sports', 'official_duty', 'other'])
+    .withMessage('Invalid category filter')
+];
+
+// Routes
+router.post('/', authenticateToken, requireRole(ROLES.STUDENT), upload.array('attachments', 5), createLeaveRequestValidation, leaveRequestController.createLeaveRequest);
+router.get('/', authenticateToken, getLeaveRequestsValidation, leaveRequestController.getLeaveRequests);
+router.get('/:leaveRequestId', authenticateToken, leaveRequestController.getLeaveRequestById);
+router.post('/:leaveRequestId/review', authenticateToken, requireFacultyOrAdmin, reviewLeaveRequestValidation, leaveRequestController.reviewLeaveRequest);
+router.post('/:leaveRequestId/cancel', authenticateToken, requireRole(ROLES.STUDENT), leaveRequestController.cancelLeaveRequest);
+router.get('/:leaveRequestId/attachments/:attachmentId', authenticateToken, leaveRequestController.downloadAttachment);
+
+module.exports = router;
@@ -184,11 +184,65 @@ const exportDataValidation = [
     .withMessage('Subject must be between 2 and 50 characters')
 ];
 
+const getEligibilityValidation = [
+  query('department')
+    .isMongoId()
+    .withMessage('Valid department ID is required'),
+
+  query('academicYear')
+    .isIn(['1', '2', '3', '4'])
+    .withMessage('Academic year must be 1, 2, 3, or 4'),
+
+  query('semester')
+    .isIn(['1', '2'])
+    .withMessage('Semester must be 1 or 2'),
+
+  query('courseCode')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 20 })
+    .withMessage('Course code must be between 2 and 20 characters'),
+
+  query('status')
+    .optional()
+    .isIn(['eligible', 'condonable', 'detained'])
+    .withMessage('Status must be eligible, condonable, or detained'),
+
+  query('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid start date format'),
+
+  query('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid end date format'),
+
+  query('format')
+    .optional()
+    .isIn(['json', 'csv', 'xlsx'])
+    .withMessage('Format must be json, csv, or xlsx')
+];
+
+const getStudentEligibilityValidation = [
+  query('academicYear')
+    .optional()
+    .isIn(['1', '2', '3', '4'])
+    .withMessage('Academic year must be 1, 2, 3, or 4'),
+
+  query('semester')
+    .optional()
+    .isIn(['1', '2'])
+    .withMessage('Semester must be 1 or 2')
+];
+
 // Routes
 router.get('/attendance-summary', authenticateToken, requireReportAccess, getAttendanceSummaryValidation, reportController.getAttendanceSummary);
 router.get('/detailed-attendance', authenticateToken, requireReportAccess, getDetailedReportValidation, reportController.getDetailedAttendanceReport);
 router.get('/analytics', authenticateToken, requireReportAccess, getAnalyticsValidation, reportController.getAttendanceAnalytics);
 router.get('/at-risk-students', authenticateToken, requireReportAccess, getAtRiskStudentsValidation, reportController.getAtRiskStudentsReport);
+router.get('/eligibility', authenticateToken, requireReportAccess, getEligibilityValidation, reportController.getEligibilityReport);
+router.get('/eligibility/students/:studentId', authenticateToken, requireReportAccess, getStudentEligibilityValidation, reportController.getStudentEligibility);
 router.get('/session-performance', authenticateToken, requireReportAccess, getSessionPerformanceValidation, reportController.getSessionPerformanceReport);
 router.get('/export', authenticateToken, requireReportAccess, exportDataValidation, reportController.exportAttendanceData);
 
@@ -0,0 +1,74 @@
+const express = require('express');
+const { body } = require('express-validator');
+const roomController = require('../controllers/roomController');
+const { authenticateToken } = require('../middlewares/authMiddleware');
+const { requireAdmin, requireFacultyOrAdmin } = require('../middlewares/roleMiddleware');
+
+const router = express.Router();
+
+// Validation middleware
+const createRoomValidation = [
+  body('building')
+    .trim()
+    .notEmpty()
+    .withMessage('Building is required')
+    .isLength({ max: 50 })
+    .withMessage('Building name cannot exceed 50 characters'),
+
+  body('roomNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Room number is required')
+    .isLength({ max: 20 })
+    .withMessage('Room number cannot exceed 20 characters'),
+
+  body('location.latitude')
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+
+  body('location.longitude')
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+
+  body('capacity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Capacity must be a positive integer')
+];
+
+const updateRoomValidation = [
+  body('building')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Building name must be between 1 and 50 characters'),
+
+  body('roomNumber')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 20 })
+    .withMessage('Room number must be between 1 and 20 characters'),
+
+  body('location.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+
+  body('location.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+
+  body('capacity')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Capacity must be a positive integer')
+];
+
+// Routes
+router.get('/', authenticateToken, requireFacultyOrAdmin, roomController.getRooms);
+router.post('/', authenticateToken, requireAdmin, createRoomValidation, roomController.createRoom);
+router.put('/:roomId', authenticateToken, requireAdmin, updateRoomValidation, roomController.updateRoom);
+router.delete('/:roomId', authenticateToken, requireAdmin, roomController.deleteRoom);
+
+module.exports = router;
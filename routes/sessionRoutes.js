@@ -62,6 +62,81 @@ const createSessionValidation = [
     .isLength({ max: 50 })
     .withMessage('Building name cannot exceed 50 characters'),
   
+  body('classroomLocation.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  
+  body('classroomLocation.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  
+  body('attendanceSettings.allowedLocationRadius')
+    .optional()
+    .isInt({ min: 1, max: 5000 })
+    .withMessage('Allowed location radius must be between 1 and 5000 meters'),
+  
+  body('attendanceSettings.maxLocationAccuracy')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Max location accuracy must be between 1 and 1000 meters'),
+  
+  body('attendanceSettings.locationPolicy')
+    .optional()
+    .isIn(['reject', 'flag'])
+    .withMessage('Location policy must be reject or flag'),
+  
+  body('attendanceSettings.allowLateEntry')
+    .optional()
+    .isBoolean()
+    .withMessage('Allow late entry must be a boolean'),
+  
+  body('attendanceSettings.lateEntryCutoff')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Late entry cutoff must be between 0 and 240 minutes'),
+  
+  body('attendanceSettings.entryOpensBefore')
+    .optional()
+    .isInt({ min: 0, max: 60 })
+    .withMessage('Entry window must open between 0 and 60 minutes before the start'),
+  
+  body('attendanceSettings.requireCheckout')
+    .optional()
+    .isBoolean()
+    .withMessage('Require checkout must be a boolean'),
+  
+  body('attendanceSettings.minimumPresencePercent')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Minimum presence must be between 0 and 100 percent'),
+  
+  body('attendanceSettings.autoApproveOnEnd')
+    .optional()
+    .isBoolean()
+    .withMessage('Auto approve on end must be a boolean'),
+  
+  body('attendanceSettings.requireBiometric')
+    .optional()
+    .isBoolean()
+    .withMessage('Require biometric must be a boolean'),
+  
+  body('attendanceSettings.biometricMinConfidence')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Biometric minimum confidence must be between 0 and 1'),
+  
+  body('attendanceSettings.autoStart')
+    .optional()
+    .isBoolean()
+    .withMessage('Auto start must be a boolean'),
+  
+  body('attendanceSettings.autoEnd')
+    .optional()
+    .isBoolean()
+    .withMessage('Auto end must be a boolean'),
+  
   body('sessionType')
     .optional()
     .isIn(['lecture', 'lab', 'tutorial', 'seminar', 'exam', 'other'])
@@ -75,10 +150,60 @@ const createSessionValidation = [
   body('maxCapacity')
     .optional()
     .isInt({ min: 1, max: 1000 })
-    .withMessage('Max capacity must be between 1 and 1000')
+    .withMessage('Max capacity must be between 1 and 1000'),
+  
+  body('isRecurring')
+    .optional()
+    .isBoolean()
+    .withMessage('Is recurring must be a boolean'),
+  
+  body('recurringPattern.frequency')
+    .if(body('isRecurring').equals('true'))
+    .isIn(['daily', 'weekly', 'monthly'])
+    .withMessage('Recurrence frequency must be daily, weekly or monthly'),
+  
+  body('recurringPattern.daysOfWeek')
+    .optional()
+    .isArray()
+    .withMessage('Recurrence days must be an array'),
+  
+  body('recurringPattern.daysOfWeek.*')
+    .isIn(['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'])
+    .withMessage('Invalid recurrence day'),
+  
+  body('recurringPattern.endDate')
+    .if(body('isRecurring').equals('true'))
+    .isISO8601()
+    .withMessage('Valid recurrence end date is required')
+    .custom((value, { req }) => {
+      const endDate = new Date(value);
+      const startTime = new Date(req.body.startTime);
+      if (endDate <= startTime) {
+        throw new Error('Recurrence end date must be after the start time');
+      }
+      if (endDate - startTime > 366 * 24 * 60 * 60 * 1000) {
+        throw new Error('A recurring series cannot span more than a year');
+      }
+      return true;
+    }),
+  
+  body('allowConflicts')
+    .optional()
+    .isBoolean()
+    .withMessage('Allow conflicts must be a boolean')
 ];
 
 const updateSessionValidation = [
+  body('scope')
+    .optional()
+    .isIn(['this', 'following', 'all'])
+    .withMessage('Scope must be this, following or all'),
+  
+  body('allowConflicts')
+    .optional()
+    .isBoolean()
+    .withMessage('Allow conflicts must be a boolean'),
+  
   body('title')
     .optional()
     .trim()
@@ -119,6 +244,81 @@ const updateSessionValidation = [
     .isLength({ max: 50 })
     .withMessage('Building name cannot exceed 50 characters'),
   
+  body('classroomLocation.latitude')
+    .optional()
+    .isFloat({ min: -90, max: 90 })
+    .withMessage('Latitude must be between -90 and 90'),
+  
+  body('classroomLocation.longitude')
+    .optional()
+    .isFloat({ min: -180, max: 180 })
+    .withMessage('Longitude must be between -180 and 180'),
+  
+  body('attendanceSettings.allowedLocationRadius')
+    .optional()
+    .isInt({ min: 1, max: 5000 })
+    .withMessage('Allowed location radius must be between 1 and 5000 meters'),
+  
+  body('attendanceSettings.maxLocationAccuracy')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Max location accuracy must be between 1 and 1000 meters'),
+  
+  body('attendanceSettings.locationPolicy')
+    .optional()
+    .isIn(['reject', 'flag'])
+    .withMessage('Location policy must be reject or flag'),
+  
+  body('attendanceSettings.allowLateEntry')
+    .optional()
+    .isBoolean()
+    .withMessage('Allow late entry must be a boolean'),
+  
+  body('attendanceSettings.lateEntryCutoff')
+    .optional({ nullable: true })
+    .isInt({ min: 0, max: 240 })
+    .withMessage('Late entry cutoff must be between 0 and 240 minutes'),
+  
+  body('attendanceSettings.entryOpensBefore')
+    .optional()
+    .isInt({ min: 0, max: 60 })
+    .withMessage('Entry window must open between 0 and 60 minutes before the start'),
+  
+  body('attendanceSettings.requireCheckout')
+    .optional()
+    .isBoolean()
+    .withMessage('Require checkout must be a boolean'),
+  
+  body('attendanceSettings.minimumPresencePercent')
+    .optional()
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Minimum presence must be between 0 and 100 percent'),
+  
+  body('attendanceSettings.autoApproveOnEnd')
+    .optional()
+    .isBoolean()
+    .withMessage('Auto approve on end must be a boolean'),
+  
+  body('attendanceSettings.requireBiometric')
+    .optional()
+    .isBoolean()
+    .withMessage('Require biometric must be a boolean'),
+  
+  body('attendanceSettings.biometricMinConfidence')
+    .optional({ nullable: true })
+    .isFloat({ min: 0, max: 1 })
+    .withMessage('Biometric minimum confidence must be between 0 and 1'),
+  
+  body('attendanceSettings.autoStart')
+    .optional()
+    .isBoolean()
+    .withMessage('Auto start must be a boolean'),
+  
+  body('attendanceSettings.autoEnd')
+    .optional()
+    .isBoolean()
+    .withMessage('Auto end must be a boolean'),
+  
   body('sessionType')
     .optional()
     .isIn(['lecture', 'lab', 'tutorial', 'seminar', 'exam', 'other'])
@@ -135,12 +335,192 @@ const updateSessionValidation = [
     .withMessage('Max capacity must be between 1 and 1000')
 ];
 
+const scheduleChangeValidation = () => [
+  body('reason')
+    .trim()
+    .isLength({ min: 3, max: 500 })
+    .withMessage('Reason must be between 3 and 500 characters'),
+  
+  body('notifyStudents')
+    .optional()
+    .isBoolean()
+    .withMessage('Notify students must be a boolean'),
+  
+  body('allowConflicts')
+    .optional()
+    .isBoolean()
+    .withMessage('Allow conflicts must be a boolean')
+];
+
+// A new slot (reschedule, or the optional make-up under makeUp.) must be in the future and end after it starts
+const futureSlotValidation = (prefix = '') => {
+  const field = (name) => prefix ? body(`${prefix}${name}`).if(body('makeUp').exists()) : body(name);
+
+  return [
+    field('startTime')
+      .isISO8601()
+      .withMessage('Valid start time is required')
+      .custom(value => {
+        if (new Date(value) <= new Date()) throw new Error('Start time must be in the future');
+        return true;
+      }),
+    
+    field('endTime')
+      .isISO8601()
+      .withMessage('Valid end time is required')
+      .custom((value, { req }) => {
+        const startTime = prefix ? (req.body.makeUp || {}).startTime : req.body.startTime;
+        if (new Date(value) <= new Date(startTime)) throw new Error('End time must be after start time');
+        return true;
+      }),
+    
+    field('location')
+      .optional()
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Location must be between 2 and 100 characters'),
+    
+    field('roomNumber')
+      .optional()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage('Room number cannot exceed 20 characters'),
+    
+    field('building')
+      .optional()
+      .trim()
+      .isLength({ max: 50 })
+      .withMessage('Building name cannot exceed 50 characters')
+  ];
+};
+
+const cancelSessionValidation = [
+  ...scheduleChangeValidation(),
+  
+  body('makeUp')
+    .optional()
+    .isObject()
+    .withMessage('Make-up session must be an object'),
+  
+  ...futureSlotValidation('makeUp.')
+];
+
+const postponeSessionValidation = scheduleChangeValidation();
+
+const rescheduleSessionValidation = [
+  ...scheduleChangeValidation(),
+  ...futureSlotValidation()
+];
+
+const cancelSeriesValidation = scheduleChangeValidation();
+
+const startSessionValidation = [
+  body('rotation.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Rotation enabled must be a boolean'),
+  
+  body('rotation.intervalSeconds')
+    .optional()
+    .isInt({ min: 5, max: 300 })
+    .withMessage('Rotation interval must be between 5 and 300 seconds'),
+  
+  body('nonce.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('Nonce enabled must be a boolean'),
+  
+  body('nonce.maxUses')
+    .optional()
+    .isInt({ min: 1, max: 1000 })
+    .withMessage('Max uses must be between 1 and 1000')
+];
+
+const endSessionValidation = [
+  body('autoApprove')
+    .optional()
+    .isBoolean()
+    .withMessage('Auto approve must be a boolean')
+];
+
+const qrFrameValidation = [
+  query('width')
+    .optional()
+    .isInt({ min: 100, max: 1000 })
+    .withMessage('Width must be between 100 and 1000 pixels')
+];
+
+const qrDownloadValidation = [
+  query('format')
+    .optional()
+    .isIn(['png', 'svg'])
+    .withMessage('Format must be png or svg'),
+  
+  query('width')
+    .optional()
+    .isInt({ min: 100, max: 2000 })
+    .withMessage('Width must be between 100 and 2000 pixels')
+];
+
+const qrPrintValidation = [
+  body('sessionIds')
+    .optional()
+    .isArray({ min: 1, max: 200 })
+    .withMessage('Session IDs must be a list of 1 to 200 sessions'),
+  
+  body('sessionIds.*')
+    .isMongoId()
+    .withMessage('Invalid session ID'),
+  
+  body('timetableId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid timetable ID'),
+  
+  body('startDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid start date format'),
+  
+  body('endDate')
+    .optional()
+    .isISO8601()
+    .withMessage('Invalid end date format')
+];
+
+const scanStudentValidation = [
+  body('qrCodeData')
+    .notEmpty()
+    .withMessage('QR code data is required')
+];
+
 const addStudentValidation = [
   body('studentId')
     .isMongoId()
     .withMessage('Valid student ID is required')
 ];
 
+const scheduleConflictsValidation = [
+  query('startDate')
+    .isISO8601()
+    .withMessage('Valid start date is required'),
+  
+  query('endDate')
+    .isISO8601()
+    .withMessage('Valid end date is required')
+    .custom((value, { req }) => {
+      const range = new Date(value) - new Date(req.query.startDate);
+      if (range <= 0) throw new Error('End date must be after start date');
+      if (range > 366 * 24 * 60 * 60 * 1000) throw new Error('Date range cannot exceed a year');
+      return true;
+    }),
+  
+  query('facultyId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid faculty ID')
+];
+
 const getSessionsValidation = [
   query('page')
     .optional()
@@ -181,13 +561,26 @@ const getSessionsValidation = [
 // Routes
 router.post('/', authenticateToken, requireFacultyOrAdmin, createSessionValidation, sessionController.createSession);
 router.get('/', authenticateToken, getSessionsValidation, sessionController.getSessions);
+router.get('/conflicts', authenticateToken, requireFacultyOrAdmin, scheduleConflictsValidation, sessionController.getScheduleConflicts);
+router.post('/qr/print', authenticateToken, requireFacultyOrAdmin, qrPrintValidation, sessionController.printSessionQRSheets);
 router.get('/:sessionId', authenticateToken, requireSessionAccess, sessionController.getSessionById);
 router.put('/:sessionId', authenticateToken, requireFacultyOrAdmin, updateSessionValidation, sessionController.updateSession);
 router.delete('/:sessionId', authenticateToken, requireFacultyOrAdmin, sessionController.deleteSession);
-router.post('/:sessionId/start', authenticateToken, requireFacultyOrAdmin, sessionController.startSession);
-router.post('/:sessionId/end', authenticateToken, requireFacultyOrAdmin, sessionController.endSession);
+router.post('/:sessionId/start', authenticateToken, requireFacultyOrAdmin, startSessionValidation, sessionController.startSession);
+router.get('/:sessionId/qr/current', authenticateToken, requireFacultyOrAdmin, qrFrameValidation, sessionController.getCurrentQRFrame);
+router.get('/:sessionId/qr/checkout', authenticateToken, requireFacultyOrAdmin, qrFrameValidation, sessionController.getCheckoutQR);
+router.get('/:sessionId/qr/download', authenticateToken, requireFacultyOrAdmin, qrDownloadValidation, sessionController.downloadSessionQR);
+router.get('/:sessionId/qr-codes', authenticateToken, requireFacultyOrAdmin, sessionController.getSessionQRCodes);
+router.post('/:sessionId/scan-student', authenticateToken, requireFacultyOrAdmin, scanStudentValidation, sessionController.scanStudentQR);
+router.post('/:sessionId/end', authenticateToken, requireFacultyOrAdmin, endSessionValidation, sessionController.endSession);
+router.post('/:sessionId/finalize', authenticateToken, requireFacultyOrAdmin, endSessionValidation, sessionController.finalizeSessionAttendance);
 router.post('/:sessionId/add-student', authenticateToken, requireFacultyOrAdmin, addStudentValidation, sessionController.addStudentToSession);
 router.post('/:sessionId/remove-student', authenticateToken, requireFacultyOrAdmin, addStudentValidation, sessionController.removeStudentFromSession);
 router.get('/:sessionId/attendance', authenticateToken, requireSessionAccess, sessionController.getSessionAttendance);
+router.post('/:sessionId/cancel', authenticateToken, requireFacultyOrAdmin, cancelSessionValidation, sessionController.cancelSession);
+router.post('/:sessionId/postpone', authenticateToken, requireFacultyOrAdmin, postponeSessionValidation, sessionController.postponeSession);
+router.post('/:sessionId/reschedule', authenticateToken, requireFacultyOrAdmin, rescheduleSessionValidation, sessionController.rescheduleSession);
+router.get('/:sessionId/series', authenticateToken, requireSessionAccess, sessionController.getSessionSeries);
+router.post('/:sessionId/series/cancel', authenticateToken, requireFacultyOrAdmin, cancelSeriesValidation, sessionController.cancelSessionSeries);
 
 module.exports = router;
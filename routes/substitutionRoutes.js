@@ -0,0 +1,71 @@
+const express = require('express');
+const { body, query } = require('express-validator');
+const substitutionController = require('../controllers/substitutionController');
+const { authenticateToken } = require('../middlewares/authMiddleware');
+const { requireFacultyOrAdmin } = require('../middlewares/roleMiddleware');
+
+const router = express.Router();
+
+// Validation middleware
+const assignSubstituteValidation = [
+  body('substitute')
+    .isMongoId()
+    .withMessage('Valid substitute faculty ID is required'),
+
+  body('sessionId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid session ID'),
+
+  body('originalFaculty')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid original faculty ID'),
+
+  // Without a session, the substitution covers a date range
+  body('startDate')
+    .if(body('sessionId').not().exists())
+    .isISO8601()
+    .withMessage('Provide a sessionId or a valid start date'),
+
+  body('endDate')
+    .if(body('sessionId').not().exists())
+    .isISO8601()
+    .withMessage('Provide a sessionId or a valid end date')
+    .custom((value, { req }) => {
+      const range = new Date(value) - new Date(req.body.startDate);
+      if (range < 0) throw new Error('End date must be after start date');
+      if (range > 366 * 24 * 60 * 60 * 1000) throw new Error('Date range cannot exceed a year');
+      return true;
+    }),
+
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  body('allowConflicts')
+    .optional()
+    .isBoolean()
+    .withMessage('Allow conflicts must be a boolean')
+];
+
+const getSubstitutionsValidation = [
+  query('status')
+    .optional()
+    .isIn(['active', 'revoked'])
+    .withMessage('Invalid status filter'),
+
+  query('facultyId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid faculty ID')
+];
+
+// Routes
+router.get('/', authenticateToken, requireFacultyOrAdmin, getSubstitutionsValidation, substitutionController.getSubstitutions);
+router.post('/', authenticateToken, requireFacultyOrAdmin, assignSubstituteValidation, substitutionController.assignSubstitute);
+router.post('/:substitutionId/revoke', authenticateToken, requireFacultyOrAdmin, substitutionController.revokeSubstitution);
+
+module.exports = router;
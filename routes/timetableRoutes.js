@@ -25,7 +25,8 @@ const createTimetableValidation = [
   body('schedule.*.subject').notEmpty().withMessage('Subject is required'),
   body('schedule.*.courseCode').notEmpty().withMessage('Course code is required'),
   body('schedule.*.faculty').isMongoId().withMessage('Valid faculty ID is required'),
-  body('schedule.*.location').notEmpty().withMessage('Location is required')
+  body('schedule.*.location').notEmpty().withMessage('Location is required'),
+  body('allowConflicts').optional().isBoolean().withMessage('Allow conflicts must be a boolean')
 ];
 
 const updateTimetableValidation = [
@@ -46,7 +47,12 @@ const updateTimetableValidation = [
   body('schedule.*.subject').optional().notEmpty().withMessage('Subject cannot be empty'),
   body('schedule.*.courseCode').optional().notEmpty().withMessage('Course code cannot be empty'),
   body('schedule.*.faculty').optional().isMongoId().withMessage('Valid faculty ID is required'),
-  body('schedule.*.location').optional().notEmpty().withMessage('Location cannot be empty')
+  body('schedule.*.location').optional().notEmpty().withMessage('Location cannot be empty'),
+  body('allowConflicts').optional().isBoolean().withMessage('Allow conflicts must be a boolean')
+];
+
+const generateSessionsValidation = [
+  body('allowConflicts').optional().isBoolean().withMessage('Allow conflicts must be a boolean')
 ];
 
 // Routes
@@ -91,6 +97,7 @@ router.delete('/:timetableId',
 router.post('/:timetableId/generate-sessions', 
   authenticateToken,
   requireAdmin,
+  generateSessionsValidation,
   timetableController.generateSessions
 );
 
@@ -5,22 +5,32 @@ const connectDB = require('../config/db');
 const EmailService = require('../utils/emailService');
 const User = require('../models/User');
 const Attendance = require('../models/Attendance');
+const Department = require('../models/Department');
+const analyticsUtils = require('../utils/analyticsUtils');
 
 async function sendMonthlyReports(cutoffDate = new Date()) {
   await connectDB();
 
   // For each active user (students and faculty), compile attendance summary up to cutoffDate
-  const users = await User.find({ isActive: true }).select('email firstName lastName role');
+  const users = await User.find({ isActive: true }).select('email firstName lastName role department');
 
   for (const user of users) {
     try {
       let summary = {};
       if (user.role === 'student') {
         // student attendance summary
-        const total = await Attendance.countDocuments({ student: user._id, isActive: true, checkInTime: { $lte: cutoffDate } });
-        const present = await Attendance.countDocuments({ student: user._id, status: 'present', isActive: true, checkInTime: { $lte: cutoffDate } });
-        const absent = total - present;
-        summary = { total, present, absent };
+        const records = await Attendance.find({ student: user._id, isActive: true, checkInTime: { $lte: cutoffDate } }).select('status checkInTime');
+        const weights = await Department.getStatusWeights(user.department);
+        const stats = analyticsUtils.calculateStudentAttendanceStats(records, { weights });
+        summary = {
+          total: stats.totalSessions,
+          present: stats.present,
+          late: stats.late,
+          partial: stats.partial,
+          excused: stats.excused,
+          absent: stats.absent,
+          attendancePercentage: stats.effectivePercentage
+        };
       } else if (user.role === 'faculty') {
         // faculty: sessions and attendance handled
         const totalSessions = await Attendance.countDocuments({ 'session.faculty': user._id, isActive: true, checkInTime: { $lte: cutoffDate } });
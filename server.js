@@ -12,6 +12,7 @@ process.env.RATE_LIMIT_MAX_REQUESTS = process.env.RATE_LIMIT_MAX_REQUESTS || '10
 
 const connectDB = require('./config/db');
 const errorHandler = require('./middlewares/errorHandler');
+const sessionScheduler = require('./utils/sessionScheduler');
 
 // Import routes
 const authRoutes = require('./routes/authRoutes');
@@ -23,6 +24,12 @@ const timetableRoutes = require('./routes/timetableRoutes');
 const academicYearRoutes = require('./routes/academicYearRoutes');
 const departmentRoutes = require('./routes/departmentRoutes');
 const adminRoutes = require('./routes/adminRoutes');
+const roomRoutes = require('./routes/roomRoutes');
+const leaveRequestRoutes = require('./routes/leaveRequestRoutes');
+const appealRoutes = require('./routes/appealRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const condonationRoutes = require('./routes/condonationRoutes');
+const substitutionRoutes = require('./routes/substitutionRoutes');
 
 const app = express();
 
@@ -92,6 +99,12 @@ app.use('/api/timetables', timetableRoutes);
 app.use('/api/academic-years', academicYearRoutes);
 app.use('/api/departments', departmentRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/rooms', roomRoutes);
+app.use('/api/leave-requests', leaveRequestRoutes);
+app.use('/api/appeals', appealRoutes);
+app.use('/api/audit-logs', auditRoutes);
+app.use('/api/condonations', condonationRoutes);
+app.use('/api/substitutions', substitutionRoutes);
 
 // 404 handler
 app.use('*', (req, res) => {
@@ -110,11 +123,17 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV}`);
   console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
+
+  // Auto start/end sessions; the first run catches up on anything missed while the server was down
+  if (sessionScheduler.start()) {
+    console.log('⏰ Session scheduler running');
+  }
 });
 
 // Handle unhandled promise rejections
 process.on('unhandledRejection', (err, promise) => {
   console.log(`❌ Unhandled Rejection: ${err.message}`);
+  sessionScheduler.stop();
   server.close(() => {
     process.exit(1);
   });
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const AttendanceAppeal = require('../../models/AttendanceAppeal');
+const Session = require('../../models/Session');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+describe('AttendanceAppeal access', () => {
+  const faculty = { _id: objectId(), role: 'faculty' };
+  const substitute = { _id: objectId(), role: 'faculty' };
+  const outsider = { _id: objectId(), role: 'faculty' };
+  let appeal;
+
+  beforeEach(() => {
+    const session = new Session({ faculty: faculty._id, substituteFaculty: substitute._id });
+    appeal = new AttendanceAppeal({
+      attendance: objectId(),
+      session: session._id,
+      student: objectId(),
+      faculty: faculty._id,
+      requestedStatus: 'present',
+      dueAt: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    jest.spyOn(Session, 'findById').mockImplementation(() => ({ select: () => Promise.resolve(session) }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets the substitute who taught the session view and decide the appeal', async () => {
+    await expect(appeal.canBeViewedBy(substitute)).resolves.toBe(true);
+    await expect(appeal.canBeDecidedBy(substitute)).resolves.toBe(true);
+  });
+
+  it('still lets the scheduled faculty decide without loading the session', async () => {
+    await expect(appeal.canBeDecidedBy(faculty)).resolves.toBe(true);
+    expect(Session.findById).not.toHaveBeenCalled();
+  });
+
+  it('refuses faculty who do not teach the session', async () => {
+    await expect(appeal.canBeViewedBy(outsider)).resolves.toBe(false);
+    await expect(appeal.canBeDecidedBy(outsider)).resolves.toBe(false);
+  });
+
+  it('stops the substitute deciding once the response deadline has passed', async () => {
+    appeal.dueAt = new Date(Date.now() - 1000);
+    await expect(appeal.canBeDecidedBy(substitute)).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const QRCodeLog = require('../../models/QRCodeLog');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const nonceLog = (overrides = {}) => new QRCodeLog({
+  code: 'NONCE_ABC',
+  session: objectId(),
+  generatedBy: objectId(),
+  settings: { expiresAt: new Date(Date.now() + 60 * 1000), maxUses: 1 },
+  ...overrides
+});
+
+describe('QRCodeLog single-use codes', () => {
+  beforeEach(() => {
+    jest.spyOn(QRCodeLog.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('is exhausted once the scans reach maxUses', () => {
+    const log = nonceLog();
+    expect(log.isValid).toBe(true);
+    expect(log.remainingUses).toBe(1);
+
+    log.usage.totalScans = 1;
+
+    expect(log.isExhausted).toBe(true);
+    expect(log.isValid).toBe(false);
+    expect(log.remainingUses).toBe(0);
+  });
+
+  it('never exhausts codes without maxUses', () => {
+    const log = nonceLog({ settings: { expiresAt: new Date(Date.now() + 60 * 1000) } });
+    log.usage.totalScans = 500;
+
+    expect(log.isExhausted).toBe(false);
+    expect(log.remainingUses).toBeNull();
+  });
+
+  it('consumes a use only of an active, unexpired code with uses left', async () => {
+    const sessionId = objectId();
+    const findOneAndUpdate = jest.spyOn(QRCodeLog, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const result = await QRCodeLog.consumeNonce('NONCE_ABC', sessionId, { scannedBy: objectId() });
+
+    expect(result).toBeNull();
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ code: 'NONCE_ABC', session: sessionId, status: 'active', 'settings.isActive': true });
+    expect(filter['settings.expiresAt'].$gt).toBeInstanceOf(Date);
+    expect(filter.$expr.$or).toContainEqual({ $lt: ['$usage.totalScans', '$settings.maxUses'] });
+    expect(update.$inc).toEqual({ 'usage.totalScans': 1 });
+  });
+
+  it('counts unique scanners on the consumed code', async () => {
+    const studentId = objectId();
+    const consumed = nonceLog();
+    consumed.usage.totalScans = 1;
+    consumed.scans.push({ scannedBy: studentId });
+    jest.spyOn(QRCodeLog, 'findOneAndUpdate').mockResolvedValue(consumed);
+
+    const result = await QRCodeLog.consumeNonce('NONCE_ABC', consumed.session, { scannedBy: studentId });
+
+    expect(result).toBe(consumed);
+    expect(result.usage.uniqueScans).toBe(1);
+    expect(QRCodeLog.prototype.save).toHaveBeenCalled();
+  });
+
+  it('gives back the use of a scan whose attendance was not recorded', async () => {
+    const studentId = objectId();
+    const consumed = nonceLog();
+    consumed.usage.totalScans = 1;
+    consumed.scans.push({ scannedBy: objectId() }, { scannedBy: studentId });
+    consumed.status = 'exhausted';
+    const scanId = consumed.scans[1]._id;
+
+    const released = nonceLog({ _id: consumed._id, status: 'exhausted' });
+    released.scans.push(consumed.scans[0].toObject());
+    const findOneAndUpdate = jest.spyOn(QRCodeLog, 'findOneAndUpdate').mockResolvedValue(released);
+
+    const result = await consumed.releaseNonceUse(studentId);
+
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: consumed._id, 'scans._id': scanId });
+    expect(update).toEqual({ $inc: { 'usage.totalScans': -1 }, $pull: { scans: { _id: scanId } } });
+    expect(result.status).toBe('active');
+    expect(result.usage.uniqueScans).toBe(1);
+  });
+
+  it('does nothing when the student has no scan on the code', async () => {
+    const findOneAndUpdate = jest.spyOn(QRCodeLog, 'findOneAndUpdate');
+
+    expect(await nonceLog().releaseNonceUse(objectId())).toBeNull();
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,214 @@
+const mongoose = require('mongoose');
+const Session = require('../../models/Session');
+const Attendance = require('../../models/Attendance');
+const LeaveRequest = require('../../models/LeaveRequest');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+const buildSession = (attendanceSettings = {}, studentIds = []) => new Session({
+  title: 'Data Structures',
+  subject: 'Computer Science',
+  courseCode: 'CS201',
+  faculty: objectId(),
+  startTime: new Date('2026-03-02T09:00:00Z'),
+  endTime: new Date('2026-03-02T10:00:00Z'),
+  location: 'Main Block',
+  academicYear: '2025-2026',
+  semester: 4,
+  status: 'completed',
+  enrolledStudents: studentIds.map(student => ({ student })),
+  attendanceSettings
+});
+
+describe('Session#finalizeAttendance', () => {
+  let recorded;
+  let leaves;
+  let approvedCount;
+
+  beforeEach(() => {
+    recorded = [];
+    leaves = [];
+    approvedCount = 0;
+
+    jest.spyOn(Session.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Attendance, 'updateManyWithRevisions').mockResolvedValue({ matchedCount: 2, modifiedCount: 2 });
+    jest.spyOn(Attendance, 'find').mockImplementation(() => ({ distinct: jest.fn().mockResolvedValue(recorded) }));
+    jest.spyOn(Attendance, 'insertMany').mockImplementation(records => Promise.resolve(records.map(item => ({ _id: objectId(), ...item }))));
+    jest.spyOn(Attendance, 'recordCreatedRevisions').mockResolvedValue([]);
+    jest.spyOn(Attendance, 'countDocuments').mockImplementation(() => ({ session: () => Promise.resolve(approvedCount) }));
+    jest.spyOn(LeaveRequest, 'find').mockImplementation(() => Promise.resolve(leaves));
+    jest.spyOn(LeaveRequest, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('marks enrolled students without a record absent, or excused when on approved leave', async () => {
+    const [present, absent, onLeave] = [objectId(), objectId(), objectId()];
+    const session = buildSession({}, [present, absent, onLeave]);
+    const leave = { _id: objectId(), student: onLeave };
+    recorded = [present];
+    leaves = [leave];
+    approvedCount = 1;
+
+    const result = await session.finalizeAttendance(session.faculty);
+
+    const [inserted] = Attendance.insertMany.mock.calls[0];
+    expect(inserted).toHaveLength(2);
+    expect(inserted.find(item => item.student === absent)).toMatchObject({ status: 'absent', isApproved: true, checkInTime: session.startTime });
+    expect(inserted.find(item => item.student === onLeave)).toMatchObject({ status: 'excused', isApproved: true });
+
+    expect(LeaveRequest.find.mock.calls[0][0]).toMatchObject({ student: { $in: [absent, onLeave] }, status: 'approved' });
+    expect(LeaveRequest.updateOne).toHaveBeenCalledWith(
+      { _id: leave._id },
+      { $addToSet: { excusedAttendance: expect.anything(), sessions: session._id } }
+    );
+
+    expect(result).toMatchObject({ enrolled: 3, absentMarked: 1, excusedMarked: 1, autoApproved: 0, checkout: null, currentAttendance: 1 });
+    expect(session.attendanceFinalizedAt).toBeInstanceOf(Date);
+    expect(session.currentAttendance).toBe(1);
+  });
+
+  it('counts only approved present and late records', async () => {
+    const session = buildSession({}, []);
+
+    await session.finalizeAttendance(null);
+
+    expect(Attendance.countDocuments).toHaveBeenCalledWith({
+      session: session._id,
+      status: { $in: ['present', 'late'] },
+      isApproved: true,
+      isActive: true
+    });
+  });
+
+  it('creates nothing when every enrolled student has a record', async () => {
+    const students = [objectId(), objectId()];
+    const session = buildSession({}, students);
+    recorded = students;
+
+    const result = await session.finalizeAttendance(null);
+
+    expect(Attendance.insertMany).not.toHaveBeenCalled();
+    expect(LeaveRequest.find).not.toHaveBeenCalled();
+    expect(result).toMatchObject({ absentMarked: 0, excusedMarked: 0 });
+  });
+
+  it('leaves pending submissions alone unless auto-approve is on', async () => {
+    await buildSession().finalizeAttendance(null);
+
+    expect(Attendance.updateManyWithRevisions).not.toHaveBeenCalled();
+  });
+
+  it('auto-approves pending submissions except those flagged for review', async () => {
+    const session = buildSession({ autoApproveOnEnd: true });
+
+    const result = await session.finalizeAttendance(null);
+
+    const [filter, update] = Attendance.updateManyWithRevisions.mock.calls[0];
+    expect(filter).toEqual({
+      session: session._id,
+      'qrSubmission.isPendingApproval': true,
+      isApproved: false,
+      isProxy: { $ne: true },
+      'locationVerification.flagged': { $ne: true }
+    });
+    expect(update.$set).toMatchObject({ isApproved: true, 'qrSubmission.isPendingApproval': false });
+    expect(update.$set).not.toHaveProperty('status');
+    expect(result.autoApproved).toBe(2);
+  });
+
+  it('only auto-approves biometrically confirmed submissions when the session requires it', async () => {
+    await buildSession({ autoApproveOnEnd: true, requireBiometric: true }).finalizeAttendance(null);
+
+    expect(Attendance.updateManyWithRevisions.mock.calls[0][0]).toMatchObject({ 'biometricData.verified': true });
+  });
+
+  it('lets the caller override the session auto-approve setting', async () => {
+    await buildSession({ autoApproveOnEnd: true }).finalizeAttendance(null, { autoApprove: false });
+
+    expect(Attendance.updateManyWithRevisions).not.toHaveBeenCalled();
+  });
+
+  it('keeps the records that inserted when a student was marked concurrently', async () => {
+    const [first, second] = [objectId(), objectId()];
+    const session = buildSession({}, [first, second]);
+    const insertedDoc = { _id: objectId(), student: second, status: 'absent' };
+    const error = Object.assign(new Error('E11000 duplicate key'), {
+      writeErrors: [{ code: 11000 }],
+      insertedDocs: [insertedDoc]
+    });
+    Attendance.insertMany.mockRejectedValue(error);
+
+    const result = await session.finalizeAttendance(null);
+
+    expect(Attendance.recordCreatedRevisions).toHaveBeenCalledWith([insertedDoc], expect.objectContaining({ source: 'session.finalize' }));
+    expect(result.absentMarked).toBe(1);
+  });
+
+  it('rethrows insert failures other than duplicates', async () => {
+    const session = buildSession({}, [objectId()]);
+    Attendance.insertMany.mockRejectedValue(Object.assign(new Error('connection lost'), { code: 6 }));
+
+    await expect(session.finalizeAttendance(null)).rejects.toThrow('connection lost');
+    expect(session.attendanceFinalizedAt).toBeFalsy();
+  });
+});
+
+describe('Session#applyCheckoutPolicy', () => {
+  const startTime = new Date('2026-03-02T09:00:00Z');
+  const minutesIn = (minutes) => new Date(startTime.getTime() + minutes * 60 * 1000);
+
+  const qrRecord = (checkOutTime, status = 'present') => new Attendance({
+    student: objectId(),
+    session: objectId(),
+    status,
+    checkInTime: minutesIn(0),
+    checkOutTime,
+    academicYear: '2025-2026',
+    semester: 4,
+    qrCodeData: { code: 'QR_1', qrCodeLog: objectId() }
+  });
+
+  beforeEach(() => {
+    jest.spyOn(Attendance.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only evaluates records submitted by scanning a session QR code', async () => {
+    const session = buildSession({ requireCheckout: true });
+    jest.spyOn(Attendance, 'find').mockResolvedValue([]);
+
+    await session.applyCheckoutPolicy();
+
+    expect(Attendance.find).toHaveBeenCalledWith({
+      session: session._id,
+      status: { $in: ['present', 'late'] },
+      'qrCodeData.qrCodeLog': { $exists: true },
+      'presence.evaluatedAt': { $exists: false }
+    });
+  });
+
+  it('marks missing checkouts absent and short stays partial', async () => {
+    const session = buildSession({ requireCheckout: true, minimumPresencePercent: 75 });
+    const stayed = qrRecord(minutesIn(50));
+    const leftEarly = qrRecord(minutesIn(30), 'late');
+    const noCheckout = qrRecord(null);
+    jest.spyOn(Attendance, 'find').mockResolvedValue([stayed, leftEarly, noCheckout]);
+
+    const result = await session.applyCheckoutPolicy();
+
+    expect(result).toEqual({ requiredPercent: 75, met: 1, partial: 1, missingCheckout: 1 });
+    expect(stayed.status).toBe('present');
+    expect(leftEarly).toMatchObject({ status: 'partial', presence: { outcome: 'below_minimum', percent: 50, previousStatus: 'late' } });
+    expect(noCheckout).toMatchObject({ status: 'absent', presence: { outcome: 'missing_checkout' } });
+  });
+});
@@ -0,0 +1,101 @@
+const analyticsUtils = require('../../utils/analyticsUtils');
+const { DEFAULT_ELIGIBILITY_RULES } = require('../../config/attendance');
+
+const record = (courseCode, status, subject = `Subject ${courseCode}`) => ({
+  status,
+  session: { courseCode, subject }
+});
+
+const records = (courseCode, counts) => Object.entries(counts)
+  .flatMap(([status, count]) => Array.from({ length: count }, () => record(courseCode, status)));
+
+describe('analyticsUtils.classifyEligibility', () => {
+  it('classifies against the minimum and condonation thresholds', () => {
+    expect(analyticsUtils.classifyEligibility(75)).toBe('eligible');
+    expect(analyticsUtils.classifyEligibility(74.99)).toBe('condonable');
+    expect(analyticsUtils.classifyEligibility(65)).toBe('condonable');
+    expect(analyticsUtils.classifyEligibility(64.99)).toBe('detained');
+  });
+
+  it('uses department rules when given', () => {
+    const rules = { ...DEFAULT_ELIGIBILITY_RULES, minimumPercentage: 80, condonationMinimum: 70 };
+
+    expect(analyticsUtils.classifyEligibility(78, rules)).toBe('condonable');
+    expect(analyticsUtils.classifyEligibility(69, rules)).toBe('detained');
+  });
+});
+
+describe('analyticsUtils.calculateSubjectEligibility', () => {
+  it('groups records by course code and sorts the subjects', () => {
+    const result = analyticsUtils.calculateSubjectEligibility([
+      ...records('CS201', { present: 4 }),
+      ...records('CS101', { present: 1, absent: 1 })
+    ]);
+
+    expect(result.map(subject => subject.courseCode)).toEqual(['CS101', 'CS201']);
+    expect(result[1]).toMatchObject({ subject: 'Subject CS201', totalSessions: 4, percentage: 100, status: 'eligible', shortfall: 0 });
+    expect(result[0]).toMatchObject({ percentage: 50, status: 'detained', shortfall: 25 });
+  });
+
+  it('weights late arrivals and leaves excused sessions out of the percentage', () => {
+    const [subject] = analyticsUtils.calculateSubjectEligibility(records('CS101', { present: 6, late: 2, excused: 2, absent: 2 }));
+
+    // 6 + 2 * 0.5 attended out of 10 counted sessions
+    expect(subject).toMatchObject({ totalSessions: 12, countedSessions: 10, attended: 7, percentage: 70, status: 'condonable' });
+  });
+
+  it('applies department weights', () => {
+    const weights = { present: 1, late: 1, partial: 0.5, excused: 1, absent: 0 };
+
+    const [subject] = analyticsUtils.calculateSubjectEligibility(
+      records('CS101', { present: 6, late: 2, excused: 2, absent: 2 }),
+      { weights }
+    );
+
+    expect(subject).toMatchObject({ countedSessions: 12, attended: 10, percentage: 83.33, status: 'eligible' });
+  });
+
+  it('does not round a percentage just below the minimum up to it', () => {
+    // 44 / 59 = 74.576%, which would round to 75
+    const [subject] = analyticsUtils.calculateSubjectEligibility(records('CS101', { present: 44, absent: 15 }));
+
+    expect(subject.percentage).toBe(74.57);
+    expect(subject.status).toBe('condonable');
+    expect(subject.shortfall).toBe(0.43);
+  });
+
+  it('makes a condonable subject eligible once its condonation is approved', () => {
+    const condonation = { _id: 'c1', status: 'approved', ground: 'medical' };
+
+    const [subject] = analyticsUtils.calculateSubjectEligibility(
+      records('CS101', { present: 7, absent: 3 }),
+      { condonations: new Map([['CS101', condonation]]) }
+    );
+
+    expect(subject).toMatchObject({
+      percentage: 70,
+      status: 'eligible',
+      basis: 'condonation',
+      condonation: { id: 'c1', status: 'approved', ground: 'medical' }
+    });
+  });
+
+  it('does not let a condonation lift a detained subject, or count a pending one', () => {
+    const approved = { _id: 'c1', status: 'approved', ground: 'medical' };
+    const pending = { _id: 'c2', status: 'pending', ground: 'payment' };
+
+    const result = analyticsUtils.calculateSubjectEligibility(
+      [...records('CS101', { present: 1, absent: 3 }), ...records('CS102', { present: 7, absent: 3 })],
+      { condonations: new Map([['CS101', approved], ['CS102', pending]]) }
+    );
+
+    expect(result[0]).toMatchObject({ status: 'detained', basis: 'attendance' });
+    expect(result[1]).toMatchObject({ status: 'condonable', basis: 'attendance', condonation: { status: 'pending' } });
+  });
+
+  it('ignores records without a session course code', () => {
+    const result = analyticsUtils.calculateSubjectEligibility([{ status: 'present', session: null }, { status: 'present', session: {} }]);
+
+    expect(result).toEqual([]);
+  });
+});
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+const { canonicalize } = require('../../utils/canonicalJson');
+
+describe('canonicalize', () => {
+  it('sorts object keys at every level and drops undefined fields', () => {
+    expect(canonicalize({ b: 1, a: { d: [{ y: 2, x: 1 }], c: undefined } }))
+      .toBe('{"a":{"d":[{"x":1,"y":2}]},"b":1}');
+  });
+
+  it('serializes ObjectIds and Dates as the strings a client reads back', () => {
+    const id = new mongoose.Types.ObjectId();
+    const startTime = new Date('2026-03-02T09:00:00Z');
+    const value = { sessionId: id, startTime };
+
+    expect(canonicalize(value)).toBe(`{"sessionId":"${id}","startTime":"2026-03-02T09:00:00.000Z"}`);
+    expect(canonicalize(value)).toBe(canonicalize(JSON.parse(JSON.stringify(value))));
+  });
+
+  it('handles primitives and empty values', () => {
+    expect(canonicalize('text')).toBe('"text"');
+    expect(canonicalize(null)).toBe('null');
+    expect(canonicalize(undefined)).toBe('null');
+    expect(canonicalize([1, undefined])).toBe('[1,null]');
+  });
+});
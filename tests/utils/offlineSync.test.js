@@ -0,0 +1,59 @@
+const offlineSync = require('../../utils/offlineSync');
+
+describe('offlineSync bundle signing', () => {
+  const originalSecret = process.env.OFFLINE_SYNC_SECRET;
+  const user = { _id: '64b000000000000000000001', offlineSyncKeyVersion: 2 };
+
+  beforeAll(() => {
+    process.env.OFFLINE_SYNC_SECRET = 'offline-test-secret';
+  });
+
+  afterAll(() => {
+    if (originalSecret === undefined) delete process.env.OFFLINE_SYNC_SECRET;
+    else process.env.OFFLINE_SYNC_SECRET = originalSecret;
+  });
+
+  const signedBundle = () => {
+    const bundle = {
+      deviceId: 'tablet-1',
+      idempotencyKey: 'batch-1',
+      keyVersion: 2,
+      createdAt: '2026-03-02T09:30:00.000Z',
+      records: [{ clientId: 'm1', sessionId: 's1', studentId: 'u1', status: 'present', markedAt: '2026-03-02T09:05:00.000Z' }]
+    };
+    bundle.signature = offlineSync.signBundle(bundle, offlineSync.deriveKey(user._id, user.offlineSyncKeyVersion));
+    return bundle;
+  };
+
+  it('accepts a bundle signed with the current key', () => {
+    expect(offlineSync.verifyBundle(signedBundle(), user)).toEqual({ valid: true });
+  });
+
+  it('rejects a bundle whose records were changed after signing', () => {
+    const bundle = signedBundle();
+    bundle.records[0].status = 'late';
+
+    expect(offlineSync.verifyBundle(bundle, user)).toEqual({ valid: false, error: 'Invalid bundle signature' });
+  });
+
+  it('rejects bundles signed with a revoked key version', () => {
+    const bundle = signedBundle();
+
+    const result = offlineSync.verifyBundle(bundle, { ...user, offlineSyncKeyVersion: 3 });
+
+    expect(result).toEqual({ valid: false, error: 'Bundle was signed with a revoked sync key' });
+  });
+
+  it('derives a different key per user and version', () => {
+    expect(offlineSync.deriveKey(user._id, 1)).not.toBe(offlineSync.deriveKey(user._id, 2));
+    expect(offlineSync.deriveKey(user._id, 2)).not.toBe(offlineSync.deriveKey('64b000000000000000000002', 2));
+  });
+
+  it('hashes the signed content only, so a retried bundle matches', () => {
+    const bundle = signedBundle();
+    const retry = { ...bundle, signature: 'different' };
+
+    expect(offlineSync.hashBundle(retry)).toBe(offlineSync.hashBundle(bundle));
+    expect(offlineSync.hashBundle({ ...bundle, idempotencyKey: 'batch-2' })).not.toBe(offlineSync.hashBundle(bundle));
+  });
+});
@@ -0,0 +1,197 @@
+const mongoose = require('mongoose');
+const qrCodeGenerator = require('../../utils/qrCodeGenerator');
+
+describe('qrCodeGenerator signing', () => {
+  const originalEnv = { ...process.env };
+
+  beforeEach(() => {
+    process.env.QR_SIGNING_KEYS = 'k1:first-secret,k2:second-secret';
+    process.env.QR_SIGNING_KEY_ID = 'k1';
+    delete process.env.QR_LEGACY_CUTOVER;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  const signedPayload = () => qrCodeGenerator.signPayload({
+    sessionId: '64b000000000000000000001',
+    type: 'attendance_session',
+    timestamp: new Date().toISOString(),
+    location: { building: 'Main', room: '101', coordinates: { latitude: 17.4, longitude: 78.5 } }
+  });
+
+  it('accepts an untouched signed payload', () => {
+    const payload = signedPayload();
+
+    const result = qrCodeGenerator.validateQRData(JSON.stringify(payload));
+
+    expect(result.valid).toBe(true);
+    expect(result.legacy).toBe(false);
+    expect(payload.kid).toBe('k1');
+  });
+
+  it('does not depend on key order', () => {
+    const payload = signedPayload();
+    const reordered = Object.fromEntries(Object.entries(payload).reverse());
+    reordered.location = { room: '101', coordinates: { longitude: 78.5, latitude: 17.4 }, building: 'Main' };
+
+    expect(qrCodeGenerator.validateQRData(JSON.stringify(reordered)).valid).toBe(true);
+  });
+
+  it('rejects a payload with a tampered top-level field', () => {
+    const payload = signedPayload();
+    payload.sessionId = '64b000000000000000000002';
+
+    const result = qrCodeGenerator.validateQRData(JSON.stringify(payload));
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toBe('Invalid QR code signature');
+  });
+
+  it('rejects a payload with a tampered nested field', () => {
+    const payload = signedPayload();
+    payload.location.room = '202';
+
+    expect(qrCodeGenerator.validateQRData(JSON.stringify(payload)).valid).toBe(false);
+
+    const deeper = signedPayload();
+    deeper.location.coordinates.latitude = 0;
+
+    expect(qrCodeGenerator.validateQRData(JSON.stringify(deeper)).valid).toBe(false);
+  });
+
+  it('accepts a scanned session QR built from ObjectIds and Dates', async () => {
+    const result = await qrCodeGenerator.generateSessionQR({
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Data Structures',
+      courseCode: 'CS201',
+      startTime: new Date('2026-03-02T09:00:00Z'),
+      endTime: new Date('2026-03-02T10:00:00Z'),
+      location: 'Main Block'
+    }, {}, { code: 'QR_LOG_1' });
+
+    // The scanner only ever sees the JSON text encoded in the image
+    const scanned = qrCodeGenerator.validateQRData(JSON.stringify(result.data.payload));
+
+    expect(result.success).toBe(true);
+    expect(scanned.valid).toBe(true);
+    expect(scanned.payload.startTime).toBe('2026-03-02T09:00:00.000Z');
+  });
+
+  it('accepts a scanned student ID QR', async () => {
+    const result = await qrCodeGenerator.generateUserQR(
+      { _id: new mongoose.Types.ObjectId(), role: 'student', firstName: 'Asha', lastName: 'Rao' },
+      {},
+      { expiresAt: new Date(Date.now() + 60 * 1000) }
+    );
+
+    expect(qrCodeGenerator.validateQRData(JSON.stringify(result.data.payload)).valid).toBe(true);
+  });
+
+  it('rejects an unsigned payload', () => {
+    const { signature, ...payload } = signedPayload();
+
+    const result = qrCodeGenerator.validateQRData(JSON.stringify(payload));
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toBe('QR code is not signed');
+  });
+
+  it('keeps verifying codes signed with a previous key until it is removed', () => {
+    const payload = signedPayload();
+
+    process.env.QR_SIGNING_KEY_ID = 'k2';
+    expect(qrCodeGenerator.validateQRData(JSON.stringify(payload)).valid).toBe(true);
+
+    process.env.QR_SIGNING_KEYS = 'k2:second-secret';
+    const result = qrCodeGenerator.validateQRData(JSON.stringify(payload));
+    expect(result.valid).toBe(false);
+    expect(result.error).toMatch(/expired key/);
+  });
+
+  it('rejects legacy checksum codes unless the cutover is still ahead', () => {
+    const payload = { sessionId: 'abc', type: 'attendance_session', timestamp: new Date().toISOString(), version: '1.0' };
+    payload.checksum = qrCodeGenerator.generateChecksum(payload);
+
+    expect(qrCodeGenerator.validateQRData(JSON.stringify(payload)).valid).toBe(false);
+
+    process.env.QR_LEGACY_CUTOVER = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const result = qrCodeGenerator.validateQRData(JSON.stringify(payload));
+    expect(result.valid).toBe(true);
+    expect(result.legacy).toBe(true);
+  });
+});
+
+describe('qrCodeGenerator rotating tokens', () => {
+  const secret = qrCodeGenerator.generateSessionSecret();
+  const intervalSeconds = 30;
+  const now = new Date('2026-03-02T10:00:15Z').getTime();
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const frame = (windowIndex) => ({
+    window: windowIndex,
+    token: qrCodeGenerator.generateRotatingToken(secret, windowIndex)
+  });
+
+  it('derives a stable 8 digit token per window', () => {
+    const windowIndex = qrCodeGenerator.getRotationWindow(intervalSeconds);
+
+    expect(qrCodeGenerator.generateRotatingToken(secret, windowIndex)).toMatch(/^\d{8}$/);
+    expect(qrCodeGenerator.generateRotatingToken(secret, windowIndex))
+      .toBe(qrCodeGenerator.generateRotatingToken(secret, windowIndex));
+    expect(qrCodeGenerator.generateRotatingToken(secret, windowIndex))
+      .not.toBe(qrCodeGenerator.generateRotatingToken(secret, windowIndex + 1));
+  });
+
+  it('accepts the current and the previous window only', () => {
+    const current = qrCodeGenerator.getRotationWindow(intervalSeconds);
+
+    expect(qrCodeGenerator.verifyRotatingToken(secret, frame(current), intervalSeconds).valid).toBe(true);
+    expect(qrCodeGenerator.verifyRotatingToken(secret, frame(current - 1), intervalSeconds).valid).toBe(true);
+
+    const stale = qrCodeGenerator.verifyRotatingToken(secret, frame(current - 2), intervalSeconds);
+    expect(stale.valid).toBe(false);
+    expect(stale.error).toMatch(/expired/);
+
+    expect(qrCodeGenerator.verifyRotatingToken(secret, frame(current + 1), intervalSeconds).valid).toBe(false);
+  });
+
+  it('rejects a token from another session secret', () => {
+    const current = qrCodeGenerator.getRotationWindow(intervalSeconds);
+    const otherSecret = qrCodeGenerator.generateSessionSecret();
+    const payload = { window: current, token: qrCodeGenerator.generateRotatingToken(otherSecret, current) };
+
+    const result = qrCodeGenerator.verifyRotatingToken(secret, payload, intervalSeconds);
+
+    expect(result.valid).toBe(false);
+    expect(result.error).toBe('Invalid QR code token');
+  });
+
+  it('rejects frames without rotation data', () => {
+    expect(qrCodeGenerator.verifyRotatingToken(secret, { token: '12345678' }, intervalSeconds).valid).toBe(false);
+    expect(qrCodeGenerator.verifyRotatingToken(secret, { window: 1 }, intervalSeconds).valid).toBe(false);
+  });
+
+  it('signs the rotating frame it generates', async () => {
+    process.env.QR_SIGNING_KEYS = 'k1:first-secret';
+    process.env.QR_SIGNING_KEY_ID = 'k1';
+
+    const result = await qrCodeGenerator.generateRotatingSessionQR(
+      { _id: 'session-1', qrCode: { rotation: { intervalSeconds } } },
+      secret
+    );
+
+    expect(result.success).toBe(true);
+    expect(result.data.windowIndex).toBe(qrCodeGenerator.getRotationWindow(intervalSeconds));
+    expect(qrCodeGenerator.verifyPayload(result.data.payload).valid).toBe(true);
+    expect(qrCodeGenerator.verifyRotatingToken(secret, result.data.payload, intervalSeconds).valid).toBe(true);
+  });
+});
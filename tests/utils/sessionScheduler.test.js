@@ -0,0 +1,155 @@
+const mongoose = require('mongoose');
+const Session = require('../../models/Session');
+const QRCodeLog = require('../../models/QRCodeLog');
+const AcademicYear = require('../../models/AcademicYear');
+const sessionScheduler = require('../../utils/sessionScheduler');
+
+const objectId = () => new mongoose.Types.ObjectId();
+
+// Resolves like a mongoose query and allows the chained calls the scheduler makes
+const query = (value) => {
+  const promise = Promise.resolve(value);
+  promise.select = () => promise;
+  promise.populate = () => promise;
+  return promise;
+};
+
+const startedSession = (now) => new Session({
+  title: 'Data Structures',
+  subject: 'Computer Science',
+  courseCode: 'CS201',
+  faculty: objectId(),
+  startTime: new Date(now.getTime() - 60 * 1000),
+  endTime: new Date(now.getTime() + 60 * 60 * 1000),
+  location: 'Main Block',
+  academicYear: '2025-2026',
+  semester: 4,
+  status: 'active',
+  actualStartTime: now,
+  attendanceSettings: { autoStart: true },
+  scheduler: { autoStartedAt: now }
+});
+
+describe('sessionScheduler.startDueSessions', () => {
+  const originalEnv = { ...process.env };
+  const now = new Date();
+  let session;
+
+  beforeEach(() => {
+    process.env.QR_SIGNING_KEYS = 'k1:first-secret';
+    process.env.QR_SIGNING_KEY_ID = 'k1';
+
+    session = startedSession(now);
+    jest.spyOn(Session, 'find').mockReturnValue(query([{ _id: session._id, qrCode: session.qrCode }]));
+    jest.spyOn(Session, 'findOneAndUpdate')
+      .mockReturnValueOnce(query(session))
+      .mockReturnValue(query(null));
+    // Validate what would be written without a database
+    jest.spyOn(QRCodeLog, 'create').mockImplementation(async (data) => {
+      const qrCodeLog = new QRCodeLog(data);
+      await qrCodeLog.validate();
+      return qrCodeLog;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    process.env = { ...originalEnv };
+  });
+
+  it('only picks up sessions that opted in to auto-start', async () => {
+    await sessionScheduler.startDueSessions(now);
+
+    expect(Session.find.mock.calls[0][0]).toMatchObject({
+      status: 'scheduled',
+      'attendanceSettings.autoStart': true
+    });
+  });
+
+  it('starts the session and issues its QR code without a user', async () => {
+    const started = await sessionScheduler.startDueSessions(now);
+
+    expect(started).toBe(1);
+    const [claimFilter, claimUpdate] = Session.findOneAndUpdate.mock.calls[0];
+    expect(claimFilter).toEqual({ _id: session._id, status: 'scheduled' });
+    expect(claimUpdate.$set).toMatchObject({ status: 'active', 'qrCode.isActive': true, 'scheduler.autoStartedAt': now });
+
+    const [logData] = QRCodeLog.create.mock.calls[0];
+    expect(logData).toMatchObject({ session: session._id, generatedBy: null, purpose: 'entry' });
+    expect(Session.findOneAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('puts the session back to scheduled when its QR code cannot be issued', async () => {
+    QRCodeLog.create.mockRejectedValue(new Error('write failed'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const started = await sessionScheduler.startDueSessions(now);
+
+    expect(started).toBe(0);
+    const [revertFilter, revertUpdate] = Session.findOneAndUpdate.mock.calls[1];
+    expect(revertFilter).toEqual({ _id: session._id, status: 'active', 'scheduler.autoStartedAt': now });
+    expect(revertUpdate).toEqual({
+      $set: { status: 'scheduled', 'qrCode.isActive': false },
+      $unset: { actualStartTime: 1, 'scheduler.autoStartedAt': 1 }
+    });
+  });
+
+  it('also reverts when rendering the QR code reports a failure', async () => {
+    jest.spyOn(QRCodeLog, 'renderForSession').mockResolvedValue({ success: false, error: 'render failed' });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await sessionScheduler.startDueSessions(now)).toBe(0);
+    expect(QRCodeLog.create).not.toHaveBeenCalled();
+    expect(Session.findOneAndUpdate.mock.calls[1][1].$set.status).toBe('scheduled');
+  });
+
+  it('leaves a session alone when faculty started it first', async () => {
+    Session.findOneAndUpdate.mockReset();
+    Session.findOneAndUpdate.mockReturnValue(query(null));
+
+    expect(await sessionScheduler.startDueSessions(now)).toBe(0);
+    expect(QRCodeLog.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('sessionScheduler.finalizeUnlessLocked', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('finalizes sessions in an open semester', async () => {
+    const session = startedSession(new Date());
+    jest.spyOn(AcademicYear, 'getAttendanceLock').mockResolvedValue(null);
+    jest.spyOn(session, 'finalizeAttendance').mockResolvedValue({});
+
+    expect(await sessionScheduler.finalizeUnlessLocked(session)).toBe(true);
+    expect(AcademicYear.getAttendanceLock).toHaveBeenCalledWith({ year: session.academicYear, semester: session.semester, date: session.startTime });
+    expect(session.finalizeAttendance).toHaveBeenCalledWith(null);
+  });
+
+  it('leaves sessions in a finalized semester alone', async () => {
+    const session = startedSession(new Date());
+    jest.spyOn(AcademicYear, 'getAttendanceLock').mockResolvedValue({ message: 'locked' });
+    jest.spyOn(session, 'finalizeAttendance');
+
+    expect(await sessionScheduler.finalizeUnlessLocked(session)).toBe(false);
+    expect(session.finalizeAttendance).not.toHaveBeenCalled();
+  });
+});
+
+describe('sessionScheduler.endDueSessions', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only picks up sessions that opted in to auto-end', async () => {
+    jest.spyOn(Session, 'find').mockReturnValue(query([]));
+
+    await sessionScheduler.endDueSessions(new Date());
+
+    expect(Session.find.mock.calls[0][0]).toMatchObject({
+      status: 'active',
+      'attendanceSettings.autoEnd': true
+    });
+  });
+});
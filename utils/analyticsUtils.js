@@ -1,4 +1,5 @@
 const moment = require('moment');
+const { DEFAULT_ELIGIBILITY_RULES, DEFAULT_STATUS_WEIGHTS } = require('../config/attendance');
 
 class AnalyticsUtils {
   /**
@@ -12,7 +13,8 @@ class AnalyticsUtils {
       startDate = null,
       endDate = null,
       subject = null,
-      includeLate = true
+      includeLate = true,
+      weights = DEFAULT_STATUS_WEIGHTS
     } = options;
 
     // Filter records based on criteria
@@ -41,25 +43,31 @@ class AnalyticsUtils {
     const presentCount = filteredRecords.filter(record => record.status === 'present').length;
     const absentCount = filteredRecords.filter(record => record.status === 'absent').length;
     const lateCount = filteredRecords.filter(record => record.status === 'late').length;
+    const partialCount = filteredRecords.filter(record => record.status === 'partial').length;
     const excusedCount = filteredRecords.filter(record => record.status === 'excused').length;
 
     const attendancePercentage = totalSessions > 0 ? 
       Math.round((presentCount / totalSessions) * 100) : 0;
 
-    const effectiveAttendance = includeLate ? 
-      presentCount + lateCount : presentCount;
-    const effectivePercentage = totalSessions > 0 ? 
-      Math.round((effectiveAttendance / totalSessions) * 100) : 0;
+    // Weighted attendance: late counts partially, excused sessions may be left out
+    const effectiveWeights = includeLate ? weights : { ...weights, late: 0 };
+    const weighted = this.calculateWeightedAttendance(filteredRecords, effectiveWeights);
+
+    const effectiveAttendance = weighted.attended;
+    const effectivePercentage = weighted.percentage;
 
     return {
       totalSessions,
+      countedSessions: weighted.counted,
       present: presentCount,
       absent: absentCount,
       late: lateCount,
+      partial: partialCount,
       excused: excusedCount,
       attendancePercentage,
       effectiveAttendance: effectiveAttendance,
       effectivePercentage,
+      weights: effectiveWeights,
       summary: {
         excellent: effectivePercentage >= 90,
         good: effectivePercentage >= 80 && effectivePercentage < 90,
@@ -69,6 +77,44 @@ class AnalyticsUtils {
     };
   }
 
+  /**
+   * Get how much a status counts towards attendance
+   * @param {String} status - Attendance status
+   * @param {Object} weights - Status weights
+   * @returns {Number|null} Weight, or null when the status is left out of the percentage
+   */
+  getStatusWeight(status, weights = DEFAULT_STATUS_WEIGHTS) {
+    const weight = weights[status];
+    if (weight === null) return null;
+    return typeof weight === 'number' ? weight : 0;
+  }
+
+  /**
+   * Calculate weighted attendance for a set of records
+   * @param {Array} attendanceRecords - Array of attendance records
+   * @param {Object|Function} weights - Status weights, or a function returning the weights for a record
+   * @returns {Object} { attended, counted, percentage }
+   */
+  calculateWeightedAttendance(attendanceRecords, weights = DEFAULT_STATUS_WEIGHTS) {
+    let attended = 0;
+    let counted = 0;
+
+    attendanceRecords.forEach(record => {
+      const recordWeights = typeof weights === 'function' ? weights(record) : weights;
+      const weight = this.getStatusWeight(record.status, recordWeights);
+      if (weight === null) return;
+
+      attended += weight;
+      counted++;
+    });
+
+    return {
+      attended: Math.round(attended * 100) / 100,
+      counted,
+      percentage: counted > 0 ? Math.round((attended / counted) * 100) : 0
+    };
+  }
+
   /**
    * Calculate session attendance statistics
    * @param {Array} attendanceRecords - Array of attendance records for a session
@@ -84,6 +130,15 @@ class AnalyticsUtils {
       record.status === 'absent'
     ).length;
 
+    const totalLate = attendanceRecords.filter(record => 
+      record.status === 'late'
+    ).length;
+
+    // Left before the minimum presence; reported apart from present and absent
+    const totalPartial = attendanceRecords.filter(record => 
+      record.status === 'partial'
+    ).length;
+
     const totalExcused = attendanceRecords.filter(record => 
       record.status === 'excused'
     ).length;
@@ -97,6 +152,8 @@ class AnalyticsUtils {
     return {
       totalEnrolled,
       totalPresent,
+      totalLate,
+      totalPartial,
       totalAbsent,
       totalExcused,
       attendanceRate,
@@ -115,9 +172,10 @@ class AnalyticsUtils {
    * @param {Array} attendanceRecords - Array of attendance records
    * @param {String} period - Time period (daily, weekly, monthly)
    * @param {Number} limit - Number of periods to include
+   * @param {Object} weights - Status weights
    * @returns {Array} Trend data
    */
-  generateAttendanceTrends(attendanceRecords, period = 'weekly', limit = 12) {
+  generateAttendanceTrends(attendanceRecords, period = 'weekly', limit = 12, weights = DEFAULT_STATUS_WEIGHTS) {
     const trends = [];
     const now = moment();
 
@@ -148,7 +206,7 @@ class AnalyticsUtils {
         moment(record.checkInTime).isBetween(startDate, endDate, null, '[]')
       );
 
-      const stats = this.calculateStudentAttendanceStats(periodRecords);
+      const stats = this.calculateStudentAttendanceStats(periodRecords, { weights });
       
       trends.push({
         period: label,
@@ -171,7 +229,8 @@ class AnalyticsUtils {
     const {
       minAttendancePercentage = 70,
       minSessions = 5,
-      lookbackDays = 30
+      lookbackDays = 30,
+      weightsByDepartment = new Map()
     } = criteria;
 
     const cutoffDate = moment().subtract(lookbackDays, 'days');
@@ -182,7 +241,8 @@ class AnalyticsUtils {
           moment(record.checkInTime).isAfter(cutoffDate)
         );
 
-        const stats = this.calculateStudentAttendanceStats(recentRecords);
+        const weights = weightsByDepartment.get(String(student.department)) || DEFAULT_STATUS_WEIGHTS;
+        const stats = this.calculateStudentAttendanceStats(recentRecords, { weights });
         
         return {
           ...student,
@@ -195,6 +255,66 @@ class AnalyticsUtils {
       .sort((a, b) => a.attendanceStats.effectivePercentage - b.attendanceStats.effectivePercentage);
   }
 
+  /**
+   * Classify exam eligibility from an attendance percentage
+   * @param {Number} percentage - Weighted attendance percentage
+   * @param {Object} rules - Department eligibility rules
+   * @returns {String} eligible, condonable or detained
+   */
+  classifyEligibility(percentage, rules = DEFAULT_ELIGIBILITY_RULES) {
+    if (percentage >= rules.minimumPercentage) return 'eligible';
+    if (percentage >= rules.condonationMinimum) return 'condonable';
+    return 'detained';
+  }
+
+  /**
+   * Calculate exam eligibility per subject (course code) for one student
+   * @param {Array} attendanceRecords - Attendance records with session courseCode and subject populated
+   * @param {Object} options - { weights, rules, condonations: Map of courseCode -> latest condonation request }
+   * @returns {Array} Eligibility per subject
+   */
+  calculateSubjectEligibility(attendanceRecords, options = {}) {
+    const {
+      weights = DEFAULT_STATUS_WEIGHTS,
+      rules = DEFAULT_ELIGIBILITY_RULES,
+      condonations = new Map()
+    } = options;
+
+    const bySubject = new Map();
+    attendanceRecords.forEach(record => {
+      if (!record.session || !record.session.courseCode) return;
+      const key = record.session.courseCode;
+      if (!bySubject.has(key)) {
+        bySubject.set(key, { courseCode: key, subject: record.session.subject, records: [] });
+      }
+      bySubject.get(key).records.push(record);
+    });
+
+    return [...bySubject.values()]
+      .map(({ courseCode, subject, records }) => {
+        const weighted = this.calculateWeightedAttendance(records, weights);
+        // Unrounded (two decimals) so 74.6% does not pass a 75% rule
+        const percentage = weighted.counted > 0 ? Math.floor((weighted.attended / weighted.counted) * 10000 + 1e-6) / 100 : 0;
+        const classification = this.classifyEligibility(percentage, rules);
+        const condonation = condonations.get(courseCode);
+        const condoned = classification === 'condonable' && condonation && condonation.status === 'approved';
+
+        return {
+          courseCode,
+          subject,
+          totalSessions: records.length,
+          countedSessions: weighted.counted,
+          attended: weighted.attended,
+          percentage,
+          shortfall: Math.max(0, Math.round((rules.minimumPercentage - percentage) * 100) / 100),
+          status: condoned ? 'eligible' : classification,
+          basis: condoned ? 'condonation' : 'attendance',
+          condonation: condonation ? { id: condonation._id, status: condonation.status, ground: condonation.ground } : null
+        };
+      })
+      .sort((a, b) => a.courseCode.localeCompare(b.courseCode));
+  }
+
   /**
    * Calculate average check-in time
    * @param {Array} attendanceRecords - Array of attendance records
@@ -268,7 +388,9 @@ class AnalyticsUtils {
           total: 0,
           present: 0,
           absent: 0,
-          late: 0
+          late: 0,
+          partial: 0,
+          excused: 0
         };
       }
 
@@ -278,6 +400,10 @@ class AnalyticsUtils {
         heatmapData[key].present++;
       } else if (record.status === 'absent') {
         heatmapData[key].absent++;
+      } else if (record.status === 'partial') {
+        heatmapData[key].partial++;
+      } else if (record.status === 'excused') {
+        heatmapData[key].excused++;
       }
 
       if (record.status === 'late') {
@@ -0,0 +1,233 @@
+const ExcelJS = require('exceljs');
+const moment = require('moment');
+
+const STUDENT_ID_HEADERS = ['studentid', 'student id', 'student_id', 'roll no', 'rollno', 'roll number', 'id'];
+const STATUS_HEADERS = ['status', 'attendance'];
+const NOTES_HEADERS = ['notes', 'note', 'remarks'];
+const DATE_FORMATS = ['YYYY-MM-DD HH:mm', 'YYYY-MM-DD', 'DD/MM/YYYY HH:mm', 'DD/MM/YYYY', 'DD-MM-YYYY HH:mm', 'DD-MM-YYYY'];
+
+const STATUS_CODES = {
+  p: 'present',
+  present: 'present',
+  l: 'late',
+  late: 'late',
+  a: 'absent',
+  absent: 'absent',
+  e: 'excused',
+  excused: 'excused'
+};
+
+class AttendanceSheetParser {
+  constructor() {
+    this.maxRows = 5000;
+  }
+
+  /**
+   * Read the first sheet of an uploaded file into rows of trimmed strings
+   * @param {Buffer} buffer - File contents
+   * @param {String} format - 'csv' or 'xlsx'
+   * @returns {Promise<Array>} Rows of cell strings
+   */
+  async readRows(buffer, format) {
+    if (format === 'csv') {
+      return this.parseCSV(buffer.toString('utf8').replace(/^﻿/, ''));
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const worksheet = workbook.worksheets[0];
+    if (!worksheet) return [];
+
+    const rows = [];
+    worksheet.eachRow({ includeEmpty: true }, (row) => {
+      const cells = [];
+      row.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+        cells[columnNumber - 1] = this.cellToString(cell.value);
+      });
+      rows.push(Array.from(cells, value => value || ''));
+    });
+
+    return rows;
+  }
+
+  /**
+   * Convert an ExcelJS cell value to a string
+   * @param {*} value - Cell value (string, number, Date, rich text or formula)
+   * @returns {String} Trimmed text
+   */
+  cellToString(value) {
+    if (value === null || value === undefined) return '';
+    if (value instanceof Date) {
+      // Excel stores dates as UTC; keep the time only when one was entered
+      const date = moment.utc(value);
+      return date.format(date.hours() || date.minutes() ? 'YYYY-MM-DD HH:mm' : 'YYYY-MM-DD');
+    }
+    if (typeof value === 'object') {
+      if (value.richText) return value.richText.map(part => part.text).join('').trim();
+      if (value.result !== undefined) return this.cellToString(value.result);
+      if (value.text !== undefined) return String(value.text).trim();
+    }
+    return String(value).trim();
+  }
+
+  /**
+   * Parse CSV text (RFC 4180 quoting)
+   * @param {String} text - CSV contents
+   * @returns {Array} Rows of cell strings
+   */
+  parseCSV(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          cell += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          cell += char;
+        }
+      } else if (char === '"') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(cell.trim());
+        cell = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') i++;
+        row.push(cell.trim());
+        rows.push(row);
+        row = [];
+        cell = '';
+      } else {
+        cell += char;
+      }
+    }
+
+    if (cell || row.length > 0) {
+      row.push(cell.trim());
+      rows.push(row);
+    }
+
+    return rows;
+  }
+
+  /**
+   * Map a status cell to an attendance status
+   * @param {String} value - Cell text (P/A/L/E or the full word)
+   * @returns {String|null|undefined} Status, null for an invalid value, undefined for a blank cell
+   */
+  normalizeStatus(value) {
+    const key = String(value || '').trim().toLowerCase();
+    if (!key) return undefined;
+    return STATUS_CODES[key] || null;
+  }
+
+  /**
+   * Parse a roster sheet (student ID and status columns) for a single session
+   * @param {Array} rows - Rows from readRows
+   * @returns {Object} { entries, issues }
+   */
+  parseRoster(rows) {
+    const issues = [];
+    const headerIndex = rows.findIndex(row => row.some(cell => cell));
+    if (headerIndex === -1) return { entries: [], issues: [{ type: 'empty_sheet', message: 'The sheet is empty' }] };
+
+    const headers = rows[headerIndex].map(cell => cell.toLowerCase());
+    const studentColumn = headers.findIndex(header => STUDENT_ID_HEADERS.includes(header));
+    const statusColumn = headers.findIndex(header => STATUS_HEADERS.includes(header));
+    const notesColumn = headers.findIndex(header => NOTES_HEADERS.includes(header));
+
+    if (studentColumn === -1 || statusColumn === -1) {
+      return {
+        entries: [],
+        issues: [{ row: headerIndex + 1, type: 'missing_columns', message: 'The sheet needs a student ID column and a status column' }]
+      };
+    }
+
+    const entries = [];
+    rows.slice(headerIndex + 1).forEach((row, index) => {
+      const rowNumber = headerIndex + index + 2;
+      const studentId = row[studentColumn] || '';
+      const rawStatus = row[statusColumn] || '';
+
+      if (!studentId && !rawStatus) return;
+
+      if (!studentId) {
+        issues.push({ row: rowNumber, type: 'missing_student_id', message: 'Student ID is missing' });
+        return;
+      }
+
+      const status = this.normalizeStatus(rawStatus);
+      if (!status) {
+        issues.push({ row: rowNumber, studentId, type: 'invalid_status', message: `Invalid status "${rawStatus}" (use P, L, A or E)` });
+        return;
+      }
+
+      entries.push({
+        row: rowNumber,
+        studentId,
+        status,
+        notes: notesColumn !== -1 ? row[notesColumn] || undefined : undefined
+      });
+    });
+
+    return { entries, issues };
+  }
+
+  /**
+   * Parse a date-by-student matrix (first column student ID, one column per date)
+   * @param {Array} rows - Rows from readRows
+   * @returns {Object} { entries, issues }
+   */
+  parseMatrix(rows) {
+    const issues = [];
+    const headerIndex = rows.findIndex(row => row.some(cell => cell));
+    if (headerIndex === -1) return { entries: [], issues: [{ type: 'empty_sheet', message: 'The sheet is empty' }] };
+
+    const header = rows[headerIndex];
+    const columns = [];
+
+    header.slice(1).forEach((cell, index) => {
+      if (!cell) return;
+      const parsed = moment(cell, DATE_FORMATS, true);
+      if (!parsed.isValid()) {
+        issues.push({ row: headerIndex + 1, column: cell, type: 'invalid_date', message: `Column "${cell}" is not a date (use YYYY-MM-DD)` });
+        return;
+      }
+      columns.push({ index: index + 1, label: cell, date: parsed.toDate(), hasTime: /\d{1,2}:\d{2}/.test(cell) });
+    });
+
+    const entries = [];
+    rows.slice(headerIndex + 1).forEach((row, rowOffset) => {
+      const rowNumber = headerIndex + rowOffset + 2;
+      const studentId = row[0] || '';
+      if (!studentId) {
+        if (row.some(cell => cell)) issues.push({ row: rowNumber, type: 'missing_student_id', message: 'Student ID is missing' });
+        return;
+      }
+
+      columns.forEach(column => {
+        const rawStatus = row[column.index] || '';
+        const status = this.normalizeStatus(rawStatus);
+        if (status === undefined) return;
+
+        if (status === null) {
+          issues.push({ row: rowNumber, column: column.label, studentId, type: 'invalid_status', message: `Invalid status "${rawStatus}" (use P, L, A or E)` });
+          return;
+        }
+
+        entries.push({ row: rowNumber, column: column.label, studentId, status, date: column.date, hasTime: column.hasTime });
+      });
+    });
+
+    return { entries, issues };
+  }
+}
+
+module.exports = new AttendanceSheetParser();
@@ -0,0 +1,35 @@
+/**
+ * Local biometric provider for development and testing.
+ * Trusts the match result reported by the classroom device; a real provider would
+ * check it against the vendor's service (e.g. verify a signed match assertion).
+ */
+class MockBiometricProvider {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  /**
+   * Verify a match result reported by a classroom device
+   * @param {Object} match - { method, fingerprintId, faceId, confidence, matched }
+   * @param {Object} context - { student, session, deviceId }
+   * @returns {Promise<Object>} { verified, confidence, reason }
+   */
+  async verify(match) {
+    const identifier = match.method === 'face' ? match.faceId : match.fingerprintId;
+
+    if (!identifier) {
+      return { verified: false, confidence: 0, reason: `No ${match.method} template ID in the match result` };
+    }
+
+    if (match.matched === false) {
+      return { verified: false, confidence: match.confidence || 0, reason: 'Device reported no match' };
+    }
+
+    return {
+      verified: true,
+      confidence: typeof match.confidence === 'number' ? match.confidence : 1
+    };
+  }
+}
+
+module.exports = new MockBiometricProvider();
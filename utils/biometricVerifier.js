@@ -0,0 +1,71 @@
+const { getBiometricSettings } = require('../config/attendance');
+const mockProvider = require('./biometricProviders/mockProvider');
+
+/**
+ * Biometric verification through pluggable providers.
+ * A provider is an object with a `name` and an async `verify(match, context)` that resolves to
+ * { verified, confidence, reason }. The provider named by BIOMETRIC_PROVIDER is used.
+ */
+class BiometricVerifier {
+  constructor() {
+    this.providers = new Map();
+    this.registerProvider(mockProvider);
+  }
+
+  /**
+   * Register a provider
+   * @param {Object} provider - Provider implementing name and verify()
+   */
+  registerProvider(provider) {
+    if (!provider || !provider.name || typeof provider.verify !== 'function') {
+      throw new Error('Biometric providers need a name and a verify(match, context) method');
+    }
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Get the configured provider
+   * @param {String} name - Provider name (defaults to BIOMETRIC_PROVIDER)
+   * @returns {Object} Provider
+   */
+  getProvider(name = getBiometricSettings().provider) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Biometric provider "${name}" is not registered`);
+    }
+    return provider;
+  }
+
+  /**
+   * Verify a device match result and apply the minimum confidence
+   * @param {Object} match - { method, fingerprintId, faceId, confidence, matched }
+   * @param {Object} context - { student, session, deviceId }
+   * @param {Number} minimumConfidence - Lowest confidence accepted (0-1)
+   * @returns {Promise<Object>} { verified, confidence, minimumConfidence, provider, reason }
+   */
+  async verify(match, context = {}, minimumConfidence = getBiometricSettings().minimumConfidence) {
+    const provider = this.getProvider();
+    const result = await provider.verify(match, context);
+    const confidence = typeof result.confidence === 'number' ? result.confidence : 0;
+
+    if (result.verified && confidence < minimumConfidence) {
+      return {
+        verified: false,
+        confidence,
+        minimumConfidence,
+        provider: provider.name,
+        reason: `Match confidence ${confidence} is below the required ${minimumConfidence}`
+      };
+    }
+
+    return {
+      verified: Boolean(result.verified),
+      confidence,
+      minimumConfidence,
+      provider: provider.name,
+      reason: result.reason
+    };
+  }
+}
+
+module.exports = new BiometricVerifier();
@@ -0,0 +1,31 @@
+/**
+ * Serialize an already JSON-shaped value with object keys sorted at every level
+ * @param {*} value - Plain JSON value
+ * @returns {String} Canonical JSON
+ */
+const serializeSorted = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(serializeSorted).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${serializeSorted(value[key])}`)
+      .join(',')}}`;
+  }
+
+  return JSON.stringify(value);
+};
+
+/**
+ * Serialize a value so the same data always gives the same string (for signatures and hashes).
+ * The value goes through JSON first, so ObjectIds and Dates are signed as the strings a client
+ * reads back, and undefined fields are dropped just as they are on the wire.
+ * @param {*} value - Value to serialize
+ * @returns {String} Canonical JSON
+ */
+const canonicalize = (value) => serializeSorted(JSON.parse(JSON.stringify(value === undefined ? null : value)));
+
+module.exports = {
+  canonicalize
+};
@@ -400,6 +400,46 @@ class DateUtils {
   fromUTC(date, timezone = 'local') {
     return moment(date).tz(timezone).toDate();
   }
+
+  /**
+   * Expand a recurrence pattern into occurrence start times, beginning with the first start
+   * @param {Date} startTime - Start of the first occurrence
+   * @param {Object} pattern - { frequency: daily|weekly|monthly, daysOfWeek, endDate }
+   * @param {Number} limit - Maximum number of occurrences
+   * @returns {Array<Date>} Start times in chronological order
+   */
+  getRecurrenceDates(startTime, pattern, limit = 500) {
+    const first = moment(startTime);
+    const until = moment(pattern.endDate).endOf('day');
+    const days = (pattern.daysOfWeek || []).map(day => day.toLowerCase());
+    const dates = [first.toDate()];
+
+    if (pattern.frequency === 'monthly') {
+      // Same day of the month; months without that day are skipped
+      for (let i = 1; dates.length < limit; i++) {
+        const next = first.clone().add(i, 'months');
+        if (next.isAfter(until)) break;
+        if (next.date() === first.date()) dates.push(next.toDate());
+      }
+      return dates;
+    }
+
+    // Daily runs every day (optionally only on daysOfWeek); weekly runs on daysOfWeek, or the
+    // weekday of the first occurrence when none are given
+    const weekdays = pattern.frequency === 'weekly' && days.length === 0
+      ? [first.format('dddd').toLowerCase()]
+      : days;
+
+    for (let i = 1; dates.length < limit; i++) {
+      const next = first.clone().add(i, 'days');
+      if (next.isAfter(until)) break;
+      if (weekdays.length === 0 || weekdays.includes(next.format('dddd').toLowerCase())) {
+        dates.push(next.toDate());
+      }
+    }
+
+    return dates;
+  }
 }
 
 module.exports = new DateUtils();
@@ -1,5 +1,13 @@
 const nodemailer = require('nodemailer');
 
+// Escape user-supplied text before it goes into an HTML email body
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
 class EmailService {
     constructor() {
         this.transporter = null;
@@ -291,6 +299,144 @@ class EmailService {
     `;
     }
 
+    /**
+     * Tell faculty a session they teach has not been started
+     */
+    async sendMissedSessionStartEmail(email, firstName, session) {
+        try {
+            while (!this.isInitialized) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+
+            const mailOptions = {
+                from: process.env.FROM_EMAIL || 'noreply@smartattendance.com',
+                to: email,
+                subject: `Session not started: ${session.title} - Smart Attendance System`,
+                html: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    <h2 style="color: #DC2626;">Session not started</h2>
+                    <p>Hello ${escapeHtml(firstName)},</p>
+                    <p>Your session <strong>${escapeHtml(session.title)}</strong> (${escapeHtml(session.courseCode)}) was scheduled to start at
+                    <strong>${new Date(session.startTime).toLocaleString()}</strong> in ${escapeHtml(session.location)} but has not been started,
+                    so students cannot submit attendance yet.</p>
+                    <p>Start the session to issue its QR code, or cancel it if it is not taking place.</p>
+                    <div style="text-align: center;">
+                        <a href="${process.env.CLIENT_URL || 'http://localhost:3000'}/sessions/${session._id}"
+                           style="display: inline-block; background: #4F46E5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px;">Open Session</a>
+                    </div>
+                </div>
+                `
+            };
+
+            const info = await this.transporter.sendMail(mailOptions);
+            return { success: true, messageId: info.messageId };
+        } catch (error) {
+            console.error('Missed session start email sending failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Tell a department head an attendance appeal passed its response deadline and is now theirs to decide
+     * @param {Object} appeal - Appeal with student and session populated
+     */
+    async sendAppealEscalatedEmail(email, firstName, appeal) {
+        try {
+            while (!this.isInitialized) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+
+            const student = appeal.student || {};
+            const session = appeal.session || {};
+
+            const mailOptions = {
+                from: process.env.FROM_EMAIL || 'noreply@smartattendance.com',
+                to: email,
+                subject: `Attendance appeal escalated: ${session.title} - Smart Attendance System`,
+                html: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    <h2 style="color: #DC2626;">Attendance appeal escalated</h2>
+                    <p>Hello ${escapeHtml(firstName)},</p>
+                    <p>${escapeHtml(student.firstName)} ${escapeHtml(student.lastName)} (${escapeHtml(student.studentId)}) appealed their
+                    <strong>${escapeHtml(appeal.currentStatus)}</strong> mark for <strong>${escapeHtml(session.title)}</strong>
+                    (${escapeHtml(session.courseCode)}) on ${new Date(session.startTime).toLocaleString()}, asking for
+                    <strong>${escapeHtml(appeal.requestedStatus)}</strong>.</p>
+                    <p>The faculty did not respond by ${new Date(appeal.dueAt).toLocaleString()}, so the appeal is now waiting for your decision.</p>
+                    <div style="text-align: center;">
+                        <a href="${process.env.CLIENT_URL || 'http://localhost:3000'}/appeals/${appeal._id}"
+                           style="display: inline-block; background: #4F46E5; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px;">Open Appeal</a>
+                    </div>
+                </div>
+                `
+            };
+
+            const info = await this.transporter.sendMail(mailOptions);
+            return { success: true, messageId: info.messageId };
+        } catch (error) {
+            console.error('Appeal escalation email sending failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * Tell an enrolled student a session was cancelled, postponed or rescheduled
+     * @param {Object} change - { action, reason, previousStartTime, makeUpSession, occurrences (series cancellations) }
+     */
+    async sendSessionChangeEmail(email, firstName, session, change) {
+        try {
+            while (!this.isInitialized) {
+                await new Promise(resolve => setTimeout(resolve, 100));
+            }
+
+            const formatSlot = (item) => `${new Date(item.startTime).toLocaleString()} - ${new Date(item.endTime).toLocaleTimeString()}`;
+            const headlines = {
+                cancelled: 'Session cancelled',
+                postponed: 'Session postponed',
+                rescheduled: 'Session rescheduled'
+            };
+            const headline = headlines[change.action];
+
+            let details = '';
+            if (change.action === 'rescheduled') {
+                details = `<p>It was scheduled for ${new Date(change.previousStartTime).toLocaleString()} and will now take place on
+                    <strong>${formatSlot(session)}</strong> in ${escapeHtml(session.location)}.</p>`;
+            } else if (change.action === 'postponed') {
+                details = `<p>It was scheduled for ${formatSlot(session)}. You will be told the new time once it is rescheduled.</p>`;
+            } else if (change.occurrences && change.occurrences.length > 1) {
+                details = `<p>All ${change.occurrences.length} upcoming occurrences of this recurring session have been cancelled:</p>
+                    <ul>${change.occurrences.map(occurrence => `<li>${formatSlot(occurrence)}</li>`).join('')}</ul>
+                    <p>Cancelled sessions do not count towards your attendance.</p>`;
+            } else {
+                details = `<p>It was scheduled for ${formatSlot(session)}. Cancelled sessions do not count towards your attendance.</p>`;
+            }
+            if (change.makeUpSession) {
+                details += `<p>A make-up session has been scheduled for <strong>${formatSlot(change.makeUpSession)}</strong>
+                    in ${escapeHtml(change.makeUpSession.location)}.</p>`;
+            }
+
+            const mailOptions = {
+                from: process.env.FROM_EMAIL || 'noreply@smartattendance.com',
+                to: email,
+                subject: `${headline}: ${session.title} - Smart Attendance System`,
+                html: `
+                <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                    <h2 style="color: #4F46E5;">${headline}</h2>
+                    <p>Hello ${escapeHtml(firstName)},</p>
+                    <p>Your session <strong>${escapeHtml(session.title)}</strong> (${escapeHtml(session.courseCode)}) has been ${change.action}.</p>
+                    ${details}
+                    ${change.reason ? `<p><strong>Reason:</strong> ${escapeHtml(change.reason)}</p>` : ''}
+                </div>
+                `
+            };
+
+            const info = await this.transporter.sendMail(mailOptions);
+            return { success: true, messageId: info.messageId };
+        } catch (error) {
+            console.error('Session change email sending failed:', error);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Send test email
      */
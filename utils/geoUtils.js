@@ -0,0 +1,71 @@
+class GeoUtils {
+  constructor() {
+    this.earthRadius = 6371000; // Earth's radius in meters
+  }
+
+  /**
+   * Calculate distance between two coordinates using the Haversine formula
+   * @param {Object} from - { latitude, longitude }
+   * @param {Object} to - { latitude, longitude }
+   * @returns {Number} Distance in meters
+   */
+  calculateDistance(from, to) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) *
+              Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+
+    return this.earthRadius * c;
+  }
+
+  /**
+   * Check whether a coordinate is usable
+   * @param {Object} point - { latitude, longitude }
+   * @returns {Boolean} True if both coordinates are valid numbers
+   */
+  isValidCoordinate(point) {
+    return !!point &&
+      typeof point.latitude === 'number' && point.latitude >= -90 && point.latitude <= 90 &&
+      typeof point.longitude === 'number' && point.longitude >= -180 && point.longitude <= 180;
+  }
+
+  /**
+   * Check a reported position against a geofence
+   * @param {Object} location - Reported position { latitude, longitude, accuracy }
+   * @param {Object} center - Geofence center { latitude, longitude }
+   * @param {Object} options - { radius, maxAccuracy } in meters
+   * @returns {Object} Geofence result
+   */
+  checkGeofence(location, center, options = {}) {
+    const { radius = 100, maxAccuracy = null } = options;
+
+    if (!this.isValidCoordinate(location)) {
+      return { valid: false, allowedRadius: radius, reason: 'Location is required for this session' };
+    }
+
+    const distance = Math.round(this.calculateDistance(location, center));
+    const accuracy = typeof location.accuracy === 'number' ? location.accuracy : null;
+    const result = {
+      distance,
+      allowedRadius: radius,
+      accuracy,
+      isWithinRadius: distance <= radius
+    };
+
+    if (maxAccuracy !== null && (accuracy === null || accuracy > maxAccuracy)) {
+      return { ...result, valid: false, reason: 'GPS accuracy is too low to verify your location' };
+    }
+
+    if (!result.isWithinRadius) {
+      return { ...result, valid: false, reason: 'You are outside the allowed classroom radius' };
+    }
+
+    return { ...result, valid: true };
+  }
+}
+
+module.exports = new GeoUtils();
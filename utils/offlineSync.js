@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const { getOfflineSyncSecret } = require('../config/attendance');
+const { canonicalize } = require('./canonicalJson');
+
+class OfflineSync {
+  constructor() {
+    this.maxRecords = 1000; // marks accepted in one bundle
+    this.maxClockSkewMs = 5 * 60 * 1000; // device clocks may run slightly ahead
+  }
+
+  /**
+   * Derive the key a faculty member's device signs bundles with
+   * @param {String} userId - Faculty user ID
+   * @param {Number} version - Key version (bumped when the key is rotated)
+   * @returns {String} Hex key
+   */
+  deriveKey(userId, version) {
+    return crypto.createHmac('sha256', getOfflineSyncSecret())
+      .update(`${userId}:${version}`)
+      .digest('hex');
+  }
+
+  /**
+   * Compute the signature of a bundle
+   * @param {Object} bundle - { deviceId, idempotencyKey, keyVersion, createdAt, records }
+   * @param {String} key - Device key from deriveKey
+   * @returns {String} Hex HMAC-SHA256 signature
+   */
+  signBundle(bundle, key) {
+    const { signature, ...unsigned } = bundle;
+    return crypto.createHmac('sha256', key).update(canonicalize(unsigned)).digest('hex');
+  }
+
+  /**
+   * Verify a bundle was signed with the user's current key
+   * @param {Object} bundle - Uploaded bundle including its signature
+   * @param {Object} user - Uploading user (with offlineSyncKeyVersion)
+   * @returns {Object} { valid, error }
+   */
+  verifyBundle(bundle, user) {
+    if (!user.offlineSyncKeyVersion) {
+      return { valid: false, error: 'No offline sync key has been issued to this account' };
+    }
+
+    if (Number(bundle.keyVersion) !== user.offlineSyncKeyVersion) {
+      return { valid: false, error: 'Bundle was signed with a revoked sync key' };
+    }
+
+    const expected = Buffer.from(this.signBundle(bundle, this.deriveKey(user._id, user.offlineSyncKeyVersion)));
+    const received = Buffer.from(String(bundle.signature || ''));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return { valid: false, error: 'Invalid bundle signature' };
+    }
+
+    return { valid: true };
+  }
+
+  /**
+   * Hash the signed content of a bundle (to tell a retry from a reused idempotency key)
+   * @param {Object} bundle - Uploaded bundle
+   * @returns {String} Hex SHA-256 hash
+   */
+  hashBundle(bundle) {
+    const { signature, ...unsigned } = bundle;
+    return crypto.createHash('sha256').update(canonicalize(unsigned)).digest('hex');
+  }
+}
+
+module.exports = new OfflineSync();
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+
+class ProxyDetection {
+  /**
+   * Compute a device fingerprint for a submission
+   * Prefers the client-reported device ID; otherwise combines the browser signature with the
+   * network address so that identical phone models on campus Wi-Fi are not lumped together.
+   * @param {Object} deviceInfo - { userAgent, platform, browser, deviceId }
+   * @param {String} ipAddress - Address the request came from
+   * @returns {String|null} Hex fingerprint, or null when there is nothing to go on
+   */
+  getDeviceFingerprint(deviceInfo = {}, ipAddress = null) {
+    let source;
+
+    if (deviceInfo.deviceId) {
+      source = `device:${deviceInfo.deviceId}`;
+    } else if (deviceInfo.userAgent) {
+      source = ['agent', deviceInfo.userAgent, deviceInfo.platform, deviceInfo.browser, ipAddress]
+        .map(part => part || '')
+        .join('|');
+    } else {
+      return null;
+    }
+
+    return crypto.createHash('sha256').update(source).digest('hex').substring(0, 32);
+  }
+
+  /**
+   * Describe why a submission was flagged
+   * @param {Array} matchedOn - Signals from Attendance.findProxyMatches
+   * @param {Number} studentCount - Other students involved
+   * @returns {String} Reason suitable for Attendance.proxyReason
+   */
+  describeMatch(matchedOn, studentCount) {
+    const reasons = {
+      fingerprint: 'same device used by another student in this session',
+      ipAddress: 'too many students submitted from the same network address',
+      cross_session: 'device repeatedly used for other students in earlier sessions'
+    };
+
+    const reason = matchedOn.map(signal => reasons[signal]).join('; ');
+    return `Possible proxy (${studentCount} other student${studentCount === 1 ? '' : 's'}): ${reason}`.substring(0, 200);
+  }
+
+  /**
+   * Group a session's submissions into clusters sharing a device or network address
+   * @param {Array} records - Attendance records with deviceInfo and student
+   * @param {Object} options - { maxStudentsPerIp }
+   * @returns {Array} Clusters with the records involved, largest first
+   */
+  buildClusters(records, options = {}) {
+    const { maxStudentsPerIp = 3 } = options;
+    const groups = { fingerprint: new Map(), ipAddress: new Map() };
+
+    records.forEach(record => {
+      const deviceInfo = record.deviceInfo || {};
+      ['fingerprint', 'ipAddress'].forEach(type => {
+        const value = deviceInfo[type];
+        if (!value) return;
+        if (!groups[type].has(value)) groups[type].set(value, []);
+        groups[type].get(value).push(record);
+      });
+    });
+
+    const clusters = [];
+    Object.entries(groups).forEach(([type, group]) => {
+      group.forEach((clusterRecords, value) => {
+        const students = new Set(clusterRecords.map(record => String(record.student._id || record.student)));
+        const threshold = type === 'fingerprint' ? 1 : maxStudentsPerIp;
+
+        if (threshold > 0 && students.size > threshold) {
+          clusters.push({
+            type,
+            value,
+            studentCount: students.size,
+            records: clusterRecords
+          });
+        }
+      });
+    });
+
+    return clusters.sort((a, b) => b.studentCount - a.studentCount);
+  }
+}
+
+module.exports = new ProxyDetection();
@@ -1,5 +1,8 @@
 const QRCode = require('qrcode');
+const PDFDocument = require('pdfkit');
 const crypto = require('crypto');
+const qrSigning = require('../config/qrSigning');
+const { canonicalize } = require('./canonicalJson');
 
 class QRCodeGenerator {
   constructor() {
@@ -18,9 +21,10 @@ class QRCodeGenerator {
    * Generate QR code for attendance session
    * @param {Object} sessionData - Session information
    * @param {Object} options - QR code generation options
+   * @param {Object} payloadExtras - Additional signed payload fields (e.g. log code)
    * @returns {Promise<Object>} QR code data and metadata
    */
-  async generateSessionQR(sessionData, options = {}) {
+  async generateSessionQR(sessionData, options = {}, payloadExtras = {}) {
     try {
       const qrOptions = { ...this.defaultOptions, ...options };
       
@@ -33,14 +37,13 @@ class QRCodeGenerator {
         startTime: sessionData.startTime,
         endTime: sessionData.endTime,
         location: sessionData.location,
+        ...payloadExtras,
         timestamp: new Date().toISOString(),
-        type: 'attendance_session',
-        version: '1.0'
+        type: 'attendance_session'
       };
 
-      // Generate checksum for data integrity
-      const checksum = this.generateChecksum(payload);
-      payload.checksum = checksum;
+      // Sign payload with the active server-side key
+      this.signPayload(payload);
 
       // Convert payload to string
       const qrData = JSON.stringify(payload);
@@ -70,13 +73,128 @@ class QRCodeGenerator {
     }
   }
 
+  /**
+   * Generate a new secret for rotating session QR codes
+   * @returns {String} Hex encoded secret
+   */
+  generateSessionSecret() {
+    return crypto.randomBytes(20).toString('hex');
+  }
+
+  /**
+   * Get the rotation window index for a point in time
+   * @param {Number} intervalSeconds - Rotation interval in seconds
+   * @param {Date|Number} time - Point in time (defaults to now)
+   * @returns {Number} Window index
+   */
+  getRotationWindow(intervalSeconds, time = Date.now()) {
+    return Math.floor(new Date(time).getTime() / (intervalSeconds * 1000));
+  }
+
+  /**
+   * Derive the token for a rotation window (TOTP-style HMAC truncation)
+   * @param {String} secret - Per-session secret
+   * @param {Number} windowIndex - Rotation window index
+   * @returns {String} 8 digit token
+   */
+  generateRotatingToken(secret, windowIndex) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(windowIndex));
+
+    const hmac = crypto.createHmac('sha1', Buffer.from(secret, 'hex')).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 100000000;
+
+    return binary.toString().padStart(8, '0');
+  }
+
+  /**
+   * Generate the current frame of a rotating session QR code
+   * @param {Object} sessionData - Session information (with qrCode.rotation)
+   * @param {String} secret - Per-session secret
+   * @param {Object} options - QR code generation options
+   * @param {Object} payloadExtras - Additional signed payload fields (e.g. log code)
+   * @returns {Promise<Object>} QR code data and window metadata
+   */
+  async generateRotatingSessionQR(sessionData, secret, options = {}, payloadExtras = {}) {
+    try {
+      const qrOptions = { ...this.defaultOptions, ...options };
+      const intervalSeconds = sessionData.qrCode.rotation.intervalSeconds;
+      const now = Date.now();
+      const windowIndex = this.getRotationWindow(intervalSeconds, now);
+      const windowEndsAt = new Date((windowIndex + 1) * intervalSeconds * 1000);
+
+      const payload = {
+        sessionId: sessionData._id || sessionData.sessionId,
+        window: windowIndex,
+        token: this.generateRotatingToken(secret, windowIndex),
+        ...payloadExtras,
+        timestamp: new Date(now).toISOString(),
+        type: 'attendance_session',
+        mode: 'rotating'
+      };
+
+      this.signPayload(payload);
+
+      const qrCodeDataURL = await QRCode.toDataURL(JSON.stringify(payload), qrOptions);
+
+      return {
+        success: true,
+        data: {
+          qrCodeDataURL,
+          payload,
+          windowIndex,
+          intervalSeconds,
+          windowEndsAt,
+          refreshInMs: windowEndsAt.getTime() - now,
+          generatedAt: new Date(now)
+        }
+      };
+    } catch (error) {
+      console.error('Rotating QR Code generation error:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Verify a rotating QR token. Only the current or immediately previous
+   * window is accepted, to tolerate scans made just before a rotation.
+   * @param {String} secret - Per-session secret
+   * @param {Object} payload - Decoded QR payload (window, token)
+   * @param {Number} intervalSeconds - Rotation interval in seconds
+   * @returns {Object} Verification result
+   */
+  verifyRotatingToken(secret, payload, intervalSeconds) {
+    const windowIndex = Number(payload.window);
+    if (!Number.isInteger(windowIndex) || typeof payload.token !== 'string') {
+      return { valid: false, error: 'QR code is missing rotation data' };
+    }
+
+    const currentWindow = this.getRotationWindow(intervalSeconds);
+    if (windowIndex !== currentWindow && windowIndex !== currentWindow - 1) {
+      return { valid: false, windowIndex, error: 'QR code has expired, please scan the current code' };
+    }
+
+    const expected = Buffer.from(this.generateRotatingToken(secret, windowIndex));
+    const received = Buffer.from(payload.token);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return { valid: false, windowIndex, error: 'Invalid QR code token' };
+    }
+
+    return { valid: true, windowIndex };
+  }
+
   /**
    * Generate QR code for user verification
    * @param {Object} userData - User information
    * @param {Object} options - QR code generation options
+   * @param {Object} payloadExtras - Additional signed payload fields (e.g. expiresAt)
    * @returns {Promise<Object>} QR code data and metadata
    */
-  async generateUserQR(userData, options = {}) {
+  async generateUserQR(userData, options = {}, payloadExtras = {}) {
     try {
       const qrOptions = { ...this.defaultOptions, ...options };
       
@@ -86,13 +204,12 @@ class QRCodeGenerator {
         employeeId: userData.employeeId,
         name: userData.fullName || `${userData.firstName} ${userData.lastName}`,
         role: userData.role,
+        ...payloadExtras,
         timestamp: new Date().toISOString(),
-        type: 'user_verification',
-        version: '1.0'
+        type: 'user_verification'
       };
 
-      const checksum = this.generateChecksum(payload);
-      payload.checksum = checksum;
+      this.signPayload(payload);
 
       const qrData = JSON.stringify(payload);
       const qrCodeDataURL = await QRCode.toDataURL(qrData, qrOptions);
@@ -104,6 +221,7 @@ class QRCodeGenerator {
           qrCodeDataURL,
           uniqueCode,
           payload,
+          expiresAt: payload.expiresAt || null,
           generatedAt: new Date()
         }
       };
@@ -180,7 +298,7 @@ class QRCodeGenerator {
       const payload = JSON.parse(qrData);
       
       // Check required fields
-      const requiredFields = ['type', 'timestamp', 'checksum'];
+      const requiredFields = ['type', 'timestamp'];
       const missingFields = requiredFields.filter(field => !payload[field]);
       
       if (missingFields.length > 0) {
@@ -190,15 +308,10 @@ class QRCodeGenerator {
         };
       }
 
-      // Validate checksum
-      const { checksum, ...dataWithoutChecksum } = payload;
-      const calculatedChecksum = this.generateChecksum(dataWithoutChecksum);
-      
-      if (checksum !== calculatedChecksum) {
-        return {
-          valid: false,
-          error: 'Invalid checksum - data may be corrupted'
-        };
+      // Verify signature (or legacy checksum during the cutover period)
+      const integrity = this.verifyPayload(payload);
+      if (!integrity.valid) {
+        return integrity;
       }
 
       // Check if QR code is expired (if applicable)
@@ -216,7 +329,8 @@ class QRCodeGenerator {
 
       return {
         valid: true,
-        payload
+        payload,
+        legacy: integrity.legacy
       };
     } catch (error) {
       return {
@@ -227,7 +341,72 @@ class QRCodeGenerator {
   }
 
   /**
-   * Generate checksum for data integrity
+   * Sign a payload in place with the active server-side key
+   * @param {Object} payload - Payload to sign
+   * @returns {Object} The signed payload (version, kid and signature added)
+   */
+  signPayload(payload) {
+    const { kid, secret } = qrSigning.getActiveSigningKey();
+
+    payload.version = qrSigning.CURRENT_VERSION;
+    payload.kid = kid;
+    payload.signature = this.generateSignature(payload, secret);
+
+    return payload;
+  }
+
+  /**
+   * Verify the signature of a payload
+   * @param {Object} payload - Decoded QR payload
+   * @returns {Object} Verification result
+   */
+  verifyPayload(payload) {
+    if (payload.version === qrSigning.LEGACY_VERSION) {
+      if (!qrSigning.isLegacyAccepted()) {
+        return { valid: false, error: 'This QR code format is no longer accepted, please scan a new code' };
+      }
+
+      const { checksum, ...dataWithoutChecksum } = payload;
+      if (!checksum || checksum !== this.generateChecksum(dataWithoutChecksum)) {
+        return { valid: false, error: 'Invalid checksum - data may be corrupted' };
+      }
+
+      return { valid: true, legacy: true };
+    }
+
+    const { signature, ...unsignedPayload } = payload;
+    if (!signature || !payload.kid) {
+      return { valid: false, error: 'QR code is not signed' };
+    }
+
+    const secret = qrSigning.getVerificationKey(payload.kid);
+    if (!secret) {
+      return { valid: false, error: 'QR code was signed with an expired key, please scan a new code' };
+    }
+
+    const expected = Buffer.from(this.generateSignature(unsignedPayload, secret));
+    const received = Buffer.from(String(signature));
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+      return { valid: false, error: 'Invalid QR code signature' };
+    }
+
+    return { valid: true, legacy: false };
+  }
+
+  /**
+   * Generate HMAC-SHA256 signature over the canonical payload (keys sorted at every level,
+   * so nested fields such as location are covered too; ObjectIds and Dates as their JSON strings)
+   * @param {Object} data - Data to sign
+   * @param {String} secret - Signing key
+   * @returns {String} Hex signature
+   */
+  generateSignature(data, secret) {
+    const { signature, ...unsigned } = data;
+    return crypto.createHmac('sha256', secret).update(canonicalize(unsigned)).digest('hex');
+  }
+
+  /**
+   * Generate checksum for legacy (version 1.0) payloads
    * @param {Object} data - Data to generate checksum for
    * @returns {String} MD5 checksum
    */
@@ -247,6 +426,14 @@ class QRCodeGenerator {
     return `QR_${id}_${timestamp}_${random}`.toUpperCase();
   }
 
+  /**
+   * Generate a nonce for single-use QR codes
+   * @returns {String} Unguessable nonce code
+   */
+  generateNonce() {
+    return `NONCE_${crypto.randomBytes(16).toString('hex')}`.toUpperCase();
+  }
+
   /**
    * Generate QR code with custom data
    * @param {Object} customData - Custom data to encode
@@ -260,12 +447,10 @@ class QRCodeGenerator {
       // Add metadata
       const payload = {
         ...customData,
-        timestamp: new Date().toISOString(),
-        version: '1.0'
+        timestamp: new Date().toISOString()
       };
 
-      const checksum = this.generateChecksum(payload);
-      payload.checksum = checksum;
+      this.signPayload(payload);
 
       const qrData = JSON.stringify(payload);
       const qrCodeDataURL = await QRCode.toDataURL(qrData, qrOptions);
@@ -304,6 +489,70 @@ class QRCodeGenerator {
       throw error;
     }
   }
+
+  /**
+   * Generate QR code as an SVG document (for file operations)
+   * @param {Object} data - Data to encode
+   * @param {Object} options - QR code generation options
+   * @returns {Promise<String>} SVG markup
+   */
+  async generateQRSVG(data, options = {}) {
+    try {
+      const qrOptions = { ...this.defaultOptions, ...options, type: 'svg' };
+      const qrData = JSON.stringify(data);
+
+      return await QRCode.toString(qrData, qrOptions);
+    } catch (error) {
+      console.error('QR SVG generation error:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Generate a printable PDF with one QR code per page
+   * @param {Array} pages - [{ data, title, lines }] where lines are printed under the title
+   * @param {Object} options - QR code generation options
+   * @returns {Promise<Buffer>} PDF buffer
+   */
+  async generateQRSheetPDF(pages, options = {}) {
+    const qrOptions = { ...options, width: options.width || 400 };
+    const images = [];
+
+    for (const page of pages) {
+      images.push(await this.generateQRBuffer(page.data, qrOptions));
+    }
+
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50, autoFirstPage: false });
+      const chunks = [];
+
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      pages.forEach((page, index) => {
+        doc.addPage();
+        const contentWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+        doc.fontSize(24).text(page.title, { align: 'center' });
+        doc.moveDown(0.5);
+        (page.lines || []).forEach(line => doc.fontSize(14).text(line, { align: 'center' }));
+        doc.moveDown(1.5);
+
+        const size = Math.min(contentWidth, 400);
+        doc.image(images[index], doc.page.margins.left + (contentWidth - size) / 2, doc.y, { width: size, height: size });
+
+        doc.fontSize(10).text(
+          'Scan with the attendance app to mark your attendance',
+          doc.page.margins.left,
+          doc.page.height - doc.page.margins.bottom - 20,
+          { align: 'center', width: contentWidth }
+        );
+      });
+
+      doc.end();
+    });
+  }
 }
 
 module.exports = new QRCodeGenerator();
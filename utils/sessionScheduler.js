@@ -0,0 +1,293 @@
+const Session = require('../models/Session');
+const QRCodeLog = require('../models/QRCodeLog');
+const AttendanceAppeal = require('../models/AttendanceAppeal');
+const AcademicYear = require('../models/AcademicYear');
+const qrCodeGenerator = require('./qrCodeGenerator');
+const emailService = require('./emailService');
+const { getSessionSchedulerSettings } = require('../config/attendance');
+
+/**
+ * In-process scheduler that starts sessions at startTime and ends them at endTime, for sessions
+ * that opt in with attendanceSettings.autoStart / autoEnd.
+ * Each run looks at the database rather than keeping timers per session, so sessions that
+ * fell due while the server was down are caught up on the first run after a restart.
+ * Every transition is claimed with a conditional update, so a session started or ended by
+ * faculty (or another server instance) in the meantime is left alone.
+ * The same pass escalates attendance appeals whose response deadline has passed.
+ */
+class SessionScheduler {
+  constructor() {
+    this.timer = null;
+    this.running = false;
+    this.settings = null;
+  }
+
+  /**
+   * Start polling (runs once straight away to catch up)
+   * @param {Object} settings - Scheduler settings (defaults to the environment)
+   * @returns {Boolean} Whether the scheduler was started
+   */
+  start(settings = getSessionSchedulerSettings()) {
+    if (this.timer || !settings.enabled) return false;
+
+    this.settings = settings;
+    this.timer = setInterval(() => this.run(), settings.intervalSeconds * 1000);
+    this.timer.unref();
+    this.run();
+    return true;
+  }
+
+  /**
+   * Stop polling
+   */
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Run one pass; skipped while the previous pass is still running
+   * @param {Date} now - Current time
+   * @returns {Object|null} Counts of sessions started, ended and alerted about, and appeals escalated
+   */
+  async run(now = new Date()) {
+    if (this.running) return null;
+    this.running = true;
+
+    try {
+      const settings = this.settings || getSessionSchedulerSettings();
+      const started = await this.startDueSessions(now);
+      const ended = await this.endDueSessions(now);
+      const alerted = await this.alertMissedStarts(now, settings);
+      const escalated = await this.escalateOverdueAppeals(now);
+      return { started, ended, alerted, escalated };
+    } catch (error) {
+      console.error('Session scheduler error:', error);
+      return null;
+    } finally {
+      this.running = false;
+    }
+  }
+
+  /**
+   * Start scheduled sessions whose start time has passed and which have not ended yet
+   * @param {Date} now - Current time
+   * @returns {Number} Sessions started
+   */
+  async startDueSessions(now) {
+    const due = await Session.find({
+      isActive: true,
+      status: 'scheduled',
+      startTime: { $lte: now },
+      endTime: { $gt: now },
+      'attendanceSettings.autoStart': true
+    }).select('_id qrCode.rotation');
+
+    let started = 0;
+    for (const candidate of due) {
+      try {
+        const update = {
+          status: 'active',
+          actualStartTime: now,
+          'qrCode.isActive': true,
+          'scheduler.autoStartedAt': now
+        };
+        if (candidate.qrCode.rotation.enabled) {
+          update['qrCode.secret'] = qrCodeGenerator.generateSessionSecret();
+        }
+
+        const session = await Session.findOneAndUpdate(
+          { _id: candidate._id, status: 'scheduled' },
+          { $set: update },
+          { new: true }
+        ).select('+qrCode.secret');
+        if (!session) continue;
+
+        let issued;
+        try {
+          issued = await QRCodeLog.issueForSession(session, null, { width: 200, margin: 2 });
+        } catch (error) {
+          issued = { success: false, error: error.message };
+        }
+
+        // A live session without a QR code rejects every scan, so put it back to be retried next run
+        if (!issued.success) {
+          await this.revertStart(session._id, now);
+          console.error(`Session scheduler could not issue a QR code for session ${session._id}:`, issued.error);
+          continue;
+        }
+
+        started += 1;
+      } catch (error) {
+        console.error(`Session scheduler failed to start session ${candidate._id}:`, error);
+      }
+    }
+
+    return started;
+  }
+
+  /**
+   * Return a session the scheduler started back to scheduled (only if nobody has touched it since)
+   * @param {String} sessionId - Session ID
+   * @param {Date} startedAt - Time the scheduler started it
+   */
+  async revertStart(sessionId, startedAt) {
+    await Session.findOneAndUpdate(
+      { _id: sessionId, status: 'active', 'scheduler.autoStartedAt': startedAt },
+      {
+        $set: { status: 'scheduled', 'qrCode.isActive': false },
+        $unset: { actualStartTime: 1, 'scheduler.autoStartedAt': 1 }
+      }
+    );
+  }
+
+  /**
+   * End active sessions whose end time has passed and finalize their attendance.
+   * Sessions the scheduler ended but could not finalize (e.g. a crash in between) are retried.
+   * @param {Date} now - Current time
+   * @returns {Number} Sessions ended
+   */
+  async endDueSessions(now) {
+    const due = await Session.find({
+      isActive: true,
+      status: 'active',
+      endTime: { $lte: now },
+      'attendanceSettings.autoEnd': true
+    }).select('_id endTime');
+
+    let ended = 0;
+    for (const candidate of due) {
+      try {
+        const session = await Session.findOneAndUpdate(
+          { _id: candidate._id, status: 'active' },
+          {
+            $set: {
+              status: 'completed',
+              // After a restart the session really ended at its scheduled time
+              actualEndTime: candidate.endTime,
+              'qrCode.isActive': false,
+              'scheduler.autoEndedAt': now
+            }
+          },
+          { new: true }
+        );
+        if (!session) continue;
+
+        await QRCodeLog.deactivateForSession(session._id);
+        await this.finalizeUnlessLocked(session);
+        ended += 1;
+      } catch (error) {
+        console.error(`Session scheduler failed to end session ${candidate._id}:`, error);
+      }
+    }
+
+    const unfinalized = await Session.find({
+      isActive: true,
+      status: 'completed',
+      attendanceFinalizedAt: null,
+      'scheduler.autoEndedAt': { $ne: null }
+    });
+    for (const session of unfinalized) {
+      try {
+        await this.finalizeUnlessLocked(session);
+      } catch (error) {
+        console.error(`Session scheduler failed to finalize session ${session._id}:`, error);
+      }
+    }
+
+    return ended;
+  }
+
+  /**
+   * Finalize a session's attendance unless its semester has been finalized (then faculty finalize it
+   * once an unlock is approved, like any other change to a locked semester)
+   * @param {Object} session - Session document
+   * @returns {Boolean} Whether the session was finalized
+   */
+  async finalizeUnlessLocked(session) {
+    const lock = await AcademicYear.getAttendanceLock({
+      year: session.academicYear,
+      semester: session.semester,
+      date: session.startTime
+    });
+    if (lock) return false;
+
+    await session.finalizeAttendance(null);
+    return true;
+  }
+
+  /**
+   * Email the teacher taking the class (the substitute, if one is assigned) about sessions still not started
+   * after the grace period: sessions left to faculty to start, and sessions whose whole slot passed while
+   * the scheduler was not running
+   * @param {Date} now - Current time
+   * @param {Object} settings - Scheduler settings
+   * @returns {Number} Sessions alerted about
+   */
+  async alertMissedStarts(now, settings) {
+    const missed = await Session.find({
+      isActive: true,
+      status: 'scheduled',
+      startTime: {
+        $lte: new Date(now.getTime() - settings.missedStartGraceMinutes * 60 * 1000),
+        $gte: new Date(now.getTime() - settings.missedStartLookbackHours * 60 * 60 * 1000)
+      },
+      'scheduler.missedStartAlertedAt': null
+    }).select('_id');
+
+    let alerted = 0;
+    for (const candidate of missed) {
+      try {
+        const session = await Session.findOneAndUpdate(
+          { _id: candidate._id, status: 'scheduled', 'scheduler.missedStartAlertedAt': null },
+          { $set: { 'scheduler.missedStartAlertedAt': now } },
+          { new: true }
+        )
+          .populate('faculty', 'firstName email')
+          .populate('substituteFaculty', 'firstName email');
+        if (!session) continue;
+
+        const teacher = session.substituteFaculty || session.faculty;
+        if (!teacher || !teacher.email) continue;
+
+        await emailService.sendMissedSessionStartEmail(teacher.email, teacher.firstName, session);
+        alerted += 1;
+      } catch (error) {
+        console.error(`Session scheduler failed to alert about session ${candidate._id}:`, error);
+      }
+    }
+
+    return alerted;
+  }
+
+  /**
+   * Escalate attendance appeals the faculty did not answer in time and email the department head
+   * @param {Date} now - Current time
+   * @returns {Number} Appeals escalated
+   */
+  async escalateOverdueAppeals(now) {
+    const escalated = await AttendanceAppeal.escalateOverdue(now);
+
+    for (const appeal of escalated) {
+      try {
+        if (!appeal.escalation.escalatedTo) continue;
+
+        await appeal.populate([
+          { path: 'escalation.escalatedTo', select: 'firstName email' },
+          { path: 'student', select: 'firstName lastName studentId' },
+          { path: 'session', select: 'title courseCode startTime' }
+        ]);
+        const head = appeal.escalation.escalatedTo;
+        if (!head || !head.email) continue;
+
+        await emailService.sendAppealEscalatedEmail(head.email, head.firstName, appeal);
+      } catch (error) {
+        console.error(`Session scheduler failed to notify about appeal ${appeal._id}:`, error);
+      }
+    }
+
+    return escalated.length;
+  }
+}
+
+module.exports = new SessionScheduler();